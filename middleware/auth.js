@@ -1,5 +1,5 @@
 const User = require('../models/User');
-const { verifyToken } = require('../utils/auth');
+const { verifyToken, isAdmin } = require('../utils/auth');
 
 /**
  * Authentication middleware
@@ -83,7 +83,24 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Admin middleware
+ * Allows only users with the admin role (see scripts/set-admin.js).
+ * Must run after `authenticate`.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
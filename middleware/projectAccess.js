@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const organizationService = require('../services/organizationService');
+const { roleSatisfies } = require('../utils/projectRoles');
+
+/**
+ * Project access middleware
+ * Loads the project and checks the current user's role on it. Must run after
+ * `authenticate`. Attaches `req.project` and `req.projectRole`.
+ * @param {string} requiredRole - Minimum role: viewer, editor, deployer or owner
+ * @param {Function} getProjectId - Reads the project ID from the request (defaults to `req.params.id`)
+ * @param {Object} options - {trashed: true} to load projects in the trash instead
+ *   of live ones; each is otherwise treated as missing
+ */
+function requireProjectRole(requiredRole, getProjectId = req => req.params.id, options = {}) {
+  return async function(req, res, next) {
+    try {
+      const projectId = getProjectId(req);
+      if (!projectId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required parameter: projectId'
+        });
+      }
+
+      const project = mongoose.Types.ObjectId.isValid(projectId)
+        ? await Project.findById(projectId)
+        : null;
+
+      if (!project || Boolean(project.deletedAt) !== Boolean(options.trashed)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const role = await organizationService.resolveProjectRole(project, req.user._id);
+
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this project'
+        });
+      }
+
+      if (!roleSatisfies(role, requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${requiredRole} role on this project`,
+          role,
+          requiredRole
+        });
+      }
+
+      req.project = project;
+      req.projectRole = role;
+      next();
+    } catch (error) {
+      console.error('Project access error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to check project access',
+        message: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  requireProjectRole
+};
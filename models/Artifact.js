@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A contract WASM from a successful compile job, with where it came from.
+// The WASM itself is kept by the artifact store (see services/artifactService.js)
+const artifactSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Compile job that produced it
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Contract (package) name and its directory in the project
+  contract: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    default: '.'
+  },
+  wasmFile: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Hex digest of the WASM; also its key in the store
+  sha256: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Hex digest of the project files it was built from
+  sourceHash: {
+    type: String,
+    required: true
+  },
+  // Project toolchain setting {rust, stellarCli, sdk} and the versions that built it
+  toolchain: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  toolchainVersion: {
+    type: String,
+    default: null
+  },
+  commitSha: {
+    type: String,
+    default: null
+  },
+  dirty: {
+    type: Boolean,
+    default: false
+  },
+  optimized: {
+    type: Boolean,
+    default: false
+  },
+  // True if the compile reused a cached build
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  // Store backend holding the WASM and its key there
+  backend: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+artifactSchema.index({ project: 1, _id: -1 });
+
+module.exports = mongoose.model('Artifact', artifactSchema);
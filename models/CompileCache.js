@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const CACHE_TTL_DAYS = parseInt(process.env.COMPILE_CACHE_TTL_DAYS || '14', 10);
+
+// A successful build, keyed by a hash of everything that determines its
+// output (see services/compileCacheService.js)
+const compileCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  toolchain: {
+    type: String,
+    required: true
+  },
+  // Same entries as the compile job result: {name, path, wasmFile, size, hash, wasmBase64, sizeReport, spec}
+  contracts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Warnings of the build, returned again on every hit
+  diagnostics: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  wasmFile: {
+    type: String,
+    default: null
+  },
+  compilationType: {
+    type: String,
+    default: null
+  },
+  hitCount: {
+    type: Number,
+    default: 0
+  },
+  // Entries expire CACHE_TTL_DAYS after they were last used
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+compileCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: CACHE_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CompileCache', compileCacheSchema);
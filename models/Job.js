@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const jobSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['compile', 'deploy'],
+    enum: ['compile', 'deploy', 'test'],
     required: true
   },
   status: {
@@ -35,6 +35,21 @@ const jobSchema = new mongoose.Schema({
   error: {
     type: String,
     default: null
+  },
+  // Git commit the job was built from (git-backed projects only)
+  commitSha: {
+    type: String,
+    default: null
+  },
+  // True if the files differed from commitSha (uncommitted changes)
+  dirty: {
+    type: Boolean,
+    default: false
+  },
+  // Toolchain a compile or test job was built with (project setting at queue time)
+  toolchain: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
   }
 }, {
   timestamps: true
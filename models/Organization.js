@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const quotaPlugin = require('./plugins/quota');
+const { PROJECT_ROLES } = require('../utils/projectRoles');
+
+// Organization member roles:
+// - member: works on the organization's projects with `defaultProjectRole`
+// - admin: owner of every organization project, manages members and billing
+// - owner: admin who can also delete the organization and manage admins
+const ORGANIZATION_ROLES = ['member', 'admin', 'owner'];
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/
+  },
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Project role members get on organization projects
+  defaultProjectRole: {
+    type: String,
+    enum: PROJECT_ROLES.filter(role => role !== 'owner'),
+    default: 'editor'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.userId': 1 });
+
+// Shared subscription and pooled deployment/function test quota
+organizationSchema.plugin(quotaPlugin);
+
+// Get a member's organization role, or null if not a member
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.userId.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Check whether a user is an admin or owner
+organizationSchema.methods.isAdmin = function(userId) {
+  return ['admin', 'owner'].includes(this.getMemberRole(userId));
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -7,6 +7,13 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when paying for an organization's plan
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
   subscriptionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subscription',
@@ -1,13 +1,24 @@
 const mongoose = require('mongoose');
+const { isValidProjectPath, normalizeFileType } = require('../utils/projectPaths');
+const { PROJECT_ROLES } = require('../utils/projectRoles');
 
+// A node in the project tree. `name` is the full path from the project root
+// (e.g. ".cargo/config.toml"); folders are stored as their own nodes so empty
+// folders survive, and are also implied by the paths of the files they contain.
 const fileSchema = new mongoose.Schema({
   name: {
     type: String,
-    required: true
+    required: true,
+    validate: {
+      validator: isValidProjectPath,
+      message: props => `Invalid file path: ${props.value}`
+    }
   },
   type: {
     type: String,
-    default: 'file'
+    enum: ['file', 'folder'],
+    default: 'file',
+    set: normalizeFileType
   },
   content: {
     type: String,
@@ -21,13 +32,73 @@ const projectSchema = new mongoose.Schema({
     required: true,
     default: 'Untitled Project'
   },
+  // Markdown shown on the project page
+  description: {
+    type: String,
+    default: ''
+  },
+  // Lowercase labels for organizing and filtering projects
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Free-form key/value pairs (string values), e.g. {"audit": "passed"}
+  metadata: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Users who pinned the project (GET /api/projects?pinned=true lists them)
+  pinnedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
     index: true
   },
+  // Organization that owns the project and pays for its deployments; null
+  // for personal projects
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
   files: [fileSchema],
+  // Users the project is shared with; the creator (userId) is always an owner
+  collaborators: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revision: {
+    type: Number,
+    default: 0 // Incremented on every save that changes files
+  },
+  contentHash: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -40,6 +111,11 @@ const projectSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Network of the last successful deployment
+  lastDeployedNetwork: {
+    type: String,
+    default: null
+  },
   contractAddress: {
     type: String,
     default: null
@@ -50,6 +126,12 @@ const projectSchema = new mongoose.Schema({
       default: Date.now
     },
     contractAddress: String,
+    commitSha: String,
+    network: String,
+    // Workspace contract that was deployed (multi-contract projects)
+    contract: String,
+    // Build artifact the WASM came from, when deployed from one
+    artifactId: String,
     status: {
       type: String,
       enum: ['success', 'failed'],
@@ -60,6 +142,117 @@ const projectSchema = new mongoose.Schema({
   isLocal: {
     type: Boolean,
     default: false
+  },
+  // Set when the project is linked to a git remote
+  git: {
+    // Without credentials; those are kept encrypted in `credentials`
+    // (see gitService.encryptCredentials) and never returned
+    remoteUrl: {
+      type: String,
+      default: null
+    },
+    credentials: {
+      type: String,
+      default: null,
+      select: false
+    },
+    branch: {
+      type: String,
+      default: null
+    },
+    headCommit: {
+      type: String,
+      default: null
+    },
+    // Content hash of the project files at headCommit, used to tell whether
+    // the files being built are exactly what was committed
+    headContentHash: {
+      type: String,
+      default: null
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Read-only public link; anyone with the token can view the files
+  publicLink: {
+    token: {
+      type: String,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Set on forks: the project and revision this project was copied from
+  forkedFrom: {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+      index: true
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    revision: {
+      type: Number,
+      default: null
+    },
+    forkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  forkCount: {
+    type: Number,
+    default: 0
+  },
+  // Set while the project is in the trash; it is purged once the retention
+  // window (PROJECT_TRASH_RETENTION_DAYS) has passed
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Build toolchain; null fields use the compile worker's defaults
+  toolchain: {
+    rust: {
+      type: String,
+      default: null
+    },
+    stellarCli: {
+      type: String,
+      default: null
+    },
+    sdk: {
+      type: String,
+      default: null
+    }
+  },
+  // Template and template version the project was created from
+  template: {
+    id: {
+      type: String,
+      default: null
+    },
+    version: {
+      type: String,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -67,6 +260,29 @@ const projectSchema = new mongoose.Schema({
 
 // Indexes
 projectSchema.index({ userId: 1, updatedAt: -1 });
+projectSchema.index({ 'collaborators.userId': 1, updatedAt: -1 });
+projectSchema.index({ organizationId: 1, updatedAt: -1 });
+projectSchema.index(
+  { 'publicLink.token': 1 },
+  { unique: true, partialFilterExpression: { 'publicLink.token': { $type: 'string' } } }
+);
+
+// Remote credentials are only for git; documents created or updated with
+// them loaded must not hand them out either. Who pinned a project is private
+// to each user; responses carry the current user's `pinned` flag instead.
+// The public link token is for owners only, from GET /api/projects/:id/public.
+projectSchema.set('toJSON', {
+  transform(doc, ret) {
+    if (ret.git) {
+      delete ret.git.credentials;
+    }
+    delete ret.pinnedBy;
+    if (ret.publicLink) {
+      delete ret.publicLink.token;
+    }
+    return ret;
+  }
+});
 
 // Update the updatedAt field when files are modified
 projectSchema.pre('save', function(next) {
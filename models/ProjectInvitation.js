@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { PROJECT_ROLES } = require('../utils/projectRoles');
+
+// An emailed invitation to collaborate on a project. Only a hash of the
+// token is stored; the token itself is only ever in the invitation link.
+const projectInvitationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending',
+    index: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectInvitationSchema.index({ projectId: 1, email: 1, status: 1 });
+
+module.exports = mongoose.model('ProjectInvitation', projectInvitationSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a single project file at a given revision
+const revisionFileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: 'file'
+  },
+  content: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Summary of what a save changed compared to the previous revision
+const changedFileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  change: {
+    type: String,
+    enum: ['added', 'modified', 'deleted'],
+    required: true
+  },
+  hash: {
+    type: String,
+    default: null // null for deleted files
+  }
+}, { _id: false });
+
+const projectRevisionSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  files: [revisionFileSchema],
+  changedFiles: [changedFileSchema],
+  contentHash: {
+    type: String,
+    required: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+projectRevisionSchema.index({ projectId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProjectRevision', projectRevisionSchema);
@@ -7,6 +7,13 @@ const subscriptionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when the subscription is for an organization; userId is then the member who bought it
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
   plan: {
     type: String,
     enum: ['free', 'plan2', 'plan3'],
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// A stored project template. Built-in templates live on disk under
+// templates/; a system template with the same id replaces the built-in.
+// Visibility:
+// - system: managed by admins, listed for everyone
+// - public: saved by a user, listed for everyone
+// - organization: saved by a user, listed for members of `organizationId`
+// - private: only listed for `ownerId`
+const TEMPLATE_VISIBILITIES = ['system', 'public', 'organization', 'private'];
+
+const templateSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]{0,63}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String,
+    default: 'Other'
+  },
+  // Semantic version, bumped on every update
+  version: {
+    type: String,
+    required: true
+  },
+  // Template-specific variables, used as {{name}} in file names and contents
+  variables: [{
+    name: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    default: {
+      type: String,
+      default: null
+    },
+    pattern: {
+      type: String,
+      default: null
+    }
+  }],
+  files: [{
+    name: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['file', 'folder'],
+      default: 'file'
+    },
+    content: {
+      type: String,
+      default: ''
+    }
+  }],
+  visibility: {
+    type: String,
+    enum: TEMPLATE_VISIBILITIES,
+    default: 'system'
+  },
+  // User who saved the template (null for system templates)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Project the template was saved from
+  sourceProjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+templateSchema.index({ visibility: 1, ownerId: 1 });
+templateSchema.index({ visibility: 1, organizationId: 1 });
+
+templateSchema.statics.VISIBILITIES = TEMPLATE_VISIBILITIES;
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -9,7 +9,7 @@ const usageLogSchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['compile', 'deploy', 'function_test'],
+    enum: ['compile', 'deploy', 'test', 'function_test'],
     required: true
   },
   projectId: {
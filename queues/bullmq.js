@@ -50,6 +50,8 @@ connection.on('reconnecting', () => {
 // Queue names
 const COMPILE_QUEUE_NAME = 'compile';
 const DEPLOY_QUEUE_NAME = 'deploy';
+const TEST_QUEUE_NAME = 'test';
+const MAINTENANCE_QUEUE_NAME = 'maintenance';
 
 /**
  * Create a queue instance
@@ -109,6 +111,8 @@ module.exports = {
   createWorker,
   createQueueEvents,
   COMPILE_QUEUE_NAME,
-  DEPLOY_QUEUE_NAME
+  DEPLOY_QUEUE_NAME,
+  TEST_QUEUE_NAME,
+  MAINTENANCE_QUEUE_NAME
 };
 
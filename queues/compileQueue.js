@@ -1,27 +1,48 @@
 const { createQueue, COMPILE_QUEUE_NAME } = require('./bullmq');
+const toolchainService = require('../services/toolchainService');
 
 // Create compile queue instance
 const compileQueue = createQueue(COMPILE_QUEUE_NAME);
 
+// Queues for projects with a chosen toolchain, created on first use
+const toolchainQueues = new Map([[COMPILE_QUEUE_NAME, compileQueue]]);
+
+/**
+ * Compile queue for a toolchain (see services/toolchainService.js)
+ */
+function getCompileQueue(toolchain) {
+  const queueName = toolchainService.getQueueName(toolchain);
+  if (!toolchainQueues.has(queueName)) {
+    toolchainQueues.set(queueName, createQueue(queueName));
+  }
+  return toolchainQueues.get(queueName);
+}
+
 /**
  * Add a compile job to the queue
  * @param {Object} payload - Job payload
  * @param {string} payload.projectId - MongoDB project ID
  * @param {Array} payload.files - Array of files to compile
+ * @param {Array} payload.contracts - Workspace contracts to build (empty for all)
+ * @param {Object} payload.toolchain - Project toolchain {rust, stellarCli, sdk}; routes the job to a worker that has it
  * @param {string} payload.jobId - MongoDB job document ID
  * @param {string} payload.userId - User ID for usage tracking
  * @returns {Promise<Job>} BullMQ job instance
  */
 async function addCompileJob(payload) {
-  const { projectId, files, jobId, userId } = payload;
+  const { projectId, files, contracts = [], toolchain = null, optimize = false, jobId, userId } = payload;
   
   if (!projectId || !files || !jobId) {
     throw new Error('Missing required parameters: projectId, files, and jobId');
   }
 
-  const job = await compileQueue.add('compile', {
+  const queue = getCompileQueue(toolchain);
+  const job = await queue.add('compile', {
     projectId,
     files,
+    contracts,
+    toolchain,
+    optimize,
     jobId,
     userId
   }, {
@@ -29,13 +50,13 @@ async function addCompileJob(payload) {
     priority: 1
   });
 
-  console.log(`[CompileQueue] Added compile job ${job.id} for project ${projectId}`);
+  console.log(`[CompileQueue] Added compile job ${job.id} for project ${projectId} to ${queue.name}`);
   
   return job;
 }
 
 module.exports = {
   compileQueue,
+  getCompileQueue,
   addCompileJob
 };
-
@@ -11,11 +11,15 @@ const deployQueue = createQueue(DEPLOY_QUEUE_NAME);
  * @param {string} payload.network - Network to deploy to (default: testnet)
  * @param {string} payload.jobId - MongoDB job document ID
  * @param {string} payload.userId - User ID for usage tracking
+ * @param {string} payload.organizationId - Organization whose quota the deployment counts against (organization projects)
  * @param {Object} payload.walletInfo - Optional wallet information
+ * @param {string} payload.commitSha - Git commit being deployed (git-backed projects)
+ * @param {string} payload.contract - Name of the workspace contract being deployed
+ * @param {string} payload.artifactId - Build artifact being deployed, if deployed from one
  * @returns {Promise<Job>} BullMQ job instance
  */
 async function addDeployJob(payload) {
-  const { projectId, wasmBase64, network = 'testnet', jobId, userId, walletInfo } = payload;
+  const { projectId, wasmBase64, network = 'testnet', jobId, userId, organizationId = null, walletInfo, commitSha = null, contract = null, artifactId = null } = payload;
   
   if (!projectId || !wasmBase64 || !jobId) {
     throw new Error('Missing required parameters: projectId, wasmBase64, and jobId');
@@ -27,7 +31,11 @@ async function addDeployJob(payload) {
     network,
     jobId,
     userId,
-    walletInfo
+    organizationId,
+    walletInfo,
+    commitSha,
+    contract,
+    artifactId
   }, {
     jobId: `deploy-${jobId}`, // Use MongoDB job ID as BullMQ job ID
     priority: 1
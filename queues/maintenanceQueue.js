@@ -0,0 +1,27 @@
+const { createQueue, MAINTENANCE_QUEUE_NAME } = require('./bullmq');
+
+// How often trashed projects past their retention window are purged
+const TRASH_CLEANUP_INTERVAL_MS = parseInt(process.env.TRASH_CLEANUP_INTERVAL_MS || String(60 * 60 * 1000), 10);
+
+// Create maintenance queue instance
+const maintenanceQueue = createQueue(MAINTENANCE_QUEUE_NAME);
+
+/**
+ * Register the recurring maintenance jobs. Safe to call on every start:
+ * existing schedulers are updated instead of duplicated.
+ * @returns {Promise<void>}
+ */
+async function scheduleMaintenanceJobs() {
+  await maintenanceQueue.upsertJobScheduler(
+    'purge-trash',
+    { every: TRASH_CLEANUP_INTERVAL_MS },
+    { name: 'purge-trash' }
+  );
+
+  console.log(`[MaintenanceQueue] Scheduled purge-trash every ${TRASH_CLEANUP_INTERVAL_MS}ms`);
+}
+
+module.exports = {
+  maintenanceQueue,
+  scheduleMaintenanceJobs
+};
@@ -0,0 +1,63 @@
+const { createQueue, TEST_QUEUE_NAME } = require('./bullmq');
+const toolchainService = require('../services/toolchainService');
+
+// Create test queue instance
+const testQueue = createQueue(TEST_QUEUE_NAME);
+
+// Queues for projects with a chosen toolchain, created on first use
+const toolchainQueues = new Map([[TEST_QUEUE_NAME, testQueue]]);
+
+/**
+ * Test queue for a toolchain (see services/toolchainService.js)
+ */
+function getTestQueue(toolchain) {
+  const queueName = toolchainService.getQueueName(toolchain, TEST_QUEUE_NAME);
+  if (!toolchainQueues.has(queueName)) {
+    toolchainQueues.set(queueName, createQueue(queueName));
+  }
+  return toolchainQueues.get(queueName);
+}
+
+/**
+ * Add a test job to the queue
+ * @param {Object} payload - Job payload
+ * @param {string} payload.projectId - MongoDB project ID
+ * @param {Array} payload.files - Array of project files
+ * @param {Array} payload.contracts - Workspace contracts to test (empty for all)
+ * @param {string} payload.filter - Only run tests whose name contains this
+ * @param {Object} payload.toolchain - Project toolchain {rust, stellarCli, sdk}
+ * @param {string} payload.jobId - MongoDB job document ID
+ * @param {string} payload.userId - User ID for usage tracking
+ * @returns {Promise<Job>} BullMQ job instance
+ */
+async function addTestJob(payload) {
+  const { projectId, files, contracts = [], filter = null, toolchain = null, jobId, userId } = payload;
+
+  if (!projectId || !files || !jobId) {
+    throw new Error('Missing required parameters: projectId, files, and jobId');
+  }
+
+  const queue = getTestQueue(toolchain);
+  const job = await queue.add('test', {
+    projectId,
+    files,
+    contracts,
+    filter,
+    toolchain,
+    jobId,
+    userId
+  }, {
+    jobId: `test-${jobId}`, // Use MongoDB job ID as BullMQ job ID
+    priority: 1
+  });
+
+  console.log(`[TestQueue] Added test job ${job.id} for project ${projectId} to ${queue.name}`);
+
+  return job;
+}
+
+module.exports = {
+  testQueue,
+  getTestQueue,
+  addTestJob
+};
@@ -2,15 +2,20 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Job = require('../models/Job');
-const Project = require('../models/Project');
 const UsageLog = require('../models/UsageLog');
 const { addCompileJob } = require('../queues/compileQueue');
+const gitService = require('../services/gitService');
+const toolchainService = require('../services/toolchainService');
 const { authenticate } = require('../middleware/auth');
+const { requireProjectRole } = require('../middleware/projectAccess');
+const { validateFileSet } = require('../utils/projectPaths');
 
-// POST /api/compile - Compile a project (queued)
-router.post('/', authenticate, async (req, res) => {
+// POST /api/compile - Compile a project (queued). Workspace projects build every
+// member contract, or only those named in `contracts`; `optimize` shrinks the WASM
+// with `stellar contract optimize`. Each contract comes back with a size report
+router.post('/', authenticate, requireProjectRole('editor', req => req.body.projectId), async (req, res) => {
   try {
-    const { projectId, files } = req.body;
+    const { projectId, files, contracts = [], optimize = false } = req.body;
     const user = req.user;
     
     if (!projectId || !files) {
@@ -20,22 +25,49 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Verify project belongs to user
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
+    if (!Array.isArray(contracts) || !contracts.every(name => typeof name === 'string' && name.trim())) {
+      return res.status(400).json({
         success: false,
-        error: 'Project not found'
+        error: 'contracts must be an array of contract names'
       });
     }
-    
-    if (project.userId.toString() !== user._id.toString()) {
-      return res.status(403).json({
+
+    if (typeof optimize !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'optimize must be a boolean'
+      });
+    }
+
+    let compileFiles;
+    try {
+      compileFiles = validateFileSet(files);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const project = req.project;
+
+    // Jobs for a toolchain no live worker has would wait in the queue forever
+    let toolchain;
+    try {
+      toolchain = await toolchainService.validate(project.toolchain ? project.toolchain.toObject() : null);
+    } catch (toolchainError) {
+      if (!toolchainError.status) {
+        throw toolchainError;
+      }
+      return res.status(503).json({
         success: false,
-        error: 'You do not have permission to compile this project'
+        error: toolchainError.message
       });
     }
 
+    // Record which commit is being built for git-backed projects
+    const source = gitService.getBuildSource(project, compileFiles);
+
     // Generate MongoDB ObjectId first
     const jobId = new mongoose.Types.ObjectId();
     const jobIdString = jobId.toString();
@@ -44,7 +76,10 @@ router.post('/', authenticate, async (req, res) => {
     // Enqueue compile job (uses jobId to create BullMQ job ID)
     const bullJob = await addCompileJob({
       projectId,
-      files,
+      files: compileFiles,
+      contracts: contracts.map(name => name.trim()),
+      toolchain,
+      optimize,
       jobId: jobIdString,
       userId: user._id.toString()
     });
@@ -61,7 +96,10 @@ router.post('/', authenticate, async (req, res) => {
       status: 'queued',
       userId: user._id,
       project: projectId,
-      bullJobId: bullJob.id || bullJobId
+      bullJobId: bullJob.id || bullJobId,
+      commitSha: source.commitSha,
+      dirty: source.dirty,
+      toolchain
     });
     
     await job.save();
@@ -82,6 +120,10 @@ router.post('/', authenticate, async (req, res) => {
     res.status(202).json({
       success: true,
       jobId: job._id.toString(),
+      commitSha: job.commitSha,
+      dirty: job.dirty,
+      toolchain,
+      optimize,
       message: 'Compilation job queued',
       logs: [{
         type: 'info',
@@ -1,9 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Project = require('../models/Project');
 const UsageLog = require('../models/UsageLog');
 const deploymentService = require('../services/deploymentService');
 const { authenticate } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const { roleSatisfies } = require('../utils/projectRoles');
+
+/**
+ * Check the user's role on the projects a contract was deployed from.
+ * Contracts that weren't deployed from a project are open to everyone.
+ * @returns {Promise<Object>} {allowed, projects, project} where `project` is
+ * the first project granting the role
+ */
+async function checkContractAccess(contractAddress, user, requiredRole) {
+  const projects = await Project.find({
+    $or: [
+      { contractAddress },
+      { 'deploymentHistory.contractAddress': contractAddress }
+    ]
+  }).select('userId collaborators organizationId');
+
+  let project = null;
+  for (const candidate of projects) {
+    const role = await organizationService.resolveProjectRole(candidate, user._id);
+    if (role && roleSatisfies(role, requiredRole)) {
+      project = candidate;
+      break;
+    }
+  }
+
+  return {
+    allowed: projects.length === 0 || project !== null,
+    projects,
+    project
+  };
+}
 
 /**
  * POST /api/contracts/:contractAddress/invoke
@@ -22,8 +55,18 @@ router.post('/:contractAddress/invoke', authenticate, async (req, res) => {
       });
     }
     
-    // Check function test limit
-    const canTest = user.canTestFunction();
+    // Contracts deployed from a project can only be invoked by its deployers
+    const access = await checkContractAccess(contractAddress, user, 'deployer');
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'This action requires the deployer role on the project this contract was deployed from'
+      });
+    }
+    
+    // Check function test limit (contracts of organization projects use the organization's plan)
+    const quotaHolder = await organizationService.getQuotaHolder(access.project, user);
+    const canTest = quotaHolder.canTestFunction();
     if (!canTest.allowed) {
       return res.status(403).json({
         success: false,
@@ -58,7 +101,7 @@ router.post('/:contractAddress/invoke', authenticate, async (req, res) => {
       );
       
       // Increment usage count
-      await user.incrementFunctionTest();
+      await quotaHolder.incrementFunctionTest();
       
       // Update usage log
       usageLog.success = result.success;
@@ -76,11 +119,11 @@ router.post('/:contractAddress/invoke', authenticate, async (req, res) => {
           functionName,
           args,
           usage: {
-            count: user.usage.functionTests.count,
-            limit: user.usage.functionTests.limit,
-            remaining: user.usage.functionTests.limit === -1 
+            count: quotaHolder.usage.functionTests.count,
+            limit: quotaHolder.usage.functionTests.limit,
+            remaining: quotaHolder.usage.functionTests.limit === -1 
               ? 'unlimited' 
-              : Math.max(0, user.usage.functionTests.limit - user.usage.functionTests.count)
+              : Math.max(0, quotaHolder.usage.functionTests.limit - quotaHolder.usage.functionTests.count)
           }
         });
       } else {
@@ -121,10 +164,18 @@ router.get('/:contractAddress', authenticate, async (req, res) => {
   try {
     const { contractAddress } = req.params;
     
-    // Get usage logs for this contract
+    const access = await checkContractAccess(contractAddress, req.user, 'viewer');
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to the project this contract was deployed from'
+      });
+    }
+    
+    // Get usage logs for this contract; project members see each other's tests
     const logs = await UsageLog.find({
       contractAddress,
-      userId: req.user._id,
+      ...(access.projects.length === 0 ? { userId: req.user._id } : {}),
       action: 'function_test'
     }).sort({ createdAt: -1 }).limit(10);
     
@@ -6,23 +6,87 @@ const Project = require('../models/Project');
 const UsageLog = require('../models/UsageLog');
 const { addDeployJob } = require('../queues/deployQueue');
 const deploymentService = require('../services/deploymentService');
-const { authenticate } = require('../middleware/auth');
+const gitService = require('../services/gitService');
+const artifactService = require('../services/artifactService');
+const organizationService = require('../services/organizationService');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { requireProjectRole } = require('../middleware/projectAccess');
+const { roleSatisfies } = require('../utils/projectRoles');
+const httpError = require('../utils/httpError');
 
-// POST /api/deploy - Deploy a smart contract (queued)
-router.post('/', authenticate, async (req, res) => {
+/**
+ * Find the WASM of one contract built by a completed compile job of a project
+ * @param {string} projectId - Project the job belongs to
+ * @param {string} compileJobId - Compile job ID
+ * @param {string} contract - Contract name; may be omitted if the job built one contract
+ * @returns {Promise<Object>} The job's contract entry {name, wasmBase64, ...}
+ * @throws {Error} 404 error for unknown jobs or contracts, 400 error if the contract is ambiguous
+ */
+async function findCompiledContract(projectId, compileJobId, contract) {
+  const job = mongoose.Types.ObjectId.isValid(compileJobId)
+    ? await Job.findOne({ _id: compileJobId, type: 'compile', project: projectId, status: 'completed' })
+    : null;
+  if (!job) {
+    throw httpError(404, 'Completed compile job not found for this project');
+  }
+
+  const contracts = job.result?.contracts || [];
+  if (!contract) {
+    if (contracts.length !== 1) {
+      throw httpError(400, `This build produced ${contracts.length} contracts; choose one with "contract": ${contracts.map(entry => entry.name).join(', ')}`);
+    }
+    return contracts[0];
+  }
+
+  const entry = contracts.find(candidate => candidate.name === contract || candidate.path === contract);
+  if (!entry) {
+    throw httpError(404, `Contract ${contract} was not built by this job`);
+  }
+  return entry;
+}
+
+// POST /api/deploy - Deploy a smart contract (queued). Send the WASM as
+// `wasmBase64`, deploy one contract of a compile job with `compileJobId` and `contract`,
+// or deploy a stored build artifact with `artifactId`
+router.post('/', authenticate, requireProjectRole('deployer', req => req.body.projectId), async (req, res) => {
   try {
-    const { projectId, wasmBase64, network = 'testnet', walletInfo } = req.body;
+    const { projectId, compileJobId, artifactId, network = 'testnet', walletInfo } = req.body;
+    let { wasmBase64, contract = null } = req.body;
     const user = req.user;
     
-    if (!projectId || !wasmBase64) {
+    if (!projectId || (!wasmBase64 && !compileJobId && !artifactId)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required parameters: projectId and wasmBase64'
+        error: 'Missing required parameters: projectId and wasmBase64 (or compileJobId or artifactId)'
       });
     }
 
-    // Check deployment limit
-    const canDeploy = user.canDeploy();
+    let artifact = null;
+    if (!wasmBase64) {
+      try {
+        if (artifactId) {
+          artifact = await artifactService.getArtifact(projectId, artifactId);
+          wasmBase64 = (await artifactService.readWasm(artifact)).toString('base64');
+          contract = artifact.contract;
+        } else {
+          const compiled = await findCompiledContract(projectId, compileJobId, contract);
+          wasmBase64 = compiled.wasmBase64;
+          contract = compiled.name;
+        }
+      } catch (lookupError) {
+        if (!lookupError.status) {
+          throw lookupError;
+        }
+        return res.status(lookupError.status).json({
+          success: false,
+          error: lookupError.message
+        });
+      }
+    }
+
+    // Check deployment limit (organization projects use the organization's plan)
+    const quotaHolder = await organizationService.getQuotaHolder(req.project, user);
+    const canDeploy = quotaHolder.canDeploy();
     if (!canDeploy.allowed) {
       return res.status(403).json({
         success: false,
@@ -33,21 +97,13 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Verify project belongs to user
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: 'Project not found'
-      });
-    }
-    
-    if (project.userId.toString() !== user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: 'You do not have permission to deploy this project'
-      });
-    }
+    const project = req.project;
+
+    // Record which commit is being deployed for git-backed projects; an
+    // artifact knows the commit it was built from
+    const source = artifact
+      ? { commitSha: artifact.commitSha, dirty: artifact.dirty }
+      : gitService.getBuildSource(project);
 
     // Generate MongoDB ObjectId first
     const jobId = new mongoose.Types.ObjectId();
@@ -61,7 +117,11 @@ router.post('/', authenticate, async (req, res) => {
       network,
       jobId: jobIdString,
       walletInfo,
-      userId: user._id.toString()
+      userId: user._id.toString(),
+      organizationId: quotaHolder === user ? null : quotaHolder._id.toString(),
+      commitSha: source.commitSha,
+      contract,
+      artifactId: artifact ? artifact._id.toString() : null
     });
 
     // Verify BullMQ job was created
@@ -76,7 +136,9 @@ router.post('/', authenticate, async (req, res) => {
       status: 'queued',
       userId: user._id,
       project: projectId,
-      bullJobId: bullJob.id || bullJobId
+      bullJobId: bullJob.id || bullJobId,
+      commitSha: source.commitSha,
+      dirty: source.dirty
     });
     
     await job.save();
@@ -89,6 +151,8 @@ router.post('/', authenticate, async (req, res) => {
       success: false,
       metadata: {
         network,
+        contract,
+        artifactId: artifact ? artifact._id.toString() : null,
         jobId: jobIdString
       }
     });
@@ -98,6 +162,8 @@ router.post('/', authenticate, async (req, res) => {
     res.status(202).json({
       success: true,
       jobId: job._id.toString(),
+      commitSha: job.commitSha,
+      dirty: job.dirty,
       message: 'Deployment job queued',
       logs: [{
         type: 'info',
@@ -116,7 +182,7 @@ router.post('/', authenticate, async (req, res) => {
 });
 
 // POST /api/deploy/prepare-deployment - Prepare deployment (compatibility route)
-router.post('/prepare-deployment', async (req, res) => {
+router.post('/prepare-deployment', optionalAuth, async (req, res) => {
   try {
     const { projectId, wasmBase64, network = 'testnet' } = req.body;
     
@@ -133,15 +199,19 @@ router.post('/prepare-deployment', async (req, res) => {
     // Update project with deployment info (optional - only if projectId is valid)
     if (deploymentResult.success && deploymentResult.contractAddress) {
       try {
-        // Check if projectId is a valid MongoDB ObjectId
-        if (projectId.match(/^[0-9a-fA-F]{24}$/)) {
+        // Only record the deployment on projects the caller may deploy
+        const project = projectId.match(/^[0-9a-fA-F]{24}$/) ? await Project.findOne({ _id: projectId, deletedAt: null }) : null;
+        const role = project && req.user ? await organizationService.resolveProjectRole(project, req.user._id) : null;
+        if (role && roleSatisfies(role, 'deployer')) {
           await Project.findByIdAndUpdate(projectId, {
             lastDeployed: new Date(),
+            lastDeployedNetwork: network,
             contractAddress: deploymentResult.contractAddress,
             $push: {
               deploymentHistory: {
                 timestamp: new Date(),
                 contractAddress: deploymentResult.contractAddress,
+                network,
                 status: 'success',
                 logs: deploymentResult.logs.map(log => log.message)
               }
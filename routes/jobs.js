@@ -25,6 +25,8 @@ router.get('/:id', async (req, res) => {
         project: job.project,
         result: job.result,
         error: job.error,
+        commitSha: job.commitSha,
+        dirty: job.dirty,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt
       }
@@ -63,6 +65,8 @@ router.get('/', async (req, res) => {
         project: job.project,
         result: job.result,
         error: job.error,
+        commitSha: job.commitSha,
+        dirty: job.dirty,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt
       }))
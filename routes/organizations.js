@@ -0,0 +1,326 @@
+const express = require('express');
+const router = express.Router();
+const organizationService = require('../services/organizationService');
+const projectListService = require('../services/projectListService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Organization fields returned to members, with the caller's role
+ */
+function describeOrganization(organization, userId) {
+  return {
+    _id: organization._id,
+    name: organization.name,
+    slug: organization.slug,
+    defaultProjectRole: organization.defaultProjectRole,
+    subscription: organization.subscription,
+    usage: organization.usage,
+    memberCount: organization.members.length,
+    role: organization.getMemberRole(userId),
+    createdBy: organization.createdBy,
+    createdAt: organization.createdAt,
+    updatedAt: organization.updatedAt
+  };
+}
+
+/**
+ * POST /api/organizations
+ * Create an organization owned by the current user
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+    const organization = await organizationService.createOrganization(req.user, { name, slug });
+
+    res.status(201).json({
+      success: true,
+      organization: describeOrganization(organization, req.user._id)
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create organization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations
+ * List the organizations the current user is a member of
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.user._id);
+
+    res.json({
+      success: true,
+      organizations: organizations.map(organization => describeOrganization(organization, req.user._id))
+    });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list organizations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId
+ * Get an organization with its members
+ */
+router.get('/:orgId', authenticate, async (req, res) => {
+  try {
+    const { organization } = await organizationService.requireMember(req.params.orgId, req.user);
+
+    res.json({
+      success: true,
+      organization: {
+        ...describeOrganization(organization, req.user._id),
+        members: await organizationService.listMembers(organization)
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to get organization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/organizations/:orgId
+ * Update the name or default project role (admins)
+ */
+router.put('/:orgId', authenticate, async (req, res) => {
+  try {
+    const { organization } = await organizationService.requireMember(req.params.orgId, req.user, 'admin');
+    const { name, defaultProjectRole } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Organization name cannot be empty'
+        });
+      }
+      organization.name = name.trim();
+    }
+
+    if (defaultProjectRole !== undefined) {
+      if (!['viewer', 'editor', 'deployer'].includes(defaultProjectRole)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid defaultProjectRole. Must be one of: viewer, editor, deployer'
+        });
+      }
+      organization.defaultProjectRole = defaultProjectRole;
+    }
+
+    await organization.save();
+
+    res.json({
+      success: true,
+      organization: describeOrganization(organization, req.user._id)
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update organization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId
+ * Delete an organization that no longer owns projects (owners)
+ */
+router.delete('/:orgId', authenticate, async (req, res) => {
+  try {
+    const { organization } = await organizationService.requireMember(req.params.orgId, req.user, 'owner');
+    await organizationService.deleteOrganization(organization);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to delete organization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/members
+ * List members with their roles
+ */
+router.get('/:orgId/members', authenticate, async (req, res) => {
+  try {
+    const { organization } = await organizationService.requireMember(req.params.orgId, req.user);
+
+    res.json({
+      success: true,
+      members: await organizationService.listMembers(organization)
+    });
+  } catch (error) {
+    console.error('List organization members error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to list members',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/members
+ * Add an existing user by email (admins; only owners can add admins and owners)
+ */
+router.post('/:orgId/members', authenticate, async (req, res) => {
+  try {
+    const { organization, role } = await organizationService.requireMember(req.params.orgId, req.user, 'admin');
+    const updated = await organizationService.addMember(organization, req.body, role);
+
+    res.status(201).json({
+      success: true,
+      members: await organizationService.listMembers(updated)
+    });
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to add member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/organizations/:orgId/members/:userId
+ * Change a member's role (admins; only owners can manage admins and owners)
+ */
+router.put('/:orgId/members/:userId', authenticate, async (req, res) => {
+  try {
+    const { organization, role } = await organizationService.requireMember(req.params.orgId, req.user, 'admin');
+    const updated = await organizationService.updateMemberRole(organization, req.params.userId, req.body.role, role);
+
+    res.json({
+      success: true,
+      members: await organizationService.listMembers(updated)
+    });
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:userId
+ * Remove a member, or leave the organization when removing yourself
+ */
+router.delete('/:orgId/members/:userId', authenticate, async (req, res) => {
+  try {
+    const { organization, role } = await organizationService.requireMember(req.params.orgId, req.user);
+    await organizationService.removeMember(organization, req.params.userId, req.user, role);
+
+    const leaving = req.params.userId === req.user._id.toString();
+    res.json({
+      success: true,
+      message: leaving ? 'You left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to remove member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/projects
+ * List the organization's projects. Takes the same pagination, filter and
+ * sort query parameters as GET /api/projects
+ */
+router.get('/:orgId/projects', authenticate, async (req, res) => {
+  try {
+    const { organization } = await organizationService.requireMember(req.params.orgId, req.user);
+    const { projects, nextCursor } = await projectListService.listProjects(req.user, req.query, { organization });
+
+    res.json({
+      success: true,
+      projects,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('List organization projects error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to list projects',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/usage
+ * Get the organization's pooled usage against its plan
+ */
+router.get('/:orgId/usage', authenticate, async (req, res) => {
+  try {
+    const { organization } = await organizationService.requireMember(req.params.orgId, req.user);
+    const { deployments, functionTests } = organization.usage;
+
+    res.json({
+      success: true,
+      subscription: {
+        plan: organization.subscription.plan,
+        status: organization.subscription.status,
+        endDate: organization.subscription.endDate
+      },
+      usage: {
+        deployments: {
+          count: deployments.count,
+          limit: deployments.limit,
+          remaining: deployments.limit === -1
+            ? 'unlimited'
+            : Math.max(0, deployments.limit - deployments.count),
+          lastResetDate: deployments.lastResetDate
+        },
+        functionTests: {
+          count: functionTests.count,
+          limit: functionTests.limit,
+          remaining: functionTests.limit === -1
+            ? 'unlimited'
+            : Math.max(0, functionTests.limit - functionTests.count),
+          lastResetDate: functionTests.lastResetDate
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get organization usage error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to get usage',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
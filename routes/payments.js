@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const paymentService = require('../services/paymentService');
+const organizationService = require('../services/organizationService');
+const Organization = require('../models/Organization');
 const { authenticate } = require('../middleware/auth');
 
 /**
  * POST /api/payments/verify
- * Verify payment transaction
+ * Verify payment transaction. Pass organizationId to pay for an
+ * organization's plan (requires the admin role in the organization).
  */
 router.post('/verify', authenticate, async (req, res) => {
   try {
-    const { txHash, plan } = req.body;
+    const { txHash, plan, organizationId } = req.body;
     const user = req.user;
     
     if (!txHash || !plan) {
@@ -26,15 +29,27 @@ router.post('/verify', authenticate, async (req, res) => {
       });
     }
     
-    const price = plan === 'plan2' ? 50 : 100;
-    const memo = user._id.toString();
+    let organization = null;
+    if (organizationId) {
+      try {
+        ({ organization } = await organizationService.requireMember(organizationId, user, 'admin'));
+      } catch (error) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
     
     // Process payment
-    const result = await paymentService.processPayment(txHash, user._id, plan);
+    const result = await paymentService.processPayment(txHash, user._id, plan, { organizationId: organization?._id });
     
     if (result.success) {
-      // Refresh user data
-      await user.populate('subscription');
+      // Refresh the subscriber's data
+      const subscriber = organization ? await Organization.findById(organization._id) : user;
+      if (!organization) {
+        await user.populate('subscription');
+      }
       
       res.json({
         success: true,
@@ -45,10 +60,11 @@ router.post('/verify', authenticate, async (req, res) => {
           amount: result.payment.amount
         },
         subscription: {
-          plan: user.subscription.plan,
-          status: user.subscription.status,
-          endDate: user.subscription.endDate
-        }
+          plan: subscriber.subscription.plan,
+          status: subscriber.subscription.status,
+          endDate: subscriber.subscription.endDate
+        },
+        ...(organization && { organizationId: organization._id })
       });
     } else {
       res.status(400).json({
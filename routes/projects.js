@@ -1,1001 +1,1055 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
 const Project = require('../models/Project');
+const revisionService = require('../services/revisionService');
+const projectFileService = require('../services/projectFileService');
+const archiveService = require('../services/archiveService');
+const gitService = require('../services/gitService');
+const collaborationService = require('../services/collaborationService');
+const organizationService = require('../services/organizationService');
+const sharingService = require('../services/sharingService');
+const templateService = require('../services/templateService');
+const searchService = require('../services/searchService');
+const trashService = require('../services/trashService');
+const projectListService = require('../services/projectListService');
+const toolchainService = require('../services/toolchainService');
+const contractInterfaceService = require('../services/contractInterfaceService');
+const artifactService = require('../services/artifactService');
 const { authenticate } = require('../middleware/auth');
-
-// GET /api/projects - List all projects for current user
+const { requireProjectRole } = require('../middleware/projectAccess');
+const { roleSatisfies } = require('../utils/projectRoles');
+const { parseProjectDetails } = require('../utils/projectDetails');
+
+// Uploaded project archives are kept in memory and unpacked straight into the project
+const MAX_ARCHIVE_UPLOAD_BYTES = parseInt(process.env.MAX_ARCHIVE_UPLOAD_BYTES || String(20 * 1024 * 1024), 10);
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_UPLOAD_BYTES, files: 1 }
+}).single('archive');
+
+/**
+ * Format a project revision as an ETag header value
+ */
+function revisionEtag(revision) {
+  return `"${revision || 0}"`;
+}
+
+/**
+ * Read the revision a client based its changes on, from the If-Match
+ * header or a `revision` body field.
+ * Returns null if the client sent none and NaN if it is malformed.
+ */
+function getExpectedRevision(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const value = ifMatch.trim().replace(/^W\//, '').replace(/"/g, '');
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  }
+  
+  const revision = req.body?.revision;
+  if (revision !== undefined && revision !== null) {
+    return /^\d+$/.test(String(revision)) ? parseInt(revision, 10) : NaN;
+  }
+  
+  return null;
+}
+
+/**
+ * Respond with 409 and the server's current files when a save is based on a stale revision
+ */
+async function sendRevisionConflict(res, project, clientFiles, baseRevision) {
+  const conflict = await revisionService.describeConflict(project, clientFiles || [], baseRevision);
+  res.set('ETag', revisionEtag(project.revision));
+  return res.status(409).json({
+    error: 'Project has been modified by another save',
+    message: `Your changes are based on revision ${baseRevision}, but the project is now at revision ${project.revision}`,
+    currentRevision: project.revision,
+    files: project.files,
+    serverChanges: conflict.serverChanges,
+    diff: conflict.diff
+  });
+}
+
+/**
+ * Commit author for a user; wallet-only accounts have no email
+ */
+function gitAuthor(user) {
+  return {
+    name: user.name || user.email || user.walletAddress || 'WebSoroban user',
+    email: user.email || `${user._id}@users.noreply.websoroban.in`
+  };
+}
+
+// GET /api/projects - List projects the user owns, collaborates on or can reach through an organization
+// (local projects excluded). Optional: ?limit=&cursor= (next cursor in the X-Next-Cursor header),
+// q (name search), deployed=true|false, network, tag (all of), pinned=true|false,
+// metadata[key]=value, sort=updatedAt|createdAt|lastDeployed|name, order=asc|desc,
+// view=summary (no file contents, deployment logs or description)
 router.get('/', authenticate, async (req, res) => {
   try {
-    const user = req.user;
-    // Get all projects for this user (exclude local projects from list view)
-    const projects = await Project.find({ 
-      userId: user._id,
-      isLocal: { $ne: true } 
-    }).sort({ updatedAt: -1 });
+    const { projects, nextCursor } = await projectListService.listProjects(req.user, req.query);
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
     res.json(projects);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch projects' });
   }
 });
 
 // POST /api/projects - Create new project
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { name, files, template, isLocal } = req.body;
+    const { name, files, template, variables, isLocal, organizationId } = req.body;
     const user = req.user;
+    const details = parseProjectDetails(req.body);
+    const toolchain = await toolchainService.validate(req.body.toolchain);
+    
+    // Creating a project inside an organization requires membership
+    if (organizationId) {
+      await organizationService.requireMember(organizationId, user);
+    }
     
-    let defaultFiles;
     const projectName = name || 'Untitled Project';
-    // Convert project name to a valid crate name (lowercase, replace spaces with hyphens, remove special chars)
-    const crateName = projectName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || 'contract';
-    
-    if (template === 'blank' || template === 'empty') {
-      // Create blank project with empty lib.rs, Cargo.toml with project name, and .cargo/config.toml
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: ''
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "${crateName}"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        }
-      ];
-    } else if (template === 'counter') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use core::clone::Clone;
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Vec};
-
-#[contract]
-pub struct CounterContract;
-
-#[contractimpl]
-impl CounterContract {
-    pub fn increment(env: Env) -> i32 {
-        let key = symbol_short!("counter");
-        let current: i32 = env.storage().instance().get(&key).unwrap_or(0);
-        let new_value = current + 1;
-        env.storage().instance().set(&key, &new_value);
-        new_value
-    }
-
-    pub fn decrement(env: Env) -> i32 {
-        let key = symbol_short!("counter");
-        let current: i32 = env.storage().instance().get(&key).unwrap_or(0);
-        let new_value = current - 1;
-        env.storage().instance().set(&key, &new_value);
-        new_value
-    }
-
-    pub fn get(env: Env) -> i32 {
-        let key = symbol_short!("counter");
-        env.storage().instance().get(&key).unwrap_or(0)
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "counter-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        },
-        {
-          name: 'test.rs',
-          type: 'file',
-          content: `#[cfg(test)]
-mod test {
-    use super::*;
-    use soroban_sdk::Env;
-
-    #[test]
-    fn test_increment() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, CounterContract);
-        let client = CounterContractClient::new(&env, &contract_id);
-
-        assert_eq!(client.get(), 0);
-        assert_eq!(client.increment(), 1);
-        assert_eq!(client.get(), 1);
-    }
-
-    #[test]
-    fn test_decrement() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, CounterContract);
-        let client = CounterContractClient::new(&env, &contract_id);
-
-        assert_eq!(client.get(), 0);
-        assert_eq!(client.decrement(), -1);
-        assert_eq!(client.get(), -1);
-    }
-}`
-        }
-      ];
-    } else if (template === 'token') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use core::clone::Clone;
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
-
-#[contract]
-pub struct TokenContract;
-
-#[contractimpl]
-impl TokenContract {
-    pub fn initialize(env: Env, admin: Address, decimals: u32, name: Symbol, symbol: Symbol) {
-        env.storage().instance().set(&symbol_short!("admin"), &admin);
-        env.storage().instance().set(&symbol_short!("decimals"), &decimals);
-        env.storage().instance().set(&symbol_short!("name"), &name);
-        env.storage().instance().set(&symbol_short!("symbol"), &symbol);
-    }
-
-    pub fn mint(env: Env, to: Address, amount: i128) {
-        let admin: Address = env.storage().instance().get(&symbol_short!("admin")).unwrap();
-        admin.require_auth();
-        
-        let key = symbol_short!("balance");
-        let current: i128 = env.storage().instance().get(&key).unwrap_or(0);
-        env.storage().instance().set(&key, &(current + amount));
-    }
-
-    pub fn balance(env: Env, owner: Address) -> i128 {
-        let key = symbol_short!("balance");
-        env.storage().instance().get(&key).unwrap_or(0)
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "token-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        }
-      ];
-    } else if (template === 'voting') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
-
-#[contract]
-pub struct VotingContract;
-
-#[contractimpl]
-impl VotingContract {
-    pub fn create_proposal(env: Env, proposer: Address, description: Symbol) -> u32 {
-        proposer.require_auth();
-        
-        let proposal_count_key = symbol_short!("prop_cnt");
-        let proposal_count: u32 = env.storage().instance().get(&proposal_count_key).unwrap_or(0);
-        let new_proposal_id = proposal_count + 1;
-        
-        env.storage().instance().set(&proposal_count_key, &new_proposal_id);
-        
-        // Store proposal data
-        let proposal_key = symbol_short!("proposal");
-        let mut proposal_data = Vec::new(&env);
-        proposal_data.push_back(description);
-        env.storage().instance().set(&proposal_key, &proposal_data);
-        
-        // Initialize votes
-        let votes_key = symbol_short!("votes");
-        env.storage().instance().set(&votes_key, &0i128);
-        
-        new_proposal_id
-    }
-    
-    pub fn vote(env: Env, voter: Address, _proposal_id: u32, vote: bool) {
-        voter.require_auth();
-        
-        // Check if already voted
-        let voted_key = symbol_short!("voted");
-        let has_voted: bool = env.storage().instance().get(&voted_key).unwrap_or(false);
-        if has_voted {
-            panic!("Already voted");
-        }
-        
-        env.storage().instance().set(&voted_key, &true);
-        
-        // Update vote count
-        let votes_key = symbol_short!("votes");
-        let current_votes: i128 = env.storage().instance().get(&votes_key).unwrap_or(0);
-        let new_votes = if vote { current_votes + 1 } else { current_votes - 1 };
-        env.storage().instance().set(&votes_key, &new_votes);
-    }
-    
-    pub fn get_votes(env: Env, _proposal_id: u32) -> i128 {
-        let votes_key = symbol_short!("votes");
-        env.storage().instance().get(&votes_key).unwrap_or(0)
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "voting-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        },
-        {
-          name: 'test.rs',
-          type: 'file',
-          content: `#[cfg(test)]
-mod test {
-    use super::*;
-    use soroban_sdk::{Env, Address, symbol_short};
-
-    #[test]
-    fn test_create_proposal() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, VotingContract);
-        let client = VotingContractClient::new(&env, &contract_id);
-        
-        let proposer = Address::random(&env);
-        let description = symbol_short!("Test Proposal");
-        
-        let proposal_id = client.create_proposal(&proposer, &description);
-        assert_eq!(proposal_id, 1);
-    }
-}`
-        }
-      ];
-    } else if (template === 'nft') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
-
-#[contract]
-pub struct NFTContract;
-
-#[contractimpl]
-impl NFTContract {
-    pub fn mint(env: Env, to: Address, token_id: u32) {
-        let minter: Address = env.storage().instance().get(&symbol_short!("minter")).unwrap();
-        minter.require_auth();
-        
-        // Check if token already exists
-        let owner_key = symbol_short!("owner");
-        let existing_owner: Option<Address> = env.storage().instance().get(&owner_key);
-        if existing_owner.is_some() {
-            panic!("Token already exists");
-        }
-        
-        // Set owner
-        env.storage().instance().set(&owner_key, &to);
-        
-        // Increment total supply
-        let supply_key = symbol_short!("supply");
-        let current_supply: u32 = env.storage().instance().get(&supply_key).unwrap_or(0);
-        env.storage().instance().set(&supply_key, &(current_supply + 1));
-    }
-    
-    pub fn transfer(env: Env, from: Address, to: Address, token_id: u32) {
-        from.require_auth();
-        
-        let owner_key = symbol_short!("owner");
-        let current_owner: Address = env.storage().instance().get(&owner_key).unwrap();
-        
-        if current_owner != from {
-            panic!("Not the owner");
-        }
-        
-        env.storage().instance().set(&owner_key, &to);
-    }
-    
-    pub fn owner_of(env: Env, token_id: u32) -> Address {
-        let owner_key = symbol_short!("owner");
-        env.storage().instance().get(&owner_key).unwrap()
-    }
-    
-    pub fn total_supply(env: Env) -> u32 {
-        let supply_key = symbol_short!("supply");
-        env.storage().instance().get(&supply_key).unwrap_or(0)
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "nft-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        },
-        {
-          name: 'test.rs',
-          type: 'file',
-          content: `#[cfg(test)]
-mod test {
-    use super::*;
-    use soroban_sdk::{Env, Address};
-
-    #[test]
-    fn test_mint() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, NFTContract);
-        let client = NFTContractClient::new(&env, &contract_id);
-        
-        let minter = Address::random(&env);
-        let to = Address::random(&env);
-        
-        client.mint(&to, &1);
-        assert_eq!(client.owner_of(&1), to);
-    }
-}`
-        }
-      ];
-    } else if (template === 'escrow') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address};
-
-#[contract]
-pub struct EscrowContract;
-
-#[contractimpl]
-impl EscrowContract {
-    pub fn create_escrow(env: Env, buyer: Address, seller: Address, amount: i128) -> u32 {
-        buyer.require_auth();
-        
-        let escrow_count_key = symbol_short!("escrow_count");
-        let escrow_count: u32 = env.storage().instance().get(&escrow_count_key).unwrap_or(0);
-        let escrow_id = escrow_count + 1;
-        
-        env.storage().instance().set(&escrow_count_key, &escrow_id);
-        
-        // Store escrow data
-        let buyer_key = symbol_short!("buyer");
-        env.storage().instance().set(&buyer_key, &buyer);
-        
-        let seller_key = symbol_short!("seller");
-        env.storage().instance().set(&seller_key, &seller);
-        
-        let amount_key = symbol_short!("amount");
-        env.storage().instance().set(&amount_key, &amount);
-        
-        let status_key = symbol_short!("status");
-        env.storage().instance().set(&status_key, &symbol_short!("pending"));
-        
-        escrow_id
-    }
-    
-    pub fn release(env: Env, escrow_id: u32) {
-        let seller_key = symbol_short!("seller");
-        let seller: Address = env.storage().instance().get(&seller_key).unwrap();
-        seller.require_auth();
-        
-        let status_key = symbol_short!("status");
-        env.storage().instance().set(&status_key, &symbol_short!("released"));
-    }
-    
-    pub fn refund(env: Env, escrow_id: u32) {
-        let buyer_key = symbol_short!("buyer");
-        let buyer: Address = env.storage().instance().get(&buyer_key).unwrap();
-        buyer.require_auth();
-        
-        let status_key = symbol_short!("status");
-        env.storage().instance().set(&status_key, &symbol_short!("refunded"));
-    }
-    
-    pub fn get_status(env: Env, escrow_id: u32) -> Symbol {
-        let status_key = symbol_short!("status");
-        env.storage().instance().get(&status_key).unwrap()
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "escrow-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        },
-        {
-          name: 'test.rs',
-          type: 'file',
-          content: `#[cfg(test)]
-mod test {
-    use super::*;
-    use soroban_sdk::{Env, Address, symbol_short};
-
-    #[test]
-    fn test_create_escrow() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, EscrowContract);
-        let client = EscrowContractClient::new(&env, &contract_id);
-        
-        let buyer = Address::random(&env);
-        let seller = Address::random(&env);
-        
-        let escrow_id = client.create_escrow(&buyer, &seller, &1000);
-        assert_eq!(escrow_id, 1);
-    }
-}`
-        }
-      ];
-    } else if (template === 'multisig') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
-
-#[contract]
-pub struct MultiSigContract;
-
-#[contractimpl]
-impl MultiSigContract {
-    pub fn initialize(env: Env, owners: Vec<Address>, threshold: u32) {
-        let owners_key = symbol_short!("owners");
-        env.storage().instance().set(&owners_key, &owners);
-        
-        let threshold_key = symbol_short!("threshold");
-        env.storage().instance().set(&threshold_key, &threshold);
-    }
-    
-    pub fn submit_transaction(env: Env, proposer: Address, to: Address, amount: i128) -> u32 {
-        proposer.require_auth();
-        
-        // Verify proposer is an owner
-        let owners_key = symbol_short!("owners");
-        let owners: Vec<Address> = env.storage().instance().get(&owners_key).unwrap();
-        let mut is_owner = false;
-        for owner in owners.iter() {
-            if *owner == proposer {
-                is_owner = true;
-                break;
-            }
-        }
-        if !is_owner {
-            panic!("Not an owner");
-        }
-        
-        let tx_count_key = symbol_short!("tx_count");
-        let tx_count: u32 = env.storage().instance().get(&tx_count_key).unwrap_or(0);
-        let tx_id = tx_count + 1;
-        
-        env.storage().instance().set(&tx_count_key, &tx_id);
-        
-        // Store transaction
-        let tx_to_key = symbol_short!("tx_to");
-        env.storage().instance().set(&tx_to_key, &to);
-        
-        let tx_amount_key = symbol_short!("tx_amount");
-        env.storage().instance().set(&tx_amount_key, &amount);
-        
-        // Initialize approvals
-        let approvals_key = symbol_short!("approvals");
-        env.storage().instance().set(&approvals_key, &0u32);
-        
-        tx_id
-    }
-    
-    pub fn approve(env: Env, approver: Address, tx_id: u32) {
-        approver.require_auth();
-        
-        // Verify approver is an owner
-        let owners_key = symbol_short!("owners");
-        let owners: Vec<Address> = env.storage().instance().get(&owners_key).unwrap();
-        let mut is_owner = false;
-        for owner in owners.iter() {
-            if *owner == approver {
-                is_owner = true;
-                break;
-            }
-        }
-        if !is_owner {
-            panic!("Not an owner");
-        }
-        
-        let approvals_key = symbol_short!("approvals");
-        let current_approvals: u32 = env.storage().instance().get(&approvals_key).unwrap_or(0);
-        env.storage().instance().set(&approvals_key, &(current_approvals + 1));
-    }
-    
-    pub fn execute(env: Env, tx_id: u32) {
-        let threshold_key = symbol_short!("threshold");
-        let threshold: u32 = env.storage().instance().get(&threshold_key).unwrap();
-        
-        let approvals_key = symbol_short!("approvals");
-        let approvals: u32 = env.storage().instance().get(&approvals_key).unwrap_or(0);
-        
-        if approvals < threshold {
-            panic!("Insufficient approvals");
-        }
-        
-        // Transaction executed
-        let executed_key = symbol_short!("executed");
-        env.storage().instance().set(&executed_key, &true);
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "multisig-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        },
-        {
-          name: 'test.rs',
-          type: 'file',
-          content: `#[cfg(test)]
-mod test {
-    use super::*;
-    use soroban_sdk::{Env, Address, Vec};
-
-    #[test]
-    fn test_initialize() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, MultiSigContract);
-        let client = MultiSigContractClient::new(&env, &contract_id);
-        
-        let owners = Vec::new(&env);
-        let owner1 = Address::random(&env);
-        let owner2 = Address::random(&env);
-        owners.push_back(owner1.clone());
-        owners.push_back(owner2.clone());
-        
-        client.initialize(&owners, &2);
-    }
-}`
-        }
-      ];
-    } else if (template === 'auction') {
-      defaultFiles = [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address};
-
-#[contract]
-pub struct AuctionContract;
-
-#[contractimpl]
-impl AuctionContract {
-    pub fn create_auction(env: Env, seller: Address, starting_bid: i128, duration: u64) -> u32 {
-        seller.require_auth();
-        
-        let auction_count_key = symbol_short!("auction_count");
-        let auction_count: u32 = env.storage().instance().get(&auction_count_key).unwrap_or(0);
-        let auction_id = auction_count + 1;
-        
-        env.storage().instance().set(&auction_count_key, &auction_id);
-        
-        // Store auction data
-        let seller_key = symbol_short!("seller");
-        env.storage().instance().set(&seller_key, &seller);
-        
-        let highest_bid_key = symbol_short!("highest_bid");
-        env.storage().instance().set(&highest_bid_key, &starting_bid);
-        
-        let highest_bidder_key = symbol_short!("highest_bidder");
-        env.storage().instance().set(&highest_bidder_key, &seller);
-        
-        let end_time_key = symbol_short!("end_time");
-        let current_time = env.ledger().timestamp();
-        env.storage().instance().set(&end_time_key, &(current_time + duration));
-        
-        auction_id
-    }
-    
-    pub fn bid(env: Env, auction_id: u32, bidder: Address, amount: i128) {
-        bidder.require_auth();
-        
-        let end_time_key = symbol_short!("end_time");
-        let end_time: u64 = env.storage().instance().get(&end_time_key).unwrap();
-        let current_time = env.ledger().timestamp();
-        
-        if current_time >= end_time {
-            panic!("Auction ended");
-        }
-        
-        let highest_bid_key = symbol_short!("highest_bid");
-        let highest_bid: i128 = env.storage().instance().get(&highest_bid_key).unwrap();
-        
-        if amount <= highest_bid {
-            panic!("Bid too low");
-        }
-        
-        // Update highest bid
-        env.storage().instance().set(&highest_bid_key, &amount);
-        
-        let highest_bidder_key = symbol_short!("highest_bidder");
-        env.storage().instance().set(&highest_bidder_key, &bidder);
-    }
-    
-    pub fn settle(env: Env, auction_id: u32) {
-        let end_time_key = symbol_short!("end_time");
-        let end_time: u64 = env.storage().instance().get(&end_time_key).unwrap();
-        let current_time = env.ledger().timestamp();
-        
-        if current_time < end_time {
-            panic!("Auction not ended");
-        }
-        
-        let settled_key = symbol_short!("settled");
-        env.storage().instance().set(&settled_key, &true);
-    }
-    
-    pub fn get_highest_bid(env: Env, auction_id: u32) -> i128 {
-        let highest_bid_key = symbol_short!("highest_bid");
-        env.storage().instance().get(&highest_bid_key).unwrap()
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "auction-contract"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        },
-        {
-          name: 'test.rs',
-          type: 'file',
-          content: `#[cfg(test)]
-mod test {
-    use super::*;
-    use soroban_sdk::{Env, Address};
-
-    #[test]
-    fn test_create_auction() {
-        let env = Env::default();
-        let contract_id = env.register_contract(None, AuctionContract);
-        let client = AuctionContractClient::new(&env, &contract_id);
-        
-        let seller = Address::random(&env);
-        let auction_id = client.create_auction(&seller, &1000, &86400);
-        assert_eq!(auction_id, 1);
-    }
-}`
-        }
-      ];
-    } else {
-      // Default hello world template
-      defaultFiles = files || [
-        {
-          name: 'lib.rs',
-          type: 'file',
-          content: `#![no_std]
-// Soroban smart contract
-use core::clone::Clone;
-use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol};
-
-#[contract]
-pub struct HelloContract;
-
-#[contractimpl]
-impl HelloContract {
-    pub fn hello(_env: Env, _to: Symbol) -> Symbol {
-        symbol_short!("Hello")
-    }
-}`
-        },
-        {
-          name: 'Cargo.toml',
-          type: 'file',
-          content: `[package]
-name = "hello-world"
-version = "0.1.0"
-edition = "2021"
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev-dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[lib]
-crate-type = ["cdylib"]
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true`
-        },
-        {
-          name: '.cargo/config.toml',
-          type: 'file',
-          content: `[target.wasm32v1-none]
-rustflags = [
-    "-C", "target-feature=-crt-static",
-    "-C", "link-arg=--no-entry"
-]`
-        }
-      ];
+    
+    // Files sent without a template are used as-is; otherwise the template
+    // registry renders them (hello-world when no template is given)
+    let defaultFiles = files;
+    let templateInfo = null;
+    if (template || !files) {
+      // Templates depend on the project's SDK version unless told otherwise
+      const templateVariables = toolchain.sdk ? { sdkVersion: toolchain.sdk, ...variables } : variables;
+      const rendered = await templateService.createProjectFiles(template, { projectName, variables: templateVariables, user });
+      defaultFiles = rendered.files;
+      templateInfo = rendered.template;
     }
 
     const project = new Project({
       name: projectName,
       userId: user._id,
+      organizationId: organizationId || null,
+      template: templateInfo,
       files: defaultFiles,
-      isLocal: isLocal === true || isLocal === 'true'
+      isLocal: isLocal === true || isLocal === 'true',
+      toolchain,
+      ...details
     });
 
     const savedProject = await project.save();
-    res.status(201).json(savedProject);
+    const versionedProject = await revisionService.recordInitialRevision(savedProject, user._id);
+    res.status(201).json(versionedProject);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create project' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create project' });
   }
 });
 
-// GET /api/projects/:id - Get single project
-router.get('/:id', authenticate, async (req, res) => {
+// POST /api/projects/import - Create a project from an uploaded zip or tar.gz archive
+router.post('/import', authenticate, (req, res, next) => {
+  archiveUpload(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
   try {
     const user = req.user;
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'Archive file is required (multipart field "archive")' });
     }
     
-    // Verify project belongs to user
-    if (project.userId.toString() !== user._id.toString()) {
-      return res.status(403).json({ error: 'You do not have permission to access this project' });
+    const { files, skipped, format } = await archiveService.extractProjectFiles(req.file.buffer);
+    
+    // Default the project name to the archive name without its extension
+    const archiveName = (req.file.originalname || '').replace(/\.(zip|tar\.gz|tgz|tar)$/i, '');
+    const project = new Project({
+      name: req.body.name || archiveName || 'Imported Project',
+      userId: user._id,
+      files
+    });
+    
+    const savedProject = await project.save();
+    const versionedProject = await revisionService.recordInitialRevision(savedProject, user._id);
+    
+    res.status(201).json({
+      project: versionedProject,
+      format,
+      importedFiles: files.filter(f => f.type === 'file').length,
+      skipped
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to import project' });
+  }
+});
+
+// POST /api/projects/clone - Create a project by cloning a git repository
+router.post('/clone', authenticate, async (req, res) => {
+  try {
+    const { remoteUrl, branch, name } = req.body;
+    const user = req.user;
+    
+    const project = await gitService.cloneProject({ remoteUrl, branch, name, userId: user._id });
+    
+    res.set('ETag', revisionEtag(project.revision));
+    res.status(201).json(project);
+  } catch (error) {
+    if (!error.status) {
+      console.error('Project clone error:', error);
     }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to clone repository' });
+  }
+});
+
+// GET /api/projects/invitations - Pending project invitations for the current user's email
+router.get('/invitations', authenticate, async (req, res) => {
+  try {
+    const invitations = await collaborationService.listInvitationsForUser(req.user);
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// GET /api/projects/invitations/:token - Show an invitation before accepting it
+router.get('/invitations/:token', authenticate, async (req, res) => {
+  try {
+    const invitation = await collaborationService.getInvitationByToken(req.params.token);
+    res.json(invitation);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch invitation' });
+  }
+});
+
+// POST /api/projects/invitations/:token/accept - Join a project from an invitation link
+router.post('/invitations/:token/accept', authenticate, async (req, res) => {
+  try {
+    const { project, role } = await collaborationService.acceptInvitation(req.params.token, req.user);
+    res.json({ project: { ...project.toJSON(), role }, role });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to accept invitation' });
+  }
+});
+
+// GET /api/projects/tags - Tags used across the current user's projects, with counts
+router.get('/tags', authenticate, async (req, res) => {
+  try {
+    const tags = await projectListService.listTags(req.user);
+    res.json(tags);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// GET /api/projects/trash - Deleted projects the current user owns, with the date each will be purged
+router.get('/trash', authenticate, async (req, res) => {
+  try {
+    const projects = await trashService.listTrash(req.user);
+    res.json(projects);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// DELETE /api/projects/trash - Permanently delete every project in the current user's trash
+router.delete('/trash', authenticate, async (req, res) => {
+  try {
+    const purged = await trashService.emptyTrash(req.user);
+    res.json({ message: 'Trash emptied successfully', purged });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// POST /api/projects/trash/:id/restore - Take a project out of the trash
+router.post('/trash/:id/restore', authenticate, requireProjectRole('owner', req => req.params.id, { trashed: true }), async (req, res) => {
+  try {
+    const project = await trashService.restoreProject(req.project);
+    res.json({ ...project.toJSON(), role: await organizationService.resolveProjectRole(project, req.user._id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to restore project' });
+  }
+});
+
+// DELETE /api/projects/trash/:id - Permanently delete a project in the trash
+router.delete('/trash/:id', authenticate, requireProjectRole('owner', req => req.params.id, { trashed: true }), async (req, res) => {
+  try {
+    if (!(await trashService.purgeProject(req.project))) {
+      return res.status(404).json({ error: 'Project is not in the trash' });
+    }
+    res.json({ message: 'Project permanently deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+// GET /api/projects/:id - Get single project
+router.get('/:id', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
     
-    res.json(project);
+    res.set('ETag', revisionEtag(project.revision));
+    res.json({
+      ...project.toJSON(),
+      role: req.projectRole,
+      pinned: projectListService.isPinned(project, req.user._id)
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch project' });
   }
 });
 
 // PUT /api/projects/:id - Update project
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, requireProjectRole('editor'), async (req, res) => {
   try {
     const user = req.user;
-    const { name, files } = req.body;
+    const { name, files, message } = req.body;
+    const details = parseProjectDetails(req.body);
     
-    // Verify project belongs to user
-    const existingProject = await Project.findById(req.params.id);
-    if (!existingProject) {
-      return res.status(404).json({ error: 'Project not found' });
+    const existingProject = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
     }
     
-    if (existingProject.userId.toString() !== user._id.toString()) {
-      return res.status(403).json({ error: 'You do not have permission to update this project' });
+    if (expectedRevision !== null && expectedRevision !== existingProject.revision) {
+      return sendRevisionConflict(res, existingProject, files, expectedRevision);
     }
     
-    const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (files !== undefined) updateData.files = files;
+    let project = existingProject;
     
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // File changes are recorded as a new revision
+    if (files !== undefined) {
+      const result = await revisionService.saveFiles(project, files, {
+        userId: user._id,
+        message,
+        expectedRevision
+      });
+      if (result.conflict) {
+        return sendRevisionConflict(res, result.project, files, expectedRevision);
+      }
+      project = result.project;
+    }
     
+    if (name !== undefined || Object.keys(details).length > 0) {
+      const update = name !== undefined ? { name, ...details } : details;
+      project = await Project.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true, runValidators: true }
+      );
+    }
+    
+    res.set('ETag', revisionEtag(project.revision));
     res.json(project);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update project' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update project' });
+  }
+});
+
+// PUT /api/projects/:id/toolchain - Choose the Rust channel, stellar-cli and soroban-sdk versions
+// builds use ({rust, stellarCli, sdk}; null fields use the workers' defaults)
+router.put('/:id/toolchain', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const toolchain = await toolchainService.validate(req.body);
+    const project = await Project.findByIdAndUpdate(req.project._id, { toolchain }, { new: true });
+    res.json(project.toolchain);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update toolchain' });
+  }
+});
+
+// GET /api/projects/:id/interface - Functions, types, errors and events of the project's
+// contracts, decoded from the WASM of its latest compile. Optional: ?contract=name
+router.get('/:id/interface', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const contractInterface = await contractInterfaceService.getProjectInterface(req.project._id, {
+      contract: typeof req.query.contract === 'string' && req.query.contract ? req.query.contract : null
+    });
+    res.json(contractInterface);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get contract interface' });
+  }
+});
+
+// GET /api/projects/:id/artifacts - List build artifacts (newest first).
+// Optional: ?limit=&before=<artifact id>&contract=&job=<compile job id>
+router.get('/:id/artifacts', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const artifacts = await artifactService.listArtifacts(req.project._id, {
+      limit: req.query.limit,
+      before: req.query.before,
+      contract: typeof req.query.contract === 'string' ? req.query.contract : null,
+      job: req.query.job
+    });
+    res.json({ artifacts: artifacts.map(artifact => artifactService.describeArtifact(artifact)) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to list artifacts' });
+  }
+});
+
+// GET /api/projects/:id/artifacts/:artifactId - Get an artifact's provenance
+router.get('/:id/artifacts/:artifactId', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const artifact = await artifactService.getArtifact(req.project._id, req.params.artifactId);
+    res.json(artifactService.describeArtifact(artifact));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get artifact' });
+  }
+});
+
+// GET /api/projects/:id/artifacts/:artifactId/download - Download an artifact's WASM
+router.get('/:id/artifacts/:artifactId/download', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const artifact = await artifactService.getArtifact(req.project._id, req.params.artifactId);
+    const wasmBuffer = await artifactService.readWasm(artifact);
+    res.set({
+      'Content-Type': 'application/wasm',
+      'Content-Disposition': `attachment; filename="${artifact.wasmFile.replace(/["\\\r\n]/g, '')}"`,
+      'ETag': `"${artifact.sha256}"`,
+      'X-Content-SHA256': artifact.sha256
+    });
+    res.send(wasmBuffer);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to download artifact' });
+  }
+});
+
+// PUT /api/projects/:id/pin - Pin the project for the current user; list pinned projects with ?pinned=true
+router.put('/:id/pin', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    await Project.updateOne({ _id: req.project._id }, { $addToSet: { pinnedBy: req.user._id } });
+    res.json({ pinned: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to pin project' });
+  }
+});
+
+// DELETE /api/projects/:id/pin - Unpin the project for the current user
+router.delete('/:id/pin', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    await Project.updateOne({ _id: req.project._id }, { $pull: { pinnedBy: req.user._id } });
+    res.json({ pinned: false });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unpin project' });
+  }
+});
+
+// GET /api/projects/:id/revisions - List saved revisions (without file contents)
+router.get('/:id/revisions', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const revisions = await revisionService.listRevisions(project._id, {
+      limit: req.query.limit,
+      before: req.query.before
+    });
+    
+    res.json({
+      currentRevision: project.revision,
+      revisions
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// GET /api/projects/:id/revisions/:revision - Get project files as they were at a revision
+router.get('/:id/revisions/:revision', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const revisionNumber = parseInt(req.params.revision, 10);
+    const revision = Number.isNaN(revisionNumber)
+      ? null
+      : await revisionService.getRevision(project._id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json({
+      _id: project._id,
+      name: project.name,
+      currentRevision: project.revision,
+      revision: revision.revision,
+      author: revision.userId,
+      message: revision.message,
+      contentHash: revision.contentHash,
+      changedFiles: revision.changedFiles,
+      files: revision.files,
+      createdAt: revision.createdAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// POST /api/projects/:id/revisions/:revision/restore - Restore a revision as a new save
+router.post('/:id/revisions/:revision/restore', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const user = req.user;
+    const project = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
+    }
+    
+    const revisionNumber = parseInt(req.params.revision, 10);
+    const result = Number.isNaN(revisionNumber)
+      ? null
+      : await revisionService.restoreRevision(project, revisionNumber, user._id, { expectedRevision });
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    if (result.conflict) {
+      return sendRevisionConflict(res, result.project, result.project.files, expectedRevision);
+    }
+    
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.json(result.project);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// GET /api/projects/:id/export - Download the project as a zip or tar.gz archive
+router.get('/:id/export', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const format = req.query.format || 'zip';
+    
+    if (!['zip', 'tar.gz'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be zip or tar.gz' });
+    }
+    
+    const project = req.project;
+    
+    const rootName = project.name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || 'contract';
+    const archive = archiveService.createProjectArchive(project, format, rootName);
+    
+    archive.on('error', (err) => {
+      console.error('Project export error:', err);
+      res.destroy(err);
+    });
+    
+    res.set({
+      'Content-Type': format === 'zip' ? 'application/zip' : 'application/gzip',
+      'Content-Disposition': `attachment; filename="${rootName}.${format}"`,
+      'ETag': revisionEtag(project.revision)
+    });
+    archive.pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export project' });
+  }
+});
+
+// GET /api/projects/:id/tree - Get project files as a nested folder tree
+router.get('/:id/tree', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    res.set('ETag', revisionEtag(project.revision));
+    res.json({
+      revision: project.revision,
+      tree: projectFileService.getTree(project)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch file tree' });
+  }
+});
+
+// GET /api/projects/:id/files - List files without their contents
+router.get('/:id/files', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    res.set('ETag', revisionEtag(project.revision));
+    res.json({
+      revision: project.revision,
+      files: projectFileService.listFiles(project)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch files' });
+  }
+});
+
+// POST /api/projects/:id/files/rename - Rename a file or folder within its parent folder
+router.post('/:id/files/rename', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const user = req.user;
+    const { path: filePath, newName, overwrite, message } = req.body;
+    
+    const project = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
+    }
+    
+    const result = await projectFileService.renameFile(project, filePath, newName, {
+      userId: user._id,
+      message,
+      overwrite: overwrite === true,
+      expectedRevision
+    });
+    if (result.conflict) {
+      return sendRevisionConflict(res, result.project, result.project.files, expectedRevision);
+    }
+    
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.json({
+      revision: result.project.revision,
+      updatedAt: result.project.updatedAt,
+      files: projectFileService.listFiles(result.project)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to rename file' });
+  }
+});
+
+// POST /api/projects/:id/files/move - Move a file or folder to another path
+router.post('/:id/files/move', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const user = req.user;
+    const { from, to, overwrite, message } = req.body;
+    
+    const project = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
+    }
+    
+    const result = await projectFileService.moveFile(project, from, to, {
+      userId: user._id,
+      message,
+      overwrite: overwrite === true,
+      expectedRevision
+    });
+    if (result.conflict) {
+      return sendRevisionConflict(res, result.project, result.project.files, expectedRevision);
+    }
+    
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.json({
+      revision: result.project.revision,
+      updatedAt: result.project.updatedAt,
+      files: projectFileService.listFiles(result.project)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to move file' });
+  }
+});
+
+// GET /api/projects/:id/search - Search file contents (q, regex, caseSensitive, wholeWord, include, exclude, maxResults)
+router.get('/:id/search', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const result = await searchService.search(project, { ...req.query, query: req.query.q });
+    res.set('ETag', revisionEtag(project.revision));
+    res.json({
+      revision: project.revision,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to search project' });
   }
 });
 
-// DELETE /api/projects/:id - Delete project
-router.delete('/:id', authenticate, async (req, res) => {
+// POST /api/projects/:id/replace - Replace every match of a search in one save
+router.post('/:id/replace', authenticate, requireProjectRole('editor'), async (req, res) => {
   try {
     const user = req.user;
+    const { query, replacement, regex, caseSensitive, wholeWord, include, exclude, message } = req.body;
+    const project = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
+    }
+    
+    const result = await searchService.replace(project, {
+      query,
+      replacement,
+      regex,
+      caseSensitive,
+      wholeWord,
+      include,
+      exclude
+    }, {
+      userId: user._id,
+      message,
+      expectedRevision
+    });
+    if (result.conflict) {
+      return sendRevisionConflict(res, result.project, result.files, expectedRevision ?? project.revision);
+    }
+    
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.json({
+      revision: result.project.revision,
+      changed: result.changed,
+      replacements: result.replacements,
+      totalReplacements: result.totalReplacements,
+      updatedAt: result.project.updatedAt
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to replace' });
+  }
+});
+
+// GET /api/projects/:id/files/* - Get a single file, or list a folder
+router.get('/:id/files/*', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const file = projectFileService.getFile(project, req.params[0]);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    res.set('ETag', revisionEtag(project.revision));
+    res.json({
+      revision: project.revision,
+      ...file
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch file' });
+  }
+});
+
+// PUT /api/projects/:id/files/* - Create or replace a single file (or create a folder with type 'folder')
+router.put('/:id/files/*', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const user = req.user;
+    const { content, type, message } = req.body;
+    
+    if (content !== undefined && typeof content !== 'string') {
+      return res.status(400).json({ error: 'File content must be a string' });
+    }
+    
+    const project = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
+    }
+    
+    const result = await projectFileService.writeFile(project, req.params[0], { content, type }, {
+      userId: user._id,
+      message,
+      expectedRevision
+    });
+    if (result.conflict) {
+      const clientFiles = result.project.files
+        .filter(f => f.name !== projectFileService.normalizePath(req.params[0]))
+        .concat([{ name: projectFileService.normalizePath(req.params[0]), type, content }]);
+      return sendRevisionConflict(res, result.project, clientFiles, expectedRevision);
+    }
+    
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.status(result.created ? 201 : 200).json({
+      revision: result.project.revision,
+      updatedAt: result.project.updatedAt,
+      ...projectFileService.getFile(result.project, req.params[0])
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to save file' });
+  }
+});
+
+// DELETE /api/projects/:id/files/* - Delete a file, or a folder and everything in it
+router.delete('/:id/files/*', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const user = req.user;
+    const project = req.project;
+    
+    const expectedRevision = getExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: 'Invalid revision in If-Match header or request body' });
+    }
+    
+    const result = await projectFileService.deleteFile(project, req.params[0], {
+      userId: user._id,
+      expectedRevision
+    });
+    if (result.conflict) {
+      return sendRevisionConflict(res, result.project, result.project.files, expectedRevision);
+    }
+    
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.json({
+      revision: result.project.revision,
+      updatedAt: result.project.updatedAt,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete file' });
+  }
+});
+
+// GET /api/projects/:id/git - Working-tree changes against HEAD (?fetch=true to refresh ahead/behind;
+// editors only, since the fetch uses the remote credentials)
+router.get('/:id/git', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    const fetch = req.query.fetch === 'true';
+    if (fetch && !roleSatisfies(req.projectRole, 'editor')) {
+      return res.status(403).json({
+        error: 'Fetching from the remote requires the editor role on this project',
+        role: req.projectRole,
+        requiredRole: 'editor'
+      });
+    }
+    
+    const status = await gitService.getStatus(project._id, { fetch });
+    res.json(status);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get git status' });
+  }
+});
+
+// PUT /api/projects/:id/git - Link the project to a git remote
+router.put('/:id/git', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const { remoteUrl, branch } = req.body;
+    const updated = await gitService.linkRemote(project, { remoteUrl, branch });
+    res.json(updated);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to link git remote' });
+  }
+});
+
+// DELETE /api/projects/:id/git - Unlink the project from its git remote
+router.delete('/:id/git', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const updated = await gitService.unlinkRemote(project);
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unlink git remote' });
+  }
+});
+
+// POST /api/projects/:id/git/commit - Commit the current project files
+router.post('/:id/git/commit', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const result = await gitService.commit(project._id, {
+      message: req.body.message,
+      author: gitAuthor(req.user)
+    });
+    res.status(201).json({ commit: result.commit, project: result.project });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to commit' });
+  }
+});
+
+// POST /api/projects/:id/git/pull - Fetch and merge the remote branch into the project
+router.post('/:id/git/pull', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const result = await gitService.pull(project._id, {
+      userId: req.user._id,
+      author: gitAuthor(req.user)
+    });
+    res.set('ETag', revisionEtag(result.project.revision));
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to pull' });
+  }
+});
+
+// POST /api/projects/:id/git/push - Push committed changes to the remote branch
+router.post('/:id/git/push', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const project = req.project;
+    
+    const result = await gitService.push(project._id);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to push' });
+  }
+});
+
+// GET /api/projects/:id/collaborators - List the people with access to the project
+router.get('/:id/collaborators', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const collaborators = await collaborationService.listCollaborators(req.project);
+    res.json(collaborators);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch collaborators' });
+  }
+});
+
+// POST /api/projects/:id/collaborators - Invite someone by email with a role
+router.post('/:id/collaborators', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    
+    const result = await collaborationService.inviteByEmail(req.project, {
+      email,
+      role,
+      inviter: req.user
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to invite collaborator' });
+  }
+});
+
+// PUT /api/projects/:id/collaborators/:userId - Change a collaborator's role
+router.put('/:id/collaborators/:userId', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    await collaborationService.updateRole(req.project, req.params.userId, req.body.role);
+    const project = await Project.findById(req.project._id);
+    res.json(await collaborationService.listCollaborators(project));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update collaborator' });
+  }
+});
+
+// DELETE /api/projects/:id/collaborators/:userId - Remove a collaborator (or leave the project)
+router.delete('/:id/collaborators/:userId', authenticate, requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user._id.toString();
+    if (!leaving && req.projectRole !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can remove collaborators' });
+    }
+    
+    await collaborationService.removeCollaborator(req.project, req.params.userId);
+    res.json({ message: leaving ? 'You left the project' : 'Collaborator removed' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to remove collaborator' });
+  }
+});
+
+// GET /api/projects/:id/invitations - List pending invitations
+router.get('/:id/invitations', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const invitations = await collaborationService.listInvitations(req.project._id);
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// DELETE /api/projects/:id/invitations/:invitationId - Revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const invitation = await collaborationService.revokeInvitation(req.project._id, req.params.invitationId);
+    res.json(invitation);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to revoke invitation' });
+  }
+});
+
+// GET /api/projects/:id/public - Get the project's public read-only link
+router.get('/:id/public', authenticate, requireProjectRole('owner'), async (req, res) => {
+  res.json(sharingService.describePublicLink(req.project));
+});
+
+// PUT /api/projects/:id/public - Publish the project at a new public link (replaces any previous link)
+router.put('/:id/public', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const project = await sharingService.createPublicLink(req.project, req.user._id);
+    res.json(sharingService.describePublicLink(project));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to publish project' });
+  }
+});
+
+// DELETE /api/projects/:id/public - Stop sharing the project publicly
+router.delete('/:id/public', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const project = await sharingService.revokePublicLink(req.project);
+    res.json(sharingService.describePublicLink(project));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke public link' });
+  }
+});
+
+// POST /api/projects/:id/fork - Copy a project the user can view into their workspace.
+// Published projects are forked by everyone else through their link (POST /api/public/projects/:token/fork)
+router.post('/:id/fork', authenticate, async (req, res) => {
+  try {
+    const { name, organizationId } = req.body;
+    const project = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Project.findOne({ _id: req.params.id, deletedAt: null })
+      : null;
     
-    // Verify project belongs to user
-    const project = await Project.findById(req.params.id);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
     
-    if (project.userId.toString() !== user._id.toString()) {
-      return res.status(403).json({ error: 'You do not have permission to delete this project' });
+    const role = await organizationService.resolveProjectRole(project, req.user._id);
+    if (!role) {
+      return res.status(403).json({ error: 'You do not have access to this project' });
     }
     
-    await Project.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Project deleted successfully' });
+    const fork = await sharingService.forkProject(project, req.user, { name, organizationId });
+    res.status(201).json({ ...fork.toJSON(), role: 'owner' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete project' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fork project' });
+  }
+});
+
+// POST /api/projects/:id/template - Save the project's files as a private, organization or public template
+router.post('/:id/template', authenticate, requireProjectRole('editor'), async (req, res) => {
+  try {
+    const { name, description, category, visibility, organizationId, variables } = req.body;
+    
+    const template = await templateService.saveProjectAsTemplate(req.project, req.user, {
+      name,
+      description,
+      category,
+      visibility,
+      organizationId,
+      variables
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to save template' });
+  }
+});
+
+// POST /api/projects/:id/transfer - Move the project into an organization, or back to personal with organizationId null
+router.post('/:id/transfer', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { organizationId } = req.body;
+    if (organizationId === undefined) {
+      return res.status(400).json({ error: 'organizationId is required (null moves the project to your personal workspace)' });
+    }
+    
+    const project = await organizationService.moveProject(req.project, organizationId, req.user);
+    res.json({ ...project.toJSON(), role: await organizationService.resolveProjectRole(project, req.user._id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to transfer project' });
+  }
+});
+
+// DELETE /api/projects/:id - Move project to the trash; it can be restored until it is purged
+router.delete('/:id', authenticate, requireProjectRole('owner'), async (req, res) => {
+  try {
+    const project = await trashService.trashProject(req.project, req.user._id);
+    res.json({
+      message: 'Project moved to trash',
+      deletedAt: project.deletedAt,
+      purgeAt: trashService.getPurgeAt(project)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete project' });
   }
 });
 
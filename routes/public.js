@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const sharingService = require('../services/sharingService');
+const projectFileService = require('../services/projectFileService');
+const { authenticate } = require('../middleware/auth');
+
+// Read-only access to published projects. No account needed: the
+// unguessable token in the link is the only credential. Forking one
+// needs an account as well as the link.
+
+/**
+ * Load the project for `req.params.token` into `req.project`
+ */
+async function loadPublicProject(req, res, next) {
+  try {
+    req.project = await sharingService.getPublicProject(req.params.token);
+    res.set('Cache-Control', 'no-store');
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch project' });
+  }
+}
+
+// GET /api/public/projects/:token - Get a published project and its files
+router.get('/projects/:token', loadPublicProject, (req, res) => {
+  res.json(sharingService.toPublicProject(req.project));
+});
+
+// GET /api/public/projects/:token/tree - Get a published project's files as a folder tree
+router.get('/projects/:token/tree', loadPublicProject, (req, res) => {
+  res.json({
+    revision: req.project.revision,
+    tree: projectFileService.getTree(req.project)
+  });
+});
+
+// GET /api/public/projects/:token/files/* - Get a single file, or list a folder
+router.get('/projects/:token/files/*', loadPublicProject, (req, res) => {
+  try {
+    const file = projectFileService.getFile(req.project, req.params[0]);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({
+      revision: req.project.revision,
+      ...file
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch file' });
+  }
+});
+
+// POST /api/public/projects/:token/fork - Copy a published project into the user's workspace
+router.post('/projects/:token/fork', authenticate, loadPublicProject, async (req, res) => {
+  try {
+    const { name, organizationId } = req.body;
+    const fork = await sharingService.forkProject(req.project, req.user, { name, organizationId });
+    res.status(201).json({ ...fork.toJSON(), role: 'owner' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fork project' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const { authenticate } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
 
 // Plan pricing (in XLM)
 const PLAN_PRICES = {
@@ -10,6 +11,20 @@ const PLAN_PRICES = {
   plan3: 100 // 100 XLM
 };
 
+/**
+ * Resolve whose subscription a request is about: the organization named by
+ * `organizationId` (query or body) or the current user
+ * @returns {Promise<Object>} {subscriber, organization}
+ */
+async function resolveSubscriber(req, requiredRole) {
+  const organizationId = req.body?.organizationId || req.query.organizationId;
+  if (!organizationId) {
+    return { subscriber: req.user, organization: null };
+  }
+  const { organization } = await organizationService.requireMember(organizationId, req.user, requiredRole);
+  return { subscriber: organization, organization };
+}
+
 /**
  * GET /api/subscriptions/plans
  * Get available subscription plans
@@ -53,28 +68,28 @@ router.get('/plans', (req, res) => {
 
 /**
  * GET /api/subscriptions/current
- * Get current user's subscription
+ * Get current user's subscription, or an organization's with ?organizationId=
  */
 router.get('/current', authenticate, async (req, res) => {
   try {
-    const user = req.user;
+    const { subscriber } = await resolveSubscriber(req, 'member');
     
     res.json({
       success: true,
       subscription: {
-        plan: user.subscription.plan,
-        status: user.subscription.status,
-        startDate: user.subscription.startDate,
-        endDate: user.subscription.endDate,
-        autoRenew: user.subscription.autoRenew
+        plan: subscriber.subscription.plan,
+        status: subscriber.subscription.status,
+        startDate: subscriber.subscription.startDate,
+        endDate: subscriber.subscription.endDate,
+        autoRenew: subscriber.subscription.autoRenew
       },
-      usage: user.usage
+      usage: subscriber.usage
     });
   } catch (error) {
     console.error('Get subscription error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to get subscription',
+      error: error.status ? error.message : 'Failed to get subscription',
       message: error.message
     });
   }
@@ -82,12 +97,14 @@ router.get('/current', authenticate, async (req, res) => {
 
 /**
  * POST /api/subscriptions/create
- * Create subscription payment request
+ * Create subscription payment request. Pass organizationId to buy a plan for
+ * an organization (requires the admin role in the organization).
  */
 router.post('/create', authenticate, async (req, res) => {
   try {
     const { plan } = req.body;
     const user = req.user;
+    const { subscriber, organization } = await resolveSubscriber(req, 'admin');
     
     if (!plan || !['plan2', 'plan3'].includes(plan)) {
       return res.status(400).json({
@@ -96,10 +113,12 @@ router.post('/create', authenticate, async (req, res) => {
       });
     }
     
-    if (user.subscription.plan === plan && user.subscription.status === 'active') {
+    if (subscriber.subscription.plan === plan && subscriber.subscription.status === 'active') {
       return res.status(400).json({
         success: false,
-        error: 'You already have an active subscription for this plan'
+        error: organization
+          ? 'The organization already has an active subscription for this plan'
+          : 'You already have an active subscription for this plan'
       });
     }
     
@@ -109,6 +128,7 @@ router.post('/create', authenticate, async (req, res) => {
     // Create subscription record
     const subscription = new Subscription({
       userId: user._id,
+      organizationId: organization ? organization._id : null,
       plan,
       status: 'active',
       startDate: new Date(),
@@ -123,8 +143,8 @@ router.post('/create', authenticate, async (req, res) => {
     
     await subscription.save();
     
-    // Generate payment memo (user ID for verification)
-    const memo = user._id.toString();
+    // Generate payment memo (user or organization ID for verification)
+    const memo = subscriber._id.toString();
     
     res.json({
       success: true,
@@ -145,9 +165,9 @@ router.post('/create', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Create subscription error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to create subscription',
+      error: error.status ? error.message : 'Failed to create subscription',
       message: error.message
     });
   }
@@ -155,13 +175,14 @@ router.post('/create', authenticate, async (req, res) => {
 
 /**
  * POST /api/subscriptions/cancel
- * Cancel subscription
+ * Cancel subscription (or an organization's with organizationId)
  */
 router.post('/cancel', authenticate, async (req, res) => {
   try {
     const user = req.user;
+    const { subscriber, organization } = await resolveSubscriber(req, 'admin');
     
-    if (user.subscription.plan === 'free') {
+    if (subscriber.subscription.plan === 'free') {
       return res.status(400).json({
         success: false,
         error: 'Cannot cancel free plan'
@@ -170,19 +191,21 @@ router.post('/cancel', authenticate, async (req, res) => {
     
     // Find active subscription
     const subscription = await Subscription.findOne({
-      userId: user._id,
+      ...(organization ? { organizationId: organization._id } : { userId: user._id, organizationId: null }),
       status: 'active'
     }).sort({ createdAt: -1 });
     
     if (subscription) {
       subscription.status = 'cancelled';
       subscription.cancelledAt = new Date();
-      subscription.cancelledReason = 'User requested cancellation';
+      subscription.cancelledReason = organization
+        ? `Cancelled by organization admin ${user._id}`
+        : 'User requested cancellation';
       await subscription.save();
     }
     
-    // Downgrade user to free plan
-    await user.updateSubscription('free');
+    // Downgrade user or organization to free plan
+    await subscriber.updateSubscription('free');
     
     res.json({
       success: true,
@@ -190,9 +213,9 @@ router.post('/cancel', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Cancel subscription error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to cancel subscription',
+      error: error.status ? error.message : 'Failed to cancel subscription',
       message: error.message
     });
   }
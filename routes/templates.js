@@ -1,72 +1,64 @@
 const express = require('express');
 const router = express.Router();
+const templateService = require('../services/templateService');
+const { authenticate, optionalAuth, requireAdmin } = require('../middleware/auth');
 
-// GET /api/templates - Get available project templates
-router.get('/', async (req, res) => {
+// GET /api/templates - Get available project templates: built-in, public, and
+// (when signed in) the user's own and their organizations' templates
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const templates = [
-      {
-        id: 'hello-world',
-        name: 'Hello World',
-        description: 'A simple hello world contract',
-        category: 'Basic',
-        files: ['lib.rs', 'Cargo.toml']
-      },
-      {
-        id: 'counter',
-        name: 'Counter Contract',
-        description: 'A counter contract with increment/decrement functions',
-        category: 'Basic',
-        files: ['lib.rs', 'Cargo.toml', 'test.rs']
-      },
-      {
-        id: 'token',
-        name: 'Token Contract',
-        description: 'A basic token contract with mint and balance functions',
-        category: 'Token',
-        files: ['lib.rs', 'Cargo.toml']
-      },
-      {
-        id: 'voting',
-        name: 'Voting Contract',
-        description: 'A voting contract with proposal creation and voting functionality',
-        category: 'Governance',
-        files: ['lib.rs', 'Cargo.toml', 'test.rs']
-      },
-      {
-        id: 'nft',
-        name: 'NFT Contract',
-        description: 'A non-fungible token contract with mint and transfer functions',
-        category: 'NFT',
-        files: ['lib.rs', 'Cargo.toml', 'test.rs']
-      },
-      {
-        id: 'escrow',
-        name: 'Escrow Contract',
-        description: 'An escrow contract for secure payments between parties',
-        category: 'DeFi',
-        files: ['lib.rs', 'Cargo.toml', 'test.rs']
-      },
-      {
-        id: 'multisig',
-        name: 'Multi-Signature Wallet',
-        description: 'A multi-signature wallet requiring multiple approvals for transactions',
-        category: 'Security',
-        files: ['lib.rs', 'Cargo.toml', 'test.rs']
-      },
-      {
-        id: 'auction',
-        name: 'Auction Contract',
-        description: 'An auction contract with bidding and settlement functionality',
-        category: 'Marketplace',
-        files: ['lib.rs', 'Cargo.toml', 'test.rs']
-      }
-    ];
-    
+    const templates = await templateService.listTemplates(req.user || null);
     res.json(templates);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch templates' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// GET /api/templates/:id - Get a template with its file contents
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.id, req.user || null);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      ...template,
+      variables: templateService.getVariables(template)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// POST /api/templates - Add a system template (admins). Users save their own with POST /api/projects/:id/template
+router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const template = await templateService.createTemplate(req.body, req.user);
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create template' });
+  }
+});
+
+// PUT /api/templates/:id - Update a template (its owner, or admins; only admins can override built-ins)
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const template = await templateService.updateTemplate(req.params.id, req.body, req.user);
+    res.json(template);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update template' });
+  }
+});
+
+// DELETE /api/templates/:id - Delete a template; deleting an override restores the built-in
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    await templateService.deleteTemplate(req.params.id, req.user);
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const UsageLog = require('../models/UsageLog');
+const { addTestJob } = require('../queues/testQueue');
+const gitService = require('../services/gitService');
+const toolchainService = require('../services/toolchainService');
+const { authenticate } = require('../middleware/auth');
+const { requireProjectRole } = require('../middleware/projectAccess');
+const { validateFileSet } = require('../utils/projectPaths');
+
+const MAX_FILTER_LENGTH = 200;
+
+// POST /api/test - Run a project's unit tests with `cargo test` (queued). Workspace
+// projects test every member contract, or only those named in `contracts`;
+// `filter` runs only the tests whose name contains it
+router.post('/', authenticate, requireProjectRole('editor', req => req.body.projectId), async (req, res) => {
+  try {
+    const { projectId, files, contracts = [], filter = null } = req.body;
+    const user = req.user;
+
+    if (!projectId || !files) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: projectId and files'
+      });
+    }
+
+    if (!Array.isArray(contracts) || !contracts.every(name => typeof name === 'string' && name.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'contracts must be an array of contract names'
+      });
+    }
+
+    if (filter !== null && (typeof filter !== 'string' || filter.length > MAX_FILTER_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `filter must be a string of at most ${MAX_FILTER_LENGTH} characters`
+      });
+    }
+
+    let testFiles;
+    try {
+      testFiles = validateFileSet(files);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const project = req.project;
+
+    // Jobs for a toolchain no live worker has would wait in the queue forever
+    let toolchain;
+    try {
+      toolchain = await toolchainService.validate(project.toolchain ? project.toolchain.toObject() : null, 'test');
+    } catch (toolchainError) {
+      if (!toolchainError.status) {
+        throw toolchainError;
+      }
+      return res.status(503).json({
+        success: false,
+        error: toolchainError.message
+      });
+    }
+
+    // Record which commit is being tested for git-backed projects
+    const source = gitService.getBuildSource(project, testFiles);
+
+    const jobId = new mongoose.Types.ObjectId();
+    const jobIdString = jobId.toString();
+
+    const bullJob = await addTestJob({
+      projectId,
+      files: testFiles,
+      contracts: contracts.map(name => name.trim()),
+      filter: filter ? filter.trim() || null : null,
+      toolchain,
+      jobId: jobIdString,
+      userId: user._id.toString()
+    });
+
+    if (!bullJob || !bullJob.id) {
+      throw new Error('Failed to create BullMQ job');
+    }
+
+    const job = new Job({
+      _id: jobId,
+      type: 'test',
+      status: 'queued',
+      userId: user._id,
+      project: projectId,
+      bullJobId: bullJob.id,
+      commitSha: source.commitSha,
+      dirty: source.dirty,
+      toolchain
+    });
+    await job.save();
+
+    const usageLog = new UsageLog({
+      userId: user._id,
+      action: 'test',
+      projectId,
+      success: false,
+      metadata: {
+        jobId: jobIdString
+      }
+    });
+    await usageLog.save();
+
+    // Results stream as job:test events in the job's socket room
+    res.status(202).json({
+      success: true,
+      jobId: job._id.toString(),
+      commitSha: job.commitSha,
+      dirty: job.dirty,
+      toolchain,
+      message: 'Test job queued'
+    });
+  } catch (error) {
+    console.error('Test queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue test job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
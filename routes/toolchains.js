@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const toolchainService = require('../services/toolchainService');
+
+// GET /api/toolchains - Rust channels and stellar-cli versions installed on live compile workers
+router.get('/', async (req, res) => {
+  try {
+    const toolchains = await toolchainService.listAvailable();
+    res.json(toolchains);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch toolchains' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Grant or revoke the site admin role
+ * Usage: node scripts/set-admin.js <email> [--revoke]
+ */
+async function setAdmin() {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/soroban-ide';
+  const email = (process.argv[2] || '').toLowerCase().trim();
+  const revoke = process.argv.includes('--revoke');
+
+  if (!email || email.startsWith('--')) {
+    console.error('Usage: node scripts/set-admin.js <email> [--revoke]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+
+    const user = await User.findOneAndUpdate(
+      { email },
+      { role: revoke ? 'user' : 'admin' },
+      { new: true }
+    );
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    console.log(`${user.email} is ${user.role === 'admin' ? 'now an admin' : 'no longer an admin'}`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+setAdmin();
@@ -44,8 +44,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
-  exposedHeaders: ["Content-Type"]
+  allowedHeaders: ["Content-Type", "Authorization", "If-Match"],
+  exposedHeaders: ["Content-Type", "ETag", "X-Next-Cursor"]
 };
 
 // Socket.IO setup with CORS
@@ -92,9 +92,13 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/public', require('./routes/public'));
 app.use('/api/compile', require('./routes/compile'));
+app.use('/api/test', require('./routes/test'));
 app.use('/api/deploy', require('./routes/deploy'));
 app.use('/api/templates', require('./routes/templates'));
+app.use('/api/toolchains', require('./routes/toolchains'));
 app.use('/api/jobs', require('./routes/jobs'));
 // Commented out invite system - replaced with premium gifting
 // app.use('/api/invites', require('./routes/invites'));
@@ -159,4 +163,9 @@ server.listen(PORT, () => {
   // Verify Socket.IO is working
   console.log(`Socket.IO namespace: ${io.name}`);
   console.log(`Socket.IO engine: ${io.engine?.constructor?.name || 'unknown'}`);
+  
+  // Recurring cleanup jobs (e.g. purging the project trash)
+  require('./workers/maintenanceWorker').startMaintenanceWorker().catch((error) => {
+    console.error('[MaintenanceWorker] Failed to start:', error.message);
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,291 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+const httpError = require('../utils/httpError');
+const { normalizeProjectPath, validateFileSet, parentPath, isIgnoredPath } = require('../utils/projectPaths');
+const { toCargoLayout } = require('../utils/cargoLayout');
+
+// Import limits (guard against archive bombs)
+const MAX_IMPORT_FILES = parseInt(process.env.MAX_IMPORT_FILES || '2000', 10);
+const MAX_IMPORT_BYTES = parseInt(process.env.MAX_IMPORT_BYTES || String(50 * 1024 * 1024), 10);
+// Zip compression methods
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+function tooManyFiles() {
+  return httpError(413, `Archive contains more than ${MAX_IMPORT_FILES} files`);
+}
+
+function tooLarge() {
+  return httpError(413, `Archive contents exceed ${Math.round(MAX_IMPORT_BYTES / 1024 / 1024)} MB`);
+}
+
+/**
+ * Archive service for importing and exporting projects as zip/tar.gz
+ */
+class ArchiveService {
+  /**
+   * Detect archive format from its first bytes
+   * @param {Buffer} buffer - Uploaded archive
+   * @returns {string|null} 'zip', 'tar.gz', 'tar' or null
+   */
+  detectFormat(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+      return 'zip';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    if (buffer.length >= 262 && buffer.toString('ascii', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+    return null;
+  }
+
+  /**
+   * Read all regular file entries of a zip archive. Entries are inflated
+   * here rather than by adm-zip so the sizes in their headers, which the
+   * archive's author chose, are not trusted.
+   */
+  readZipEntries(buffer) {
+    try {
+      const zip = new AdmZip(buffer);
+      const entries = [];
+      let fileCount = 0;
+      let totalBytes = 0;
+      for (const entry of zip.getEntries()) {
+        if (++fileCount > MAX_IMPORT_FILES) {
+          throw tooManyFiles();
+        }
+        const name = entry.entryName;
+        if (entry.isDirectory) {
+          entries.push({ name, type: 'folder' });
+          continue;
+        }
+
+        const data = this.inflateZipEntry(entry, MAX_IMPORT_BYTES - totalBytes);
+        totalBytes += data.length;
+        entries.push({ name, type: 'file', data });
+      }
+      return entries;
+    } catch (error) {
+      throw error.status ? error : httpError(400, `Invalid zip archive: ${error.message || error}`);
+    }
+  }
+
+  /**
+   * Decompress one zip entry and check it against its CRC
+   * @param {number} maxBytes - Most bytes the entry may inflate to
+   * @throws {Error} 413 error beyond maxBytes; other errors for bad entries
+   */
+  inflateZipEntry(entry, maxBytes) {
+    const { header } = entry;
+    if (header.encrypted) {
+      throw new Error(`${entry.entryName} is encrypted`);
+    }
+
+    const compressed = entry.getCompressedData();
+    let data;
+    if (header.method === ZIP_STORED) {
+      data = compressed;
+    } else if (header.method === ZIP_DEFLATED) {
+      try {
+        // One byte over the limit is enough to know it is too large
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes + 1 });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw tooLarge();
+        }
+        throw new Error(`${entry.entryName}: ${error.message}`);
+      }
+    } else {
+      throw new Error(`${entry.entryName} uses an unsupported compression method`);
+    }
+
+    if (data.length > maxBytes) {
+      throw tooLarge();
+    }
+    if (zlib.crc32(data) !== header.crc) {
+      throw new Error(`${entry.entryName} is corrupt (CRC mismatch)`);
+    }
+    return data;
+  }
+
+  /**
+   * Read all regular file entries of a tar or tar.gz archive
+   */
+  readTarEntries(buffer, gzipped) {
+    return new Promise((resolve, reject) => {
+      const extract = tar.extract();
+      const entries = [];
+      let fileCount = 0;
+      let totalBytes = 0;
+
+      extract.on('entry', (header, stream, next) => {
+        // Counted before reading, so many empty entries are stopped as well
+        if (++fileCount > MAX_IMPORT_FILES) {
+          extract.destroy(tooManyFiles());
+          return;
+        }
+
+        if (header.type === 'directory') {
+          entries.push({ name: header.name, type: 'folder' });
+          stream.resume();
+          stream.on('end', next);
+          return;
+        }
+
+        // Symlinks, devices etc. are skipped
+        if (header.type !== 'file') {
+          stream.resume();
+          stream.on('end', next);
+          return;
+        }
+
+        const chunks = [];
+        stream.on('data', (chunk) => {
+          totalBytes += chunk.length;
+          if (totalBytes > MAX_IMPORT_BYTES) {
+            extract.destroy(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        });
+        stream.on('end', () => {
+          entries.push({ name: header.name, type: 'file', data: Buffer.concat(chunks) });
+          next();
+        });
+      });
+
+      extract.on('finish', () => resolve(entries));
+      extract.on('error', (error) => reject(error.status ? error : httpError(400, `Invalid tar archive: ${error.message}`)));
+
+      const source = Readable.from([buffer]);
+      if (gzipped) {
+        const gunzip = zlib.createGunzip();
+        gunzip.on('error', (error) => reject(httpError(400, `Invalid gzip data: ${error.message}`)));
+        source.pipe(gunzip).pipe(extract);
+      } else {
+        source.pipe(extract);
+      }
+    });
+  }
+
+  /**
+   * Extract project files from an uploaded archive
+   * @param {Buffer} buffer - Archive contents
+   * @returns {Promise<Object>} {files, skipped, format}
+   * @throws {Error} 400/413 error for unsupported, malformed or oversized archives
+   */
+  async extractProjectFiles(buffer) {
+    const format = this.detectFormat(buffer);
+    if (!format) {
+      throw httpError(400, 'Unsupported archive format. Upload a .zip or .tar.gz file');
+    }
+
+    const entries = format === 'zip'
+      ? this.readZipEntries(buffer)
+      : await this.readTarEntries(buffer, format === 'tar.gz');
+
+    // Normalize paths first; "..", absolute paths etc. reject the whole archive
+    const normalized = entries.map(entry => ({
+      ...entry,
+      name: normalizeProjectPath(entry.name)
+    }));
+
+    // Archives made from a folder (and GitHub downloads) wrap everything in one top-level directory
+    const topLevel = new Set(normalized.map(entry => entry.name.split('/')[0]));
+    const [onlyRoot] = topLevel;
+    const stripRoot = topLevel.size === 1 &&
+      normalized.some(entry => entry.name.startsWith(`${onlyRoot}/`)) &&
+      !normalized.some(entry => entry.name === onlyRoot && entry.type === 'file');
+
+    const files = [];
+    const skipped = [];
+    for (const entry of normalized) {
+      const name = stripRoot ? entry.name.slice(onlyRoot.length + 1) : entry.name;
+      if (!name) {
+        continue;
+      }
+
+      if (isIgnoredPath(name)) {
+        continue;
+      }
+
+      if (entry.type === 'folder') {
+        files.push({ name, type: 'folder', content: '' });
+        continue;
+      }
+
+      // Project files are stored as text; binary files can't be edited in the IDE
+      if (entry.data.includes(0)) {
+        skipped.push({ name, reason: 'binary file' });
+        continue;
+      }
+
+      files.push({ name, type: 'file', content: entry.data.toString('utf8') });
+    }
+
+    // Only keep folder entries that would otherwise be empty
+    const fileFolders = new Set();
+    for (const file of files) {
+      for (let parent = parentPath(file.name); parent; parent = parentPath(parent)) {
+        fileFolders.add(parent);
+      }
+    }
+    const result = files.filter(file => file.type !== 'folder' || !fileFolders.has(file.name));
+
+    if (result.filter(file => file.type === 'file').length === 0) {
+      throw httpError(400, 'Archive does not contain any text files');
+    }
+    if (result.length > MAX_IMPORT_FILES) {
+      throw tooManyFiles();
+    }
+
+    return {
+      files: validateFileSet(result),
+      skipped,
+      format
+    };
+  }
+
+  /**
+   * Stream a project as a zip or tar.gz archive laid out as a regular Cargo project
+   * @param {Object} project - Project document
+   * @param {string} format - 'zip' or 'tar.gz'
+   * @param {string} rootName - Name of the top-level folder in the archive
+   * @returns {Archiver} Readable archive stream (already finalized)
+   */
+  createProjectArchive(project, format, rootName) {
+    const archive = format === 'zip'
+      ? archiver('zip', { zlib: { level: 9 } })
+      : archiver('tar', { gzip: true, gzipOptions: { level: 9 } });
+
+    const { files } = toCargoLayout(project.files.map(file => ({
+      name: file.name,
+      type: file.type,
+      content: file.content || ''
+    })));
+
+    for (const file of files) {
+      const name = `${rootName}/${file.name}`;
+      if (file.type === 'folder') {
+        archive.append(null, { name: `${name}/`, type: 'directory' });
+      } else {
+        archive.append(file.content, { name });
+      }
+    }
+
+    // Build output should never end up in the project
+    if (!files.some(file => file.name === '.gitignore')) {
+      archive.append('/target\n', { name: `${rootName}/.gitignore` });
+    }
+
+    archive.finalize();
+    return archive;
+  }
+}
+
+module.exports = new ArchiveService();
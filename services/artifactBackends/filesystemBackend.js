@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Artifact store backend keeping each object as a file below a root
+ * directory. Every backend implements the same methods:
+ *
+ * - put(key, buffer): store an object (keys are content hashes, so an
+ *   existing object is left as it is)
+ * - get(key): the object as a Buffer, or null if there is none
+ * - exists(key): whether the object is stored
+ * - remove(key): delete the object; missing objects are ignored
+ */
+class FilesystemBackend {
+  /**
+   * @param {Object} options - {rootDir}: directory the objects are written to
+   */
+  constructor({ rootDir }) {
+    this.name = 'filesystem';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * File of an object
+   * @throws {Error} For keys that would land outside the root directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    if (await fs.pathExists(filePath)) {
+      return;
+    }
+    // Write and rename so readers never see a partial file
+    await fs.ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return fs.pathExists(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.remove(this.resolve(key));
+  }
+}
+
+module.exports = FilesystemBackend;
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const mongoose = require('mongoose');
+const Artifact = require('../models/Artifact');
+const FilesystemBackend = require('./artifactBackends/filesystemBackend');
+const httpError = require('../utils/httpError');
+
+const ARTIFACT_STORE_BACKEND = process.env.ARTIFACT_STORE_BACKEND || 'filesystem';
+// Shared by the compile workers (which store) and the API (which serves)
+const ARTIFACT_STORE_DIR = process.env.ARTIFACT_STORE_DIR || path.join(os.tmpdir(), 'soroban-artifacts');
+
+/**
+ * Build artifacts: every contract WASM of a successful compile job, kept
+ * beyond the job's own lifetime with its provenance (source snapshot hash,
+ * toolchain, commit) so it can be downloaded or deployed later.
+ *
+ * Metadata lives in the Artifact collection; the WASM goes to a pluggable
+ * backend (filesystem by default; see artifactBackends/filesystemBackend.js
+ * for the interface), keyed by its sha256 so identical builds share a file.
+ */
+class ArtifactService {
+  constructor() {
+    this.backendFactories = new Map([
+      ['filesystem', () => new FilesystemBackend({ rootDir: ARTIFACT_STORE_DIR })]
+    ]);
+    this.backend = null;
+  }
+
+  /**
+   * Make a backend available under a name (ARTIFACT_STORE_BACKEND)
+   * @param {string} name - Backend name
+   * @param {Function} factory - Returns an object with put, get, exists and remove
+   */
+  registerBackend(name, factory) {
+    this.backendFactories.set(name, factory);
+  }
+
+  /**
+   * Backend in use, created on first use
+   * @throws {Error} If ARTIFACT_STORE_BACKEND names no registered backend
+   */
+  getBackend() {
+    if (!this.backend) {
+      const factory = this.backendFactories.get(ARTIFACT_STORE_BACKEND);
+      if (!factory) {
+        throw new Error(`Unknown artifact store backend "${ARTIFACT_STORE_BACKEND}"`);
+      }
+      this.backend = factory();
+      this.backend.name = this.backend.name || ARTIFACT_STORE_BACKEND;
+    }
+    return this.backend;
+  }
+
+  /**
+   * Store key of a WASM by its sha256
+   */
+  getStorageKey(sha256) {
+    return `wasm/${sha256.slice(0, 2)}/${sha256}.wasm`;
+  }
+
+  /**
+   * Keep the contracts of a successful compile job
+   * @param {Object} build - {projectId, jobId, userId, contracts (compile result entries with
+   *   wasmBase64), sourceHash, toolchain, toolchainVersion, commitSha, dirty, cached}
+   * @returns {Promise<Array>} Artifact documents
+   */
+  async storeBuild(build) {
+    const backend = this.getBackend();
+    const artifacts = [];
+    for (const contract of build.contracts) {
+      const wasmBuffer = Buffer.from(contract.wasmBase64, 'base64');
+      const sha256 = crypto.createHash('sha256').update(wasmBuffer).digest('hex');
+      const storageKey = this.getStorageKey(sha256);
+      await backend.put(storageKey, wasmBuffer);
+
+      const artifact = await Artifact.create({
+        project: build.projectId,
+        job: build.jobId,
+        userId: build.userId || null,
+        contract: contract.name,
+        path: contract.path || '.',
+        wasmFile: contract.wasmFile,
+        size: wasmBuffer.length,
+        sha256,
+        sourceHash: build.sourceHash,
+        toolchain: build.toolchain || null,
+        toolchainVersion: build.toolchainVersion || null,
+        commitSha: build.commitSha || null,
+        dirty: Boolean(build.dirty),
+        optimized: Boolean(contract.sizeReport?.optimizedSize),
+        cached: Boolean(build.cached),
+        backend: backend.name,
+        storageKey
+      });
+      // A concurrent deleteProjectArtifacts may have removed the shared file
+      // between the put and the create
+      if (!(await backend.exists(storageKey))) {
+        await backend.put(storageKey, wasmBuffer);
+      }
+      artifacts.push(artifact);
+    }
+    return artifacts;
+  }
+
+  /**
+   * Artifact JSON for API responses
+   */
+  describeArtifact(artifact) {
+    return {
+      id: artifact._id.toString(),
+      project: artifact.project.toString(),
+      job: artifact.job.toString(),
+      contract: artifact.contract,
+      path: artifact.path,
+      wasmFile: artifact.wasmFile,
+      size: artifact.size,
+      sha256: artifact.sha256,
+      sourceHash: artifact.sourceHash,
+      toolchain: artifact.toolchain,
+      toolchainVersion: artifact.toolchainVersion,
+      commitSha: artifact.commitSha,
+      dirty: artifact.dirty,
+      optimized: artifact.optimized,
+      cached: artifact.cached,
+      createdAt: artifact.createdAt
+    };
+  }
+
+  /**
+   * A project's artifacts, newest first
+   * @param {string} projectId - Project ID
+   * @param {Object} options - {limit} (default 50, max 200), {before}: artifact ID to page from,
+   *   {contract}: only this contract, {job}: only this compile job
+   * @returns {Promise<Array>} Artifact documents
+   */
+  async listArtifacts(projectId, options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 200);
+    const query = { project: projectId };
+
+    if (options.before) {
+      if (!mongoose.Types.ObjectId.isValid(options.before)) {
+        throw httpError(400, 'Invalid before cursor');
+      }
+      query._id = { $lt: options.before };
+    }
+    if (options.contract) {
+      query.contract = options.contract;
+    }
+    if (options.job) {
+      if (!mongoose.Types.ObjectId.isValid(options.job)) {
+        throw httpError(400, 'Invalid job ID');
+      }
+      query.job = options.job;
+    }
+
+    return Artifact.find(query).sort({ _id: -1 }).limit(limit);
+  }
+
+  /**
+   * One artifact of a project
+   * @throws {Error} 404 error if the project has no such artifact
+   */
+  async getArtifact(projectId, artifactId) {
+    const artifact = mongoose.Types.ObjectId.isValid(artifactId)
+      ? await Artifact.findOne({ _id: artifactId, project: projectId })
+      : null;
+    if (!artifact) {
+      throw httpError(404, 'Artifact not found');
+    }
+    return artifact;
+  }
+
+  /**
+   * Read an artifact's WASM from the store
+   * @returns {Promise<Buffer>}
+   * @throws {Error} 404 error if the store no longer has it, 500 error if it does not match its sha256
+   */
+  async readWasm(artifact) {
+    const wasmBuffer = await this.getBackend().get(artifact.storageKey);
+    if (!wasmBuffer) {
+      throw httpError(404, 'Artifact WASM is missing from the store');
+    }
+    const sha256 = crypto.createHash('sha256').update(wasmBuffer).digest('hex');
+    if (sha256 !== artifact.sha256) {
+      throw httpError(500, `Artifact WASM does not match its sha256 ${artifact.sha256}`);
+    }
+    return wasmBuffer;
+  }
+
+  /**
+   * Delete a project's artifacts, and the WASM no other artifact shares.
+   * A build storing the same WASM meanwhile skips its put because the file
+   * still exists, so a file that gained an artifact while being removed is
+   * written back.
+   * @returns {Promise<number>} Number of deleted artifacts
+   */
+  async deleteProjectArtifacts(projectId) {
+    const artifacts = await Artifact.find({ project: projectId }).select('storageKey');
+    if (artifacts.length === 0) {
+      return 0;
+    }
+    await Artifact.deleteMany({ project: projectId });
+
+    const backend = this.getBackend();
+    for (const storageKey of new Set(artifacts.map(artifact => artifact.storageKey))) {
+      if (await Artifact.exists({ storageKey })) {
+        continue;
+      }
+      try {
+        const wasmBuffer = await backend.get(storageKey);
+        await backend.remove(storageKey);
+        if (wasmBuffer && await Artifact.exists({ storageKey })) {
+          await backend.put(storageKey, wasmBuffer);
+        }
+      } catch (error) {
+        console.warn(`[ArtifactService] Could not remove ${storageKey}:`, error.message);
+      }
+    }
+    return artifacts.length;
+  }
+}
+
+module.exports = new ArtifactService();
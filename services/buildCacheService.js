@@ -0,0 +1,298 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const execFileAsync = promisify(execFile);
+
+const CACHE_DIR = process.env.BUILD_CACHE_DIR || path.join(os.tmpdir(), 'soroban-build-cache');
+const MAX_CACHE_BYTES = parseInt(process.env.BUILD_CACHE_MAX_BYTES || String(10 * 1024 * 1024 * 1024), 10);
+// Evict at most this often per worker; sizing large target dirs is not free
+const EVICT_INTERVAL_MS = parseInt(process.env.BUILD_CACHE_EVICT_INTERVAL_MS || String(5 * 60 * 1000), 10);
+// Leases older than this belong to builds that crashed and no longer protect a directory
+const LEASE_STALE_MS = 60 * 60 * 1000;
+// Directory locks are only held while creating a lease or removing a directory
+const DIR_LOCK_STALE_MS = 10 * 60 * 1000;
+const LAST_USED_FILE = '.last-used';
+const LEASE_PREFIX = '.lease-';
+// Present while everything in CARGO_HOME came from sandboxed fetches
+const TRUSTED_REGISTRY_MARKER = '.sandbox-fetched';
+
+/**
+ * Caches that let compile jobs reuse work:
+ *
+ * - one CARGO_HOME (crate registry and git checkouts) shared by every build.
+ *   Cargo locks its package cache, so several workers can share it, also on
+ *   a shared volume. With COMPILE_OFFLINE=true builds never touch the network
+ *   and rely on crates already in the registry. Sandboxed builds only read
+ *   it; it is filled by `cargo fetch` (see sandboxService.prepare).
+ * - a target directory per project, so a rebuild only recompiles what changed.
+ *   Cargo locks the build directory while compiling; builds also hold a lease
+ *   file on it so eviction never removes a directory that is in use. Leases
+ *   and the last-used time live next to the target directory, in a directory
+ *   builds never see: projects/<projectId>/target is what builds mount.
+ *
+ * When the cache grows past BUILD_CACHE_MAX_BYTES the least recently used
+ * target directories are removed.
+ */
+class BuildCacheService {
+  constructor() {
+    this.cacheDir = CACHE_DIR;
+    this.cargoHome = path.join(CACHE_DIR, 'cargo-home');
+    this.targetsDir = path.join(CACHE_DIR, 'projects');
+    // Earlier layout, where builds could write the lease files; removed by evict()
+    this.legacyTargetsDir = path.join(CACHE_DIR, 'targets');
+    this.lastEvictionAt = 0;
+  }
+
+  /**
+   * Cache directory of a project: its leases, last-used time and target directory
+   */
+  getProjectDir(projectId) {
+    return path.join(this.targetsDir, projectId.toString());
+  }
+
+  /**
+   * Target directory of a project
+   */
+  getTargetDir(projectId) {
+    return path.join(this.getProjectDir(projectId), 'target');
+  }
+
+  /**
+   * Lock file serializing lease creation and eviction of a project's directory.
+   * Kept outside the project directory so removing that does not race with it.
+   */
+  getDirLockPath(projectId) {
+    return path.join(this.cacheDir, 'locks', `${projectId}.lock`);
+  }
+
+  /**
+   * Run fn while holding a project directory's lock, waiting for it if needed
+   */
+  async withDirLock(projectId, fn) {
+    const lockPath = this.getDirLockPath(projectId);
+    await fs.ensureDir(path.dirname(lockPath));
+    while (!(await this.createLockFile(lockPath, DIR_LOCK_STALE_MS))) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Environment for cargo / stellar builds
+   * @param {string} cwd - Build directory, used as HOME so tools keep their config out of the real home
+   * @param {string} targetDir - CARGO_TARGET_DIR
+   */
+  getBuildEnv(cwd, targetDir) {
+    const env = {
+      ...process.env,
+      CARGO_HOME: this.cargoHome,
+      CARGO_TARGET_DIR: targetDir,
+      // rustup looks for toolchains under HOME unless told otherwise
+      RUSTUP_HOME: process.env.RUSTUP_HOME || path.join(os.homedir(), '.rustup'),
+      HOME: cwd,
+      USER: 'root'
+    };
+    if (process.env.COMPILE_OFFLINE === 'true') {
+      env.CARGO_NET_OFFLINE = 'true';
+    }
+    return env;
+  }
+
+  /**
+   * Make sure CARGO_HOME holds only crates that sandboxed fetches put there.
+   * Unsandboxed builds (SANDBOX_MODE=none, or workers from before builds got
+   * a read-only CARGO_HOME) could edit extracted sources, so the first
+   * sandboxed build after them drops the registry and git checkouts once;
+   * cargo downloads the crates again and checks them against the index.
+   */
+  async ensureTrustedRegistry() {
+    const markerPath = path.join(this.cargoHome, TRUSTED_REGISTRY_MARKER);
+    await fs.ensureDir(this.cargoHome);
+    const lockPath = path.join(this.cacheDir, '.registry-reset.lock');
+    while (!(await fs.pathExists(markerPath))) {
+      if (!(await this.createLockFile(lockPath))) {
+        // Another worker is resetting it
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        continue;
+      }
+      try {
+        if (!(await fs.pathExists(markerPath))) {
+          console.log('[BuildCacheService] Resetting the crate registry; it was writable by builds');
+          await fs.remove(path.join(this.cargoHome, 'registry'));
+          await fs.remove(path.join(this.cargoHome, 'git'));
+          await fs.writeFile(markerPath, new Date().toISOString());
+        }
+      } finally {
+        await fs.remove(lockPath).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Record that a build that can write to CARGO_HOME is about to run
+   */
+  async markRegistryUntrusted() {
+    await fs.remove(path.join(this.cargoHome, TRUSTED_REGISTRY_MARKER));
+  }
+
+  /**
+   * Take a lease on a project's target directory for the length of a build
+   * @returns {Promise<Object>} {targetDir, release}; call release() when the build is done
+   */
+  async acquireTargetDir(projectId) {
+    const projectDir = this.getProjectDir(projectId);
+    const targetDir = this.getTargetDir(projectId);
+    const leasePath = path.join(projectDir, `${LEASE_PREFIX}${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+    await fs.ensureDir(this.cargoHome);
+
+    // Under the lock, so eviction cannot remove the directory between its lease check and here
+    await this.withDirLock(projectId, async () => {
+      await fs.ensureDir(targetDir);
+      await fs.writeFile(leasePath, new Date().toISOString());
+      await this.touch(projectDir);
+    });
+
+    return {
+      targetDir,
+      release: async () => {
+        await this.touch(projectDir).catch(() => {});
+        await fs.remove(leasePath).catch(() => {});
+        this.evictInBackground();
+      }
+    };
+  }
+
+  /**
+   * Record that a project's target directory was just used
+   * @param {string} projectDir - See getProjectDir
+   */
+  async touch(projectDir) {
+    await fs.writeFile(path.join(projectDir, LAST_USED_FILE), new Date().toISOString());
+  }
+
+  /**
+   * Whether a build currently holds a lease on a project's target directory
+   * @param {string} projectDir - See getProjectDir
+   */
+  async isLeased(projectDir) {
+    const entries = await fs.readdir(projectDir).catch(() => []);
+    for (const entry of entries.filter(name => name.startsWith(LEASE_PREFIX))) {
+      const stats = await fs.stat(path.join(projectDir, entry)).catch(() => null);
+      const age = stats ? Date.now() - stats.mtimeMs : Infinity;
+      if (age >= 0 && age < LEASE_STALE_MS) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Disk usage of a directory in bytes
+   */
+  async getSize(dir) {
+    const { stdout } = await execFileAsync('du', ['-sk', dir], { timeout: 5 * 60 * 1000 });
+    return parseInt(stdout.split('\t')[0], 10) * 1024;
+  }
+
+  /**
+   * Run eviction unless it ran recently in this process. Errors are logged,
+   * never thrown, since they must not fail the build that triggered them.
+   */
+  evictInBackground() {
+    if (Date.now() - this.lastEvictionAt < EVICT_INTERVAL_MS) {
+      return;
+    }
+    this.lastEvictionAt = Date.now();
+    this.evict().catch((error) => {
+      console.warn('[BuildCacheService] Eviction failed:', error.message);
+    });
+  }
+
+  /**
+   * Create a lock file atomically, taking over locks left by crashed workers
+   * @param {number} [staleMs] - Age after which a lock counts as left behind
+   * @returns {Promise<boolean>} false if another worker holds the lock
+   */
+  async createLockFile(lockPath, staleMs = LEASE_STALE_MS) {
+    try {
+      await fs.writeFile(lockPath, `${os.hostname()}-${process.pid}`, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stats = await fs.stat(lockPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs < staleMs) {
+      return false;
+    }
+    await fs.remove(lockPath);
+    return this.createLockFile(lockPath, staleMs);
+  }
+
+  /**
+   * Remove least recently used target directories until the cache fits in
+   * BUILD_CACHE_MAX_BYTES. The shared registry is never evicted. Only one
+   * worker evicts at a time (lock file in the cache directory).
+   * @returns {Promise<Object>} {totalBytes, evicted: [projectId]}
+   */
+  async evict() {
+    await fs.ensureDir(this.cacheDir);
+    const lockPath = path.join(this.cacheDir, '.evict.lock');
+    if (!(await this.createLockFile(lockPath))) {
+      return { totalBytes: null, evicted: [] };
+    }
+
+    try {
+      await fs.remove(this.legacyTargetsDir);
+      const entries = await fs.readdir(this.targetsDir).catch(() => []);
+      const targets = [];
+      for (const entry of entries) {
+        const dir = this.getProjectDir(entry);
+        const lastUsed = await fs.stat(path.join(dir, LAST_USED_FILE)).catch(() => fs.stat(dir));
+        targets.push({ projectId: entry, dir, lastUsedAt: lastUsed.mtimeMs, size: await this.getSize(dir) });
+      }
+
+      const registrySize = await fs.pathExists(this.cargoHome) ? await this.getSize(this.cargoHome) : 0;
+      let totalBytes = registrySize + targets.reduce((sum, target) => sum + target.size, 0);
+      const evicted = [];
+
+      targets.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+      for (const target of targets) {
+        if (totalBytes <= MAX_CACHE_BYTES) {
+          break;
+        }
+        const removed = await this.withDirLock(target.projectId, async () => {
+          if (await this.isLeased(target.dir)) {
+            return false;
+          }
+          await fs.remove(target.dir);
+          return true;
+        });
+        if (!removed) {
+          continue;
+        }
+        totalBytes -= target.size;
+        evicted.push(target.projectId);
+      }
+
+      if (evicted.length > 0) {
+        console.log(`[BuildCacheService] Evicted ${evicted.length} target dir(s); cache is now ${Math.round(totalBytes / 1024 / 1024)} MB`);
+      }
+      return { totalBytes, evicted };
+    } finally {
+      await fs.remove(lockPath).catch(() => {});
+    }
+  }
+}
+
+module.exports = new BuildCacheService();
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const httpError = require('../utils/httpError');
+const { isValidRole, roleSatisfies, getProjectRole, PROJECT_ROLES } = require('../utils/projectRoles');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.PROJECT_INVITATION_TTL_DAYS || '7', 10);
+
+/**
+ * Collaboration service for sharing projects with other users
+ */
+class CollaborationService {
+  /**
+   * Hash an invitation token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Link the invitee opens to accept an invitation
+   */
+  getInviteUrl(token) {
+    return `${process.env.FRONTEND_URL || 'https://websoroban.in'}/invitations/${token}`;
+  }
+
+  /**
+   * Validate a role from a request
+   * @throws {Error} 400 error for unknown roles
+   */
+  assertRole(role) {
+    if (!isValidRole(role)) {
+      throw httpError(400, `Invalid role. Must be one of: ${PROJECT_ROLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * List the project creator and collaborators with their user details
+   * @param {Object} project - Project document
+   * @returns {Promise<Array>} [{userId, name, email, picture, role, isCreator, addedAt}]
+   */
+  async listCollaborators(project) {
+    const userIds = [project.userId, ...project.collaborators.map(c => c.userId)];
+    const users = await User.find({ _id: { $in: userIds } }).select('name email picture walletAddress');
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+    const describe = (userId, role, addedAt, isCreator) => {
+      const user = byId.get(userId.toString());
+      return {
+        userId,
+        name: user?.name || null,
+        email: user?.email || null,
+        picture: user?.picture || null,
+        walletAddress: user?.walletAddress || null,
+        role,
+        isCreator,
+        addedAt
+      };
+    };
+
+    return [
+      describe(project.userId, 'owner', project.createdAt, true),
+      ...project.collaborators.map(c => describe(c.userId, c.role, c.addedAt, false))
+    ];
+  }
+
+  /**
+   * Invite someone to the project by email. A pending invitation for the
+   * same address is replaced.
+   * @param {Object} project - Project document
+   * @param {Object} options - {email, role, inviter}
+   * @returns {Promise<Object>} {invitation, emailSent, inviteUrl} - inviteUrl is only returned if the email could not be sent
+   */
+  async inviteByEmail(project, { email, role, inviter }) {
+    this.assertRole(role);
+    const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw httpError(400, 'A valid email address is required');
+    }
+
+    const existingUser = await User.findOne({ email: address });
+    if (existingUser && getProjectRole(project, existingUser._id)) {
+      throw httpError(409, `${address} already has access to this project`);
+    }
+
+    await ProjectInvitation.updateMany(
+      { projectId: project._id, email: address, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await ProjectInvitation.create({
+      projectId: project._id,
+      email: address,
+      role,
+      tokenHash: this.hashToken(token),
+      invitedBy: inviter._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const inviteUrl = this.getInviteUrl(token);
+    const emailResult = await emailService.sendProjectInvitation(address, {
+      projectName: project.name,
+      inviterName: inviter.name || inviter.email || 'A WebSoroban user',
+      role,
+      inviteUrl,
+      expiresAt: invitation.expiresAt
+    });
+
+    console.log(`[CollaborationService] Invited ${address} to project ${project._id} as ${role}`);
+
+    // Without email the owner can still share the link themselves
+    return {
+      invitation: this.describeInvitation(invitation),
+      emailSent: emailResult.success,
+      emailError: emailResult.success ? undefined : emailResult.error,
+      inviteUrl: emailResult.success ? undefined : inviteUrl
+    };
+  }
+
+  /**
+   * Public view of an invitation (never includes the token)
+   */
+  describeInvitation(invitation) {
+    return {
+      _id: invitation._id,
+      projectId: invitation.projectId,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt
+    };
+  }
+
+  /**
+   * List pending invitations of a project
+   */
+  async listInvitations(projectId) {
+    const invitations = await ProjectInvitation.find({
+      projectId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+    return invitations.map(invitation => this.describeInvitation(invitation));
+  }
+
+  /**
+   * List pending invitations sent to a user's email address
+   */
+  async listInvitationsForUser(user) {
+    if (!user.email) {
+      return [];
+    }
+
+    const invitations = await ProjectInvitation.find({
+      email: user.email.toLowerCase(),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate({ path: 'projectId', select: 'name', match: { deletedAt: null } })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    return invitations.filter(invitation => invitation.projectId).map(invitation => ({
+      ...this.describeInvitation(invitation),
+      projectId: invitation.projectId._id,
+      projectName: invitation.projectId.name
+    }));
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @throws {Error} 404 error if there is no such pending invitation
+   */
+  async revokeInvitation(projectId, invitationId) {
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+      throw httpError(404, 'Invitation not found');
+    }
+
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+      { _id: invitationId, projectId, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+    if (!invitation) {
+      throw httpError(404, 'Invitation not found');
+    }
+    return this.describeInvitation(invitation);
+  }
+
+  /**
+   * Look up an invitation by its token, e.g. to show it before accepting
+   * @returns {Promise<Object>} Invitation with project name
+   * @throws {Error} 404 error for unknown tokens
+   */
+  async getInvitationByToken(token) {
+    const invitation = await ProjectInvitation.findOne({ tokenHash: this.hashToken(token) })
+      .populate('projectId', 'name')
+      .populate('invitedBy', 'name email');
+    if (!invitation || !invitation.projectId) {
+      throw httpError(404, 'Invitation not found');
+    }
+
+    return {
+      ...this.describeInvitation(invitation),
+      projectId: invitation.projectId._id,
+      projectName: invitation.projectId.name,
+      invitedBy: invitation.invitedBy
+        ? { name: invitation.invitedBy.name, email: invitation.invitedBy.email }
+        : null,
+      expired: invitation.expiresAt <= new Date()
+    };
+  }
+
+  /**
+   * Accept an invitation and add the user to the project. Only the account
+   * with the invited email address can accept it, so a forwarded or leaked
+   * link is no use to anyone else.
+   * @param {string} token - Invitation token from the link
+   * @param {Object} user - Accepting user
+   * @returns {Promise<Object>} {project, role}
+   * @throws {Error} 404 error for unknown, used or expired invitations, 403 error
+   *   if the user's email is not the invited one
+   */
+  async acceptInvitation(token, user) {
+    const pending = { tokenHash: this.hashToken(token), status: 'pending', expiresAt: { $gt: new Date() } };
+    const found = await ProjectInvitation.findOne(pending).select('email');
+    if (!found) {
+      throw httpError(404, 'Invitation not found, already used or expired');
+    }
+    if (!user.email || user.email.toLowerCase() !== found.email.toLowerCase()) {
+      throw httpError(403, 'This invitation was sent to a different email address');
+    }
+
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+      { _id: found._id, ...pending },
+      { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) {
+      throw httpError(404, 'Invitation not found, already used or expired');
+    }
+
+    const project = await Project.findOne({ _id: invitation.projectId, deletedAt: null });
+    if (!project) {
+      throw httpError(404, 'Project no longer exists');
+    }
+
+    const currentRole = getProjectRole(project, user._id);
+    if (currentRole && roleSatisfies(currentRole, invitation.role)) {
+      return { project, role: currentRole };
+    }
+
+    // Upgrade an existing collaborator, otherwise add a new one
+    const updated = currentRole
+      ? await Project.findOneAndUpdate(
+        { _id: project._id, 'collaborators.userId': user._id },
+        { $set: { 'collaborators.$.role': invitation.role } },
+        { new: true }
+      )
+      : await Project.findOneAndUpdate(
+        { _id: project._id, 'collaborators.userId': { $ne: user._id } },
+        { $push: { collaborators: { userId: user._id, role: invitation.role, addedBy: invitation.invitedBy } } },
+        { new: true }
+      );
+
+    console.log(`[CollaborationService] User ${user._id} joined project ${project._id} as ${invitation.role}`);
+    return { project: updated || await Project.findById(project._id), role: invitation.role };
+  }
+
+  /**
+   * Change a collaborator's role
+   * @throws {Error} 400/404 error for the creator or unknown collaborators
+   */
+  async updateRole(project, userId, role) {
+    this.assertRole(role);
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw httpError(404, 'Collaborator not found');
+    }
+    if (project.userId.toString() === String(userId)) {
+      throw httpError(400, 'The project creator is always an owner');
+    }
+
+    const updated = await Project.findOneAndUpdate(
+      { _id: project._id, 'collaborators.userId': userId },
+      { $set: { 'collaborators.$.role': role } },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(404, 'Collaborator not found');
+    }
+    return updated;
+  }
+
+  /**
+   * Remove a collaborator from the project
+   * @throws {Error} 400/404 error for the creator or unknown collaborators
+   */
+  async removeCollaborator(project, userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw httpError(404, 'Collaborator not found');
+    }
+    if (project.userId.toString() === String(userId)) {
+      throw httpError(400, 'The project creator cannot be removed');
+    }
+
+    const updated = await Project.findOneAndUpdate(
+      { _id: project._id, 'collaborators.userId': userId },
+      { $pull: { collaborators: { userId } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(404, 'Collaborator not found');
+    }
+    return updated;
+  }
+
+  /**
+   * Remove all invitations of a deleted project
+   */
+  async deleteInvitations(projectId) {
+    await ProjectInvitation.deleteMany({ projectId });
+  }
+}
+
+module.exports = new CollaborationService();
@@ -1,14 +1,32 @@
-const { exec, spawn } = require('child_process');
+const { exec } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const Docker = require('dockerode');
+const TOML = require('smol-toml');
 const socketService = require('./socketService');
+const compileCacheService = require('./compileCacheService');
+const buildCacheService = require('./buildCacheService');
+const toolchainService = require('./toolchainService');
+const sandboxService = require('./sandboxService');
+const { MAX_DIAGNOSTICS, parseCargoMessage } = require('../utils/cargoDiagnostics');
+const { analyzeWasm } = require('../utils/wasmSize');
+const { extractContractSpec } = require('../utils/contractSpec');
+
+// Largest contract the network accepts (contract_max_size_bytes network setting)
+const CONTRACT_SIZE_LIMIT_BYTES = parseInt(process.env.CONTRACT_SIZE_LIMIT_BYTES || '65536', 10);
+// Size reports warn from this share of the limit on
+const CONTRACT_SIZE_WARNING_RATIO = parseFloat(process.env.CONTRACT_SIZE_WARNING_RATIO || '0.9');
+// Largest build output read back from the sandbox
+const MAX_BUILD_OUTPUT_BYTES = 64 * 1024 * 1024;
 
 class CompilationService {
   constructor() {
-    this.tempDir = path.join(os.tmpdir(), 'soroban-compile');
+    // Sandboxed builds need this on a volume the sandbox containers can mount
+    this.tempDir = process.env.COMPILE_TEMP_DIR || path.join(os.tmpdir(), 'soroban-compile');
     this.docker = null;
+    this.cargoShim = null;
     
     // Try to initialize Docker, but don't fail if it's not available
     try {
@@ -18,23 +36,38 @@ class CompilationService {
     }
   }
 
-  async compileProject(projectId, files, onLogUpdate = null, jobId = null) {
+  /**
+   * Compile a project's files to WASM
+   * @param {string} projectId - Project ID (names the temporary build directory)
+   * @param {Array} files - Project files
+   * @param {Function} onLogUpdate - Called with all logs so far whenever one is added
+   * @param {string} jobId - Job ID to stream logs to over WebSocket
+   * @param {Object} options - {contracts}: workspace contracts to build (package names or member directories; default all);
+   *   {toolchain}: project toolchain {rust, stellarCli, sdk} (see toolchainService);
+   *   {optimize}: shrink the WASM with `stellar contract optimize` (or wasm-opt)
+   * @returns {Promise<Object>} {success, logs, wasmBase64, wasmUrl,
+   *   contracts: [{name, path, wasmFile, size, hash, wasmBase64, sizeReport, spec}],
+   *   diagnostics: [{severity, message, code, file, line, column, span, suggestions, notes, crate, rendered}],
+   *   limit (sandbox limit the build hit: memory, time, disk or processes),
+   *   cached (true if a previous identical build was reused), cacheKey,
+   *   toolchainVersion (stellar-cli, rustc and soroban-sdk versions of the build), error}
+   */
+  async compileProject(projectId, files, onLogUpdate = null, jobId = null, options = {}) {
     console.log(`[CompilationService] compileProject called with jobId: ${jobId}, projectId: ${projectId}`);
-    const projectDir = path.join(this.tempDir, projectId);
+    // Sources get a directory per build so concurrent builds of one project
+    // don't overwrite each other; compiled output lives in the project's
+    // persistent target directory (see buildCacheService)
+    const buildId = `${projectId}-${jobId || crypto.randomBytes(4).toString('hex')}`;
+    const projectDir = path.join(this.tempDir, buildId);
+    const logs = [];
+    let targetLease = null;
     
     try {
       // Clean and create project directory
       await fs.remove(projectDir);
       await fs.ensureDir(projectDir);
 
-      // Write files to project directory
-      for (const file of files) {
-        const filePath = path.join(projectDir, file.name);
-        await fs.ensureDir(path.dirname(filePath));
-        await fs.writeFile(filePath, file.content);
-      }
-
-      const logs = [];
+      await this.writeProjectFiles(projectDir, files);
       
       const log = (type, message) => {
         const logEntry = {
@@ -67,19 +100,113 @@ class CompilationService {
         }
       };
 
+      // Fails the build when this worker lacks the project's toolchain
+      const build = await toolchainService.resolve(options.toolchain);
+      const customToolchain = Boolean(options.toolchain?.rust || options.toolchain?.stellarCli);
+      if (customToolchain) {
+        log('info', `Using toolchain: Rust ${options.toolchain.rust || 'default'}, stellar-cli ${options.toolchain.stellarCli || 'default'}`);
+      }
+
+      // Reuse an earlier build of this project with exactly these files and this toolchain
+      const toolchain = await compileCacheService.getToolchainVersion(options.toolchain);
+      const cacheKey = toolchain
+        ? compileCacheService.computeKey(files, {
+          projectId: projectId.toString(),
+          contracts: options.contracts || [],
+          toolchain,
+          optimize: Boolean(options.optimize)
+        })
+        : null;
+      if (cacheKey) {
+        const cached = await compileCacheService.lookup(cacheKey).catch((error) => {
+          log('warning', `Compile cache unavailable: ${error.message}`);
+          return null;
+        });
+        if (cached) {
+          log('success', `Files unchanged since an earlier build with ${toolchain}; using the cached result`);
+          return {
+            success: true,
+            logs,
+            wasmBase64: cached.contracts[0]?.wasmBase64,
+            wasmUrl: cached.contracts[0] ? `data:application/wasm;base64,${cached.contracts[0].wasmBase64}` : undefined,
+            contracts: cached.contracts,
+            diagnostics: cached.diagnostics || [],
+            compilationType: cached.compilationType,
+            cached: true,
+            cacheKey,
+            toolchainVersion: toolchain
+          };
+        }
+      }
+
+      const cacheResult = async (result) => {
+        if (cacheKey && result.success && result.contracts?.length > 0) {
+          await compileCacheService.store(cacheKey, toolchain, result).catch((error) => {
+            console.warn(`[CompilationService] Could not cache build ${cacheKey}:`, error.message);
+          });
+        }
+        return { ...result, cached: false, cacheKey, toolchainVersion: toolchain };
+      };
+
+      if (options.toolchain?.sdk) {
+        const pinned = await toolchainService.pinSdkVersion(projectDir, options.toolchain.sdk);
+        log('info', pinned.length > 0
+          ? `Pinned soroban-sdk to ${options.toolchain.sdk} in ${pinned.join(', ')}`
+          : `No soroban-sdk dependency found to pin to ${options.toolchain.sdk}`);
+      }
+
       log('info', 'Starting real Rust compilation...');
 
+      // Fails the build straight away when unknown contracts were requested
+      const contracts = await this.selectContracts(projectDir, options.contracts || []);
+
       // Try real compilation with Stellar CLI first
       try {
         log('info', 'Attempting real Rust compilation with Stellar CLI...');
-        const realResult = await this.realStellarCompilation(projectDir, logs, log);
+        targetLease = await buildCacheService.acquireTargetDir(projectId);
+        const realResult = await this.realStellarCompilation(projectDir, logs, log, {
+          contracts,
+          targetDir: targetLease.targetDir,
+          stellarBin: build.stellarBin,
+          env: build.env,
+          optimize: Boolean(options.optimize),
+          onDiagnostic: (diagnostic) => {
+            if (jobId) {
+              socketService.emitDiagnostic(jobId, diagnostic);
+            }
+          }
+        });
         if (realResult && realResult.success) {
           log('success', 'Stellar CLI compilation succeeded!');
-          return {
+          return cacheResult({
             success: true,
             logs: realResult.logs || logs,
             wasmBase64: realResult.output?.wasm,
-            wasmUrl: realResult.output?.wasm ? `data:application/wasm;base64,${realResult.output.wasm}` : undefined
+            wasmUrl: realResult.output?.wasm ? `data:application/wasm;base64,${realResult.output.wasm}` : undefined,
+            contracts: realResult.output?.contracts,
+            diagnostics: realResult.diagnostics || [],
+            compilationType: realResult.compilationType
+          });
+        }
+        if (realResult?.limit) {
+          return {
+            success: false,
+            logs,
+            diagnostics: realResult.diagnostics,
+            compilationType: realResult.compilationType,
+            limit: realResult.limit,
+            error: realResult.error
+          };
+        }
+        // Errors in the project's own code fail the same way in Docker
+        const errorCount = (realResult?.diagnostics || []).filter(diagnostic => diagnostic.severity === 'error').length;
+        if (errorCount > 0) {
+          return {
+            success: false,
+            logs,
+            diagnostics: realResult.diagnostics,
+            compilationType: realResult.compilationType,
+            error: `Compilation failed with ${errorCount} error(s)`
           };
         }
         log('warning', `Stellar CLI compilation returned success=false: ${realResult?.error || 'unknown error'}`);
@@ -90,6 +217,26 @@ class CompilationService {
         log('warning', 'Trying Docker fallback...');
       }
 
+      // The fallback image runs user code with network access and its own limits
+      if (sandboxService.isIsolated()) {
+        log('error', 'Not falling back to Docker because builds must run in the sandbox');
+        return {
+          success: false,
+          logs,
+          error: 'Compilation failed'
+        };
+      }
+
+      // The Docker image has its own toolchain, which is not what the project asked for
+      if (customToolchain) {
+        log('error', 'Not falling back to Docker because the project requires a specific toolchain');
+        return {
+          success: false,
+          logs,
+          error: 'Compilation with the project toolchain failed'
+        };
+      }
+
       // Check if Docker is available
       if (!this.docker) {
         log('warning', 'Docker not available, using fallback compilation');
@@ -112,7 +259,7 @@ class CompilationService {
       }
 
       // Create output directory
-      const outputDir = path.join(this.tempDir, 'output', projectId);
+      const outputDir = path.join(this.tempDir, 'output', buildId);
       await fs.ensureDir(outputDir);
 
       // Create Docker container for compilation
@@ -201,7 +348,7 @@ class CompilationService {
       log('info', `Container finished with status: ${result.StatusCode}`);
 
       // Check if compilation was successful
-      const wasmPath = path.join(this.tempDir, 'output', projectId, 'contract.wasm');
+      const wasmPath = path.join(this.tempDir, 'output', buildId, 'contract.wasm');
       const wasmExists = await fs.pathExists(wasmPath);
 
       // Also check if the file exists in the output directory directly
@@ -222,12 +369,15 @@ class CompilationService {
         const successMessage = 'Real Rust compilation successful!';
         log('success', successMessage);
         
-        return {
+        // The compiler image builds a single contract
+        return cacheResult({
           success: true,
           logs,
           wasmBase64,
-          wasmUrl: `data:application/wasm;base64,${wasmBase64}`
-        };
+          wasmUrl: `data:application/wasm;base64,${wasmBase64}`,
+          contracts: [this.describeArtifact('contract', '.', 'contract.wasm', wasmBuffer)],
+          compilationType: 'docker'
+        });
       } else {
         const errorMessage = 'Real Rust compilation failed';
         log('error', errorMessage);
@@ -252,14 +402,17 @@ class CompilationService {
       
       return {
         success: false,
-        logs: [logEntry],
+        logs,
         error: error.message
       };
     } finally {
+      if (targetLease) {
+        await targetLease.release();
+      }
       // Cleanup
       try {
         await fs.remove(projectDir);
-        await fs.remove(path.join(this.tempDir, 'output', projectId));
+        await fs.remove(path.join(this.tempDir, 'output', buildId));
       } catch (e) {
         console.error('Cleanup error:', e);
       }
@@ -326,6 +479,7 @@ class CompilationService {
       logs,
       wasmBase64,
       wasmUrl: `data:application/wasm;base64,${wasmBase64}`,
+      contracts: [this.describeArtifact('contract', '.', 'contract.wasm', mockWasm)],
       fallback: true
     };
   }
@@ -355,7 +509,554 @@ class CompilationService {
     }
   }
 
-  async realStellarCompilation(projectDir, logs, logFn = null) {
+  /**
+   * Read the package name from a Cargo.toml
+   * @returns {string|null} null if the manifest has none or is not valid TOML
+   */
+  readPackageName(cargoContent) {
+    try {
+      const name = TOML.parse(cargoContent).package?.name;
+      return typeof name === 'string' ? name : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the contract crates of a Cargo workspace: the `members` of its
+   * [workspace] section (with `dir/*` globs expanded), or every crate under
+   * contracts/ if none are listed. Library crates without a cdylib target
+   * are skipped.
+   * @param {string} projectDir - Workspace root
+   * @returns {Promise<Array>} [{name, dir}] with `dir` relative to the workspace root, in member order
+   */
+  async findWorkspaceContracts(projectDir) {
+    const cargoContent = await fs.readFile(path.join(projectDir, 'Cargo.toml'), 'utf8');
+    const workspaceSection = cargoContent.match(/^\[workspace\]([\s\S]*?)(?=^\[|$(?![\s\S]))/m);
+    const membersMatch = workspaceSection && workspaceSection[1].match(/members\s*=\s*\[([\s\S]*?)\]/);
+    const patterns = membersMatch
+      ? [...membersMatch[1].matchAll(/"([^"]+)"/g)].map(match => match[1].replace(/\/+$/, ''))
+      : ['contracts/*'];
+
+    const memberDirs = [];
+    for (const pattern of patterns) {
+      if (pattern.endsWith('/*')) {
+        const parent = path.join(projectDir, pattern.slice(0, -2));
+        const entries = await fs.readdir(parent).catch(() => []);
+        memberDirs.push(...entries.sort().map(entry => path.posix.join(pattern.slice(0, -2), entry)));
+      } else {
+        memberDirs.push(pattern);
+      }
+    }
+
+    const contracts = [];
+    for (const dir of memberDirs) {
+      const memberCargoPath = path.resolve(projectDir, dir, 'Cargo.toml');
+      if (!memberCargoPath.startsWith(projectDir + path.sep) || !(await fs.pathExists(memberCargoPath))) {
+        continue;
+      }
+      const memberCargo = await fs.readFile(memberCargoPath, 'utf8');
+      if (!memberCargo.includes('cdylib')) {
+        continue;
+      }
+      contracts.push({ name: this.readPackageName(memberCargo) || path.basename(dir), dir });
+    }
+    return contracts;
+  }
+
+  /**
+   * Whether a Cargo.toml declares a workspace
+   */
+  isWorkspace(cargoContent) {
+    return cargoContent.includes('[workspace]') && cargoContent.includes('members');
+  }
+
+  /**
+   * Resolve the contracts a compile request asked for
+   * @param {string} projectDir - Project root
+   * @param {Array<string>} requested - Package names or member directories; empty for all
+   * @returns {Promise<Array|null>} Workspace contracts to build, or null for single-contract projects
+   * @throws {Error} If contracts were requested that the workspace does not have
+   */
+  async selectContracts(projectDir, requested = []) {
+    const cargoTomlPath = path.join(projectDir, 'Cargo.toml');
+    const cargoContent = await fs.pathExists(cargoTomlPath) ? await fs.readFile(cargoTomlPath, 'utf8') : '';
+
+    if (!this.isWorkspace(cargoContent)) {
+      if (requested.length > 0) {
+        throw new Error('Selecting contracts is only supported for Cargo workspace projects');
+      }
+      return null;
+    }
+
+    const contracts = await this.findWorkspaceContracts(projectDir);
+    if (requested.length === 0) {
+      return contracts;
+    }
+
+    const unknown = requested.filter(name => !contracts.some(contract => contract.name === name || contract.dir === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown contract(s): ${unknown.join(', ')}. Available: ${contracts.map(contract => contract.name).join(', ') || 'none'}`);
+    }
+    return contracts.filter(contract => requested.includes(contract.name) || requested.includes(contract.dir));
+  }
+
+  /**
+   * Build result entry for one contract
+   * @param {Buffer} wasmBuffer - WASM the contract is deployed with (optimized, if it was)
+   * @param {Object|null} optimization - {rawSize, optimizer} when wasmBuffer is an optimized build
+   * @returns {Object} {name, path, wasmFile, size, hash (sha256 hex), wasmBase64, sizeReport,
+   *   spec (contract interface, null without a contractspecv0 section)}
+   */
+  describeArtifact(name, contractPath, wasmFile, wasmBuffer, optimization = null) {
+    return {
+      name,
+      path: contractPath,
+      wasmFile,
+      size: wasmBuffer.length,
+      hash: crypto.createHash('sha256').update(wasmBuffer).digest('hex'),
+      wasmBase64: wasmBuffer.toString('base64'),
+      sizeReport: this.buildSizeReport(wasmBuffer, optimization),
+      spec: extractContractSpec(wasmBuffer)
+    };
+  }
+
+  /**
+   * Size of a contract against the network limit, by section and function
+   * @returns {Object} {rawSize, optimizedSize (null if not optimized), optimizer, limit,
+   *   percentOfLimit, sections, functions (largest first), functionCount, warning}
+   */
+  buildSizeReport(wasmBuffer, optimization = null) {
+    const analysis = analyzeWasm(wasmBuffer);
+    const size = wasmBuffer.length;
+    const percentOfLimit = Math.round((size / CONTRACT_SIZE_LIMIT_BYTES) * 1000) / 10;
+
+    let warning = null;
+    if (size > CONTRACT_SIZE_LIMIT_BYTES) {
+      warning = `Contract is ${size} bytes, over the network limit of ${CONTRACT_SIZE_LIMIT_BYTES} bytes; it cannot be deployed`;
+    } else if (size >= CONTRACT_SIZE_LIMIT_BYTES * CONTRACT_SIZE_WARNING_RATIO) {
+      warning = `Contract is ${size} bytes, ${percentOfLimit}% of the network limit of ${CONTRACT_SIZE_LIMIT_BYTES} bytes`;
+    }
+
+    return {
+      rawSize: optimization ? optimization.rawSize : size,
+      optimizedSize: optimization ? size : null,
+      optimizer: optimization ? optimization.optimizer : null,
+      limit: CONTRACT_SIZE_LIMIT_BYTES,
+      percentOfLimit,
+      sections: analysis.sections,
+      functions: analysis.functions,
+      functionCount: analysis.functionCount,
+      warning
+    };
+  }
+
+  /**
+   * Shrink a built contract in the sandbox with `stellar contract optimize`,
+   * or wasm-opt for CLI builds without the optimizer. Failing to optimize
+   * does not fail the build; the unoptimized WASM is used instead.
+   * @param {string} wasmPath - Built WASM
+   * @param {string} projectDir - Build directory
+   * @param {string} targetDir - Cargo target directory wasmPath is in
+   * @param {Object} toolchain - {stellarBin, env}
+   * @returns {Promise<Object|null>} {wasmBuffer, optimizer}, or null if neither optimizer worked
+   * @throws {Error} With `limit` if an optimizer hit a sandbox limit
+   */
+  async optimizeWasm(wasmPath, projectDir, targetDir, toolchain, log) {
+    // A fresh directory outside the ones the build could write to
+    const outputDir = await fs.mkdtemp(path.join(this.tempDir, 'optimized-'));
+    try {
+      return await this.runOptimizers(wasmPath, outputDir, projectDir, targetDir, toolchain, log);
+    } finally {
+      await fs.remove(outputDir).catch(() => {});
+    }
+  }
+
+  /**
+   * Try each optimizer until one writes a valid WASM to outputDir
+   */
+  async runOptimizers(wasmPath, outputDir, projectDir, targetDir, toolchain, log) {
+    const outputPath = path.join(outputDir, path.basename(wasmPath));
+    const env = { ...buildCacheService.getBuildEnv(projectDir, targetDir), ...toolchain.env };
+
+    const optimizers = [
+      {
+        name: 'stellar contract optimize',
+        command: toolchain.stellarBin || 'stellar',
+        args: ['contract', 'optimize', '--wasm', wasmPath, '--wasm-out', outputPath]
+      },
+      {
+        name: 'wasm-opt',
+        command: 'wasm-opt',
+        args: ['-Oz', '--strip-debug', wasmPath, '-o', outputPath]
+      }
+    ];
+
+    for (const optimizer of optimizers) {
+      await fs.remove(outputPath);
+      log('info', `Optimizing ${path.basename(wasmPath)} with ${optimizer.name}...`);
+      const { code, output } = await this.runSandboxedTool(optimizer.command, optimizer.args, {
+        cwd: projectDir,
+        env,
+        mounts: [outputDir],
+        readOnlyMounts: [projectDir, targetDir]
+      });
+      if (code === 0 && await fs.pathExists(outputPath)) {
+        return { wasmBuffer: await this.readBuildOutput(outputPath, outputDir), optimizer: optimizer.name };
+      }
+      log('warning', `${optimizer.name} failed${output ? `: ${output.split('\n')[0]}` : ''}`);
+    }
+    return null;
+  }
+
+  /**
+   * Run a short command in the sandbox and collect its output
+   * @returns {Promise<Object>} {code, output}; code is null if the command could not start
+   * @throws {Error} With `limit` if the command hit a sandbox limit
+   */
+  runSandboxedTool(command, args, options) {
+    return new Promise((resolve, reject) => {
+      const toolProcess = sandboxService.spawn(command, args, options);
+      let output = '';
+      const collect = (data) => {
+        output += data.toString();
+      };
+      toolProcess.stdout.on('data', collect);
+      toolProcess.stderr.on('data', collect);
+      toolProcess.on('close', (code) => {
+        if (toolProcess.limit) {
+          reject(sandboxService.toError(toolProcess.limit));
+          return;
+        }
+        resolve({ code, output: output.trim() });
+      });
+      toolProcess.on('error', error => resolve({ code: null, output: error.message }));
+    });
+  }
+
+  /**
+   * Write project files into a build directory
+   * @throws {Error} For paths that would land outside the directory
+   */
+  async writeProjectFiles(projectDir, files) {
+    for (const file of files) {
+      const filePath = path.resolve(projectDir, file.name);
+      // Never write outside the project directory
+      if (!filePath.startsWith(projectDir + path.sep)) {
+        throw new Error(`Invalid file path: ${file.name}`);
+      }
+      if (file.type === 'folder') {
+        await fs.ensureDir(filePath);
+        continue;
+      }
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, file.content || '');
+    }
+  }
+
+  /**
+   * Directory with a `cargo` wrapper that adds --message-format=json to the
+   * build commands stellar-cli runs, so rustc diagnostics arrive as JSON on
+   * stdout. Written once per process.
+   * @returns {Promise<string|null>} null if cargo is not on the PATH
+   */
+  ensureCargoShim() {
+    if (!this.cargoShim) {
+      this.cargoShim = (async () => {
+        const realCargo = (process.env.PATH || '').split(path.delimiter)
+          .map(dir => path.join(dir, 'cargo'))
+          .find(candidate => fs.existsSync(candidate));
+        if (!realCargo) {
+          return null;
+        }
+
+        const shimDir = path.join(this.tempDir, '.bin');
+        const shimPath = path.join(shimDir, 'cargo');
+        const script = [
+          '#!/bin/sh',
+          'case "$1" in',
+          '  build|rustc) command="$1"; shift; exec "$REAL_CARGO" "$command" --message-format=json "$@" ;;',
+          'esac',
+          'exec "$REAL_CARGO" "$@"',
+          ''
+        ].join('\n');
+        await fs.ensureDir(shimDir);
+        // Other workers on this host may be using the shim: replace it atomically
+        const tempPath = `${shimPath}.${process.pid}`;
+        await fs.writeFile(tempPath, script, { mode: 0o755 });
+        await fs.rename(tempPath, shimPath);
+        return { shimDir, realCargo };
+      })().catch((error) => {
+        console.warn('[CompilationService] Could not set up JSON diagnostics:', error.message);
+        return null;
+      });
+    }
+    return this.cargoShim;
+  }
+
+  /**
+   * Run `stellar contract build` in the sandbox and stream its output to the log
+   * @param {Object} options - {stellarBin, env} from toolchainService.resolve (defaults to `stellar`);
+   *   {onDiagnostic}: called with each rustc diagnostic (see utils/cargoDiagnostics.js)
+   * @returns {Promise<void>} Rejects if the build exits with a non-zero code or hits a
+   *   sandbox limit (the error then has `limit`)
+   */
+  async runStellarBuild(cwd, args, targetDir, log, options = {}) {
+    const env = { ...buildCacheService.getBuildEnv(cwd, targetDir), ...options.env };
+    const cargoShim = options.onDiagnostic ? await this.ensureCargoShim() : null;
+    if (cargoShim) {
+      env.PATH = `${cargoShim.shimDir}${path.delimiter}${env.PATH || ''}`;
+      env.REAL_CARGO = cargoShim.realCargo;
+    }
+
+    return new Promise((resolve, reject) => {
+      const buildProcess = sandboxService.spawn(options.stellarBin || 'stellar', ['contract', 'build', ...args], {
+        cwd,
+        env,
+        mounts: [cwd, targetDir],
+        readOnlyMounts: [buildCacheService.cargoHome, ...(cargoShim ? [cargoShim.shimDir] : [])],
+        watch: [cwd, targetDir]
+      });
+      
+      let hasError = false;
+      let errorOutput = '';
+      
+      // Helper function to detect actual errors (not compilation messages)
+      const isActualError = (line) => {
+        const lower = line.toLowerCase();
+        // Ignore compilation messages that contain "error" in package names (e.g., "Compiling thiserror")
+        if (lower.startsWith('compiling ') || lower.startsWith('adding ') || lower.startsWith('updating ')) {
+          return false;
+        }
+        // Check for actual error patterns
+        return (
+          lower.includes('error:') ||
+          lower.includes('error ') ||
+          lower.startsWith('error') ||
+          lower.includes('failed to') ||
+          lower.includes('failed:') ||
+          lower.includes('fatal:') ||
+          lower.includes('cannot') && (lower.includes('find') || lower.includes('open') || lower.includes('read'))
+        );
+      };
+      
+      const handleStdoutLine = (line) => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('{')) {
+          const diagnostic = parseCargoMessage(trimmed, cwd);
+          if (diagnostic) {
+            if (options.onDiagnostic) {
+              options.onDiagnostic(diagnostic);
+            }
+            const type = diagnostic.severity === 'error' ? 'error' : diagnostic.severity === 'warning' ? 'warning' : 'info';
+            (diagnostic.rendered || diagnostic.message).split('\n').filter(entry => entry.trim()).forEach(entry => log(type, entry));
+            if (diagnostic.severity === 'error') {
+              hasError = true;
+              errorOutput += diagnostic.message + '\n';
+            }
+          }
+          // Other cargo messages (artifacts, build scripts) are not shown
+        } else if (trimmed) {
+          const lower = trimmed.toLowerCase();
+          if (isActualError(trimmed)) {
+            log('error', trimmed);
+            hasError = true;
+            errorOutput += trimmed + '\n';
+          } else if (lower.includes('warning')) {
+            log('warning', trimmed);
+          } else {
+            log('info', trimmed);
+          }
+        }
+      };
+
+      // JSON messages can be larger than one chunk, so keep partial lines
+      let pendingStdout = '';
+
+      // Capture stdout line by line
+      buildProcess.stdout.on('data', (data) => {
+        const lines = (pendingStdout + data.toString()).split('\n');
+        pendingStdout = lines.pop();
+        lines.forEach(handleStdoutLine);
+      });
+      
+      // Capture stderr line by line (it often contains compilation progress, so be more lenient)
+      buildProcess.stderr.on('data', (data) => {
+        const lines = data.toString().split('\n');
+        lines.forEach(line => {
+          const trimmed = line.trim();
+          if (trimmed && !trimmed.includes('Build Complete')) {
+            if (isActualError(trimmed)) {
+              log('error', trimmed);
+              hasError = true;
+              errorOutput += trimmed + '\n';
+            } else {
+              log('info', trimmed);
+            }
+          }
+        });
+      });
+      
+      buildProcess.on('close', (code) => {
+        handleStdoutLine(pendingStdout);
+
+        if (buildProcess.limit) {
+          log('error', buildProcess.limit.message);
+          reject(sandboxService.toError(buildProcess.limit));
+          return;
+        }
+
+        // Only reject if exit code is non-zero
+        // hasError might be false positive from package names containing "error"
+        if (code !== 0) {
+          const errorMsg = errorOutput || `Build process exited with code ${code}`;
+          log('error', `Build failed with exit code ${code}: ${errorMsg}`);
+          reject(new Error(errorMsg));
+          return;
+        }
+        
+        // Log if we detected errors but exit code was 0 (might be false positives)
+        if (hasError && errorOutput) {
+          log('warning', `Some error-like messages detected but build succeeded: ${errorOutput.substring(0, 200)}`);
+        }
+        resolve();
+      });
+      
+      buildProcess.on('error', (err) => {
+        log('error', `Build process error: ${err.message}`);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Optimize a built contract if asked to and describe it with its size report
+   * @param {Object} options - {optimize, projectDir, targetDir, toolchain}
+   * @returns {Promise<Object>} Artifact (see describeArtifact)
+   */
+  async finishArtifact(name, contractPath, wasmFile, wasmPath, wasmContent, options, log) {
+    let artifact = this.describeArtifact(name, contractPath, wasmFile, wasmContent);
+    if (options.optimize) {
+      const optimized = await this.optimizeWasm(wasmPath, options.projectDir, options.targetDir, options.toolchain, log);
+      if (optimized && optimized.wasmBuffer.length < wasmContent.length) {
+        artifact = this.describeArtifact(name, contractPath, wasmFile, optimized.wasmBuffer, {
+          rawSize: wasmContent.length,
+          optimizer: optimized.optimizer
+        });
+        log('success', `Optimized ${name}: ${wasmContent.length} -> ${optimized.wasmBuffer.length} bytes`);
+      } else if (optimized) {
+        log('info', `Optimizing ${name} did not make it smaller; keeping the unoptimized WASM`);
+      }
+    }
+
+    const report = artifact.sizeReport;
+    const largestSections = [...report.sections]
+      .sort((a, b) => b.size - a.size)
+      .slice(0, 3)
+      .map(section => `${section.name} ${section.size}`);
+    log('info', `Size of ${name}: ${artifact.size} bytes (${report.percentOfLimit}% of the ${report.limit} byte limit)${
+      largestSections.length > 0 ? `; largest sections: ${largestSections.join(', ')}` : ''}`);
+    if (report.warning) {
+      log('warning', report.warning);
+    }
+    if (artifact.spec?.error) {
+      log('warning', `Could not read the whole interface of ${name}: ${artifact.spec.error}`);
+    }
+    return artifact;
+  }
+
+  /**
+   * Read a file the sandboxed build wrote. The build controls everything
+   * below rootDir, so the file must be a regular file (not a symlink), stay
+   * inside rootDir once resolved, and hold a valid WASM module.
+   * @returns {Promise<Buffer>}
+   * @throws {Error} Otherwise
+   */
+  async readBuildOutput(filePath, rootDir) {
+    const name = path.basename(filePath);
+    const [realRoot, realDir] = await Promise.all([fs.realpath(rootDir), fs.realpath(path.dirname(filePath))]);
+    if (realDir !== realRoot && !realDir.startsWith(realRoot + path.sep)) {
+      throw new Error(`Build output ${name} is outside the build directory`);
+    }
+
+    let handle;
+    try {
+      // O_NONBLOCK so a planted FIFO cannot stall the worker
+      handle = await fs.promises.open(path.join(realDir, name),
+        fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW | fs.constants.O_NONBLOCK);
+    } catch (error) {
+      throw new Error(error.code === 'ELOOP' ? `Build output ${name} is a symlink` : `Cannot read build output ${name}: ${error.message}`);
+    }
+    try {
+      const stats = await handle.stat();
+      if (!stats.isFile() || stats.size > MAX_BUILD_OUTPUT_BYTES) {
+        throw new Error(`Build output ${name} is not a regular file of at most ${MAX_BUILD_OUTPUT_BYTES} bytes`);
+      }
+      const wasmBuffer = await handle.readFile();
+      if (!WebAssembly.validate(wasmBuffer)) {
+        throw new Error(`Build output ${name} is not a valid WASM module`);
+      }
+      return wasmBuffer;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Find a compiled WASM file, preferring the newer wasm32v1-none target
+   * @param {string} targetDir - Cargo target directory
+   * @param {string|null} crateName - Package to look for
+   * @returns {Promise<Object>} {wasmFile, wasmPath}
+   * @throws {Error} If the package name is unknown or no matching WASM file was generated
+   */
+  async findWasmArtifact(targetDir, crateName, log) {
+    if (!crateName) {
+      throw new Error('Cargo.toml has no [package] name');
+    }
+    const expected = `${crateName.replace(/-/g, '_')}.wasm`;
+    const found = [];
+
+    for (const target of ['wasm32v1-none', 'wasm32-unknown-unknown']) {
+      const releaseDir = path.join(targetDir, target, 'release');
+      log('info', `Checking for WASM files in: ${releaseDir}`);
+      if (!(await fs.pathExists(releaseDir))) {
+        log('warning', `Directory does not exist: ${releaseDir}`);
+        continue;
+      }
+
+      const wasmFiles = await fs.readdir(releaseDir).catch((err) => {
+        log('warning', `Error reading directory ${releaseDir}: ${err.message}`);
+        return [];
+      });
+      log('info', `Found ${wasmFiles.length} files in ${target}/release: ${wasmFiles.join(', ')}`);
+      found.push(...wasmFiles);
+
+      // Filter for WASM files (excluding deps)
+      const wasmFile = wasmFiles.find(f => f === expected);
+      if (wasmFile) {
+        return { wasmFile, wasmPath: path.join(releaseDir, wasmFile) };
+      }
+    }
+
+    log('error', `No WASM file found for ${crateName}. Available files: ${found.join(', ')}`);
+    throw new Error(`No WASM file generated for ${crateName}. Found files: ${found.join(', ')}`);
+  }
+
+  /**
+   * Build a project with the Stellar CLI. Single-contract projects produce one
+   * artifact; Cargo workspaces build each selected member contract.
+   * @param {string} projectDir - Project root
+   * @param {Array} logs - Log entries (when no log function is given)
+   * @param {Function} logFn - Log function
+   * @param {Object} options - {contracts}: workspace contracts from selectContracts (defaults to all);
+   *   {targetDir}: cargo target directory (defaults to target/ in the project);
+   *   {stellarBin, env}: stellar-cli executable and extra build environment from toolchainService.resolve;
+   *   {optimize}: optimize each contract after building it (see optimizeWasm);
+   *   {onDiagnostic}: called with each rustc diagnostic as it arrives
+   * @returns {Promise<Object>} {success, output: {wasm, wasmFile, contracts}, diagnostics, logs, compilationType,
+   *   limit (sandbox limit the build hit, if any)}
+   */
+  async realStellarCompilation(projectDir, logs, logFn = null, options = {}) {
     const { promisify } = require('util');
     const execAsync = promisify(exec);
     
@@ -370,45 +1071,46 @@ class CompilationService {
       console.log(`[${type.toUpperCase()}] ${message}`);
     });
 
+    // Files this method moves or copies, so diagnostics point at what the user wrote
+    const renamedFiles = new Map();
+    const diagnostics = [];
+    const onDiagnostic = (diagnostic) => {
+      const mapFile = file => renamedFiles.get(file) || file;
+      const mapped = {
+        ...diagnostic,
+        file: diagnostic.file && mapFile(diagnostic.file),
+        suggestions: diagnostic.suggestions.map(suggestion => ({ ...suggestion, file: mapFile(suggestion.file) }))
+      };
+      if (diagnostics.length < MAX_DIAGNOSTICS) {
+        diagnostics.push(mapped);
+      }
+      if (options.onDiagnostic) {
+        options.onDiagnostic(mapped);
+      }
+    };
+
     try {
       // Check if stellar CLI is available
       log('info', 'Checking Stellar CLI availability...');
-      const { stdout: stellarVersion } = await execAsync('stellar --version');
+      const toolchain = { stellarBin: options.stellarBin || 'stellar', env: { ...options.env }, onDiagnostic };
+      const { stdout: stellarVersion } = await execAsync(`"${toolchain.stellarBin}" --version`);
       log('info', `Stellar CLI found: ${stellarVersion.trim()}`);
       
-      // Determine the correct build directory
-      let buildDir = projectDir;
       const cargoTomlPath = path.join(projectDir, 'Cargo.toml');
+      let cargoContent = '';
+      let contracts = null;
       
       if (await fs.pathExists(cargoTomlPath)) {
-        const cargoContent = await fs.readFile(cargoTomlPath, 'utf8');
+        cargoContent = await fs.readFile(cargoTomlPath, 'utf8');
         
-        // Check if this is a workspace
-        if (cargoContent.includes('[workspace]') && cargoContent.includes('members')) {
+        if (this.isWorkspace(cargoContent)) {
           log('info', 'Detected Stellar workspace project...');
-          
-          // Look for contract directories
-          const contractsDir = path.join(projectDir, 'contracts');
-          if (await fs.pathExists(contractsDir)) {
-            const contracts = await fs.readdir(contractsDir);
-            const contractDirs = [];
-            
-            for (const contract of contracts) {
-              const contractPath = path.join(contractsDir, contract);
-              const contractCargoPath = path.join(contractPath, 'Cargo.toml');
-              
-              if (await fs.pathExists(contractCargoPath)) {
-                contractDirs.push(contractPath);
-              }
-            }
-            
-            if (contractDirs.length > 0) {
-              // Use the first contract directory found
-              buildDir = contractDirs[0];
-              log('info', `Found contract at: ${path.relative(projectDir, buildDir)}`);
-            } else {
-              log('warning', 'Workspace found but no contracts detected, building from workspace root');
-            }
+          contracts = options.contracts || await this.findWorkspaceContracts(projectDir);
+          if (contracts.length > 0) {
+            log('info', `Building ${contracts.length} contract(s): ${contracts.map(contract => `${contract.name} (${contract.dir})`).join(', ')}`);
+          } else {
+            log('warning', 'Workspace found but no contracts detected, building from workspace root');
+            contracts = null;
           }
         } else {
           // Single contract project
@@ -424,14 +1126,16 @@ class CompilationService {
           
           if (await fs.pathExists(mainPath) && !(await fs.pathExists(libPath))) {
             await fs.move(mainPath, libPath);
+            renamedFiles.set('src/lib.rs', 'src/main.rs');
             log('info', 'Moved main.rs to lib.rs for library project');
           } else if (!(await fs.pathExists(libPath))) {
             // Create lib.rs if it doesn't exist - find any .rs file in the project
-            const files = await fs.readdir(buildDir);
+            const files = await fs.readdir(projectDir);
             const rsFiles = files.filter(f => f.endsWith('.rs'));
             if (rsFiles.length > 0) {
-              const sourceFile = path.join(buildDir, rsFiles[0]);
+              const sourceFile = path.join(projectDir, rsFiles[0]);
               await fs.copy(sourceFile, libPath);
+              renamedFiles.set('src/lib.rs', rsFiles[0]);
               log('info', `Created lib.rs from ${rsFiles[0]}`);
             }
           }
@@ -450,201 +1154,74 @@ class CompilationService {
         }
       }
       
-      // Ensure build directory exists and is accessible
-      await fs.ensureDir(buildDir);
-      const buildDirExists = await fs.pathExists(buildDir);
-      if (!buildDirExists) {
-        throw new Error(`Build directory does not exist: ${buildDir}`);
-      }
-      
       // Ensure target directory exists before compilation
-      const targetDir = path.join(buildDir, 'target');
-      await fs.ensureDir(targetDir);
+      const targetDir = options.targetDir || path.join(projectDir, 'target');
       await fs.ensureDir(path.join(targetDir, 'wasm32v1-none', 'release'));
       await fs.ensureDir(path.join(targetDir, 'wasm32-unknown-unknown', 'release'));
       log('info', 'Ensured target directories exist');
+
+      Object.assign(toolchain.env, await sandboxService.prepare(
+        projectDir,
+        { ...buildCacheService.getBuildEnv(projectDir, targetDir), ...toolchain.env },
+        log
+      ));
       
       // Verify we can write to the directory
       try {
-        const testFile = path.join(buildDir, '.test-write');
+        const testFile = path.join(projectDir, '.test-write');
         await fs.writeFile(testFile, 'test');
         await fs.remove(testFile);
       } catch (writeError) {
         throw new Error(`Cannot write to build directory: ${writeError.message}`);
       }
       
-      // Change to build directory and run stellar contract build
-      log('info', `Building contract with Stellar CLI from: ${path.relative(projectDir, buildDir)}`);
-      
-      // Use spawn to capture output line by line for real-time logging
-      return new Promise((resolve, reject) => {
-        const { spawn } = require('child_process');
-        const buildProcess = spawn('stellar', ['contract', 'build'], {
-          cwd: buildDir,
-          env: { 
-            ...process.env, 
-            CARGO_TARGET_DIR: targetDir,
-            HOME: buildDir,
-            USER: 'root'
-          },
-          stdio: ['ignore', 'pipe', 'pipe']
-        });
-        
-        let hasError = false;
-        let errorOutput = '';
-        
-        // Helper function to detect actual errors (not compilation messages)
-        const isActualError = (line) => {
-          const lower = line.toLowerCase();
-          // Ignore compilation messages that contain "error" in package names (e.g., "Compiling thiserror")
-          if (lower.startsWith('compiling ') || lower.startsWith('adding ') || lower.startsWith('updating ')) {
-            return false;
-          }
-          // Check for actual error patterns
-          return (
-            lower.includes('error:') ||
-            lower.includes('error ') ||
-            lower.startsWith('error') ||
-            lower.includes('failed to') ||
-            lower.includes('failed:') ||
-            lower.includes('fatal:') ||
-            lower.includes('cannot') && (lower.includes('find') || lower.includes('open') || lower.includes('read'))
-          );
-        };
-        
-        // Capture stdout line by line
-        buildProcess.stdout.on('data', (data) => {
-          const lines = data.toString().split('\n');
-          lines.forEach(line => {
-            const trimmed = line.trim();
-            if (trimmed) {
-              const lower = trimmed.toLowerCase();
-              if (isActualError(trimmed)) {
-                log('error', trimmed);
-                hasError = true;
-                errorOutput += trimmed + '\n';
-              } else if (lower.includes('warning')) {
-                log('warning', trimmed);
-              } else if (lower.includes('compiling') || lower.includes('building') || lower.includes('updating') || lower.includes('finished')) {
-                log('info', trimmed);
-              } else {
-                log('info', trimmed);
-              }
-            }
-          });
-        });
-        
-        // Capture stderr line by line
-        buildProcess.stderr.on('data', (data) => {
-          const lines = data.toString().split('\n');
-          lines.forEach(line => {
-            const trimmed = line.trim();
-            if (trimmed && !trimmed.includes('Build Complete')) {
-              const lower = trimmed.toLowerCase();
-              // stderr often contains compilation progress, so be more lenient
-              if (isActualError(trimmed)) {
-                log('error', trimmed);
-                hasError = true;
-                errorOutput += trimmed + '\n';
-              } else if (lower.startsWith('compiling ') || lower.startsWith('adding ') || lower.startsWith('updating ')) {
-                // These are normal compilation messages on stderr
-                log('info', trimmed);
-              } else {
-                log('info', trimmed);
-              }
-            }
-        });
-        });
-        
-        buildProcess.on('close', async (code) => {
-          // Only reject if exit code is non-zero
-          // hasError might be false positive from package names containing "error"
-          if (code !== 0) {
-            const errorMsg = errorOutput || `Build process exited with code ${code}`;
-            log('error', `Build failed with exit code ${code}: ${errorMsg}`);
-            reject(new Error(errorMsg));
-            return;
-          }
-          
-          // Log if we detected errors but exit code was 0 (might be false positives)
-          if (hasError && errorOutput) {
-            log('warning', `Some error-like messages detected but build succeeded: ${errorOutput.substring(0, 200)}`);
-          }
-          
-          // Continue with WASM file detection
-          try {
-            // Look for the compiled WASM file
-      let wasmFiles = [];
-      let targetDir = '';
-      
-      // First try the newer wasm32v1-none target
-      const newTargetPath = path.join(buildDir, 'target', 'wasm32v1-none', 'release');
-      log('info', `Checking for WASM files in: ${newTargetPath}`);
-      if (await fs.pathExists(newTargetPath)) {
-              wasmFiles = await fs.readdir(newTargetPath).catch((err) => {
-                log('warning', `Error reading directory ${newTargetPath}: ${err.message}`);
-                return [];
-              });
-        targetDir = newTargetPath;
-              log('info', `Found ${wasmFiles.length} files in wasm32v1-none/release: ${wasmFiles.join(', ')}`);
-            } else {
-              log('warning', `Directory does not exist: ${newTargetPath}`);
-      }
-      
-      // Fall back to older wasm32-unknown-unknown target if no files found
-      if (wasmFiles.length === 0) {
-        const oldTargetPath = path.join(buildDir, 'target', 'wasm32-unknown-unknown', 'release');
-              log('info', `Checking fallback directory: ${oldTargetPath}`);
-        if (await fs.pathExists(oldTargetPath)) {
-                wasmFiles = await fs.readdir(oldTargetPath).catch((err) => {
-                  log('warning', `Error reading directory ${oldTargetPath}: ${err.message}`);
-                  return [];
-                });
-          targetDir = oldTargetPath;
-                log('info', `Found ${wasmFiles.length} files in wasm32-unknown-unknown/release: ${wasmFiles.join(', ')}`);
-              } else {
-                log('warning', `Fallback directory does not exist: ${oldTargetPath}`);
+      const artifacts = [];
+      if (contracts) {
+        // Members share the workspace target directory, so dependencies are
+        // only compiled once
+        for (const contract of contracts) {
+          log('info', `Building contract ${contract.name} from: ${contract.dir}`);
+          await this.runStellarBuild(projectDir, ['--package', contract.name], targetDir, log, toolchain);
+          const { wasmFile, wasmPath } = await this.findWasmArtifact(targetDir, contract.name, log);
+          const wasmContent = await this.readBuildOutput(wasmPath, targetDir);
+          log('success', `Built ${contract.name}: ${wasmFile} (${wasmContent.length} bytes)`);
+          artifacts.push(await this.finishArtifact(contract.name, contract.dir, wasmFile, wasmPath, wasmContent, {
+            ...options,
+            projectDir,
+            targetDir,
+            toolchain
+          }, log));
         }
+      } else {
+        log('info', 'Building contract with Stellar CLI from project root');
+        await this.runStellarBuild(projectDir, [], targetDir, log, toolchain);
+        // A reused target directory may still hold WASM files of crates the
+        // project used to have, so look for this package's file by name
+        const packageName = this.readPackageName(cargoContent);
+        const { wasmFile, wasmPath } = await this.findWasmArtifact(targetDir, packageName, log);
+        log('info', `Reading WASM file from: ${wasmPath}`);
+        const wasmContent = await this.readBuildOutput(wasmPath, targetDir);
+        artifacts.push(await this.finishArtifact(packageName, '.', wasmFile, wasmPath, wasmContent, {
+          ...options,
+          projectDir,
+          targetDir,
+          toolchain
+        }, log));
       }
+
+      log('success', `Real compilation successful! Generated ${artifacts.map(artifact => `${artifact.wasmFile} (${artifact.size} bytes)`).join(', ')}`);
       
-            // Filter for WASM files (excluding deps)
-      const wasmFile = wasmFiles.find(f => f.endsWith('.wasm') && !f.includes('deps'));
-      
-      if (wasmFile) {
-        const wasmPath = path.join(targetDir, wasmFile);
-              log('info', `Reading WASM file from: ${wasmPath}`);
-        const wasmContent = await fs.readFile(wasmPath);
-        
-        log('success', `Real compilation successful! Generated ${wasmFile} (${wasmContent.length} bytes)`);
-        
-              resolve({
-          success: true,
-          output: {
-            wasm: wasmContent.toString('base64'),
-            wasmFile: wasmFile
-          },
-          logs: logs,
-          compilationType: 'real'
-              });
-            } else {
-              log('error', `No WASM file found. Available files: ${wasmFiles.join(', ')}`);
-              log('error', `Build directory: ${buildDir}`);
-              log('error', `Target directory: ${targetDir}`);
-              reject(new Error(`No WASM file generated. Found files: ${wasmFiles.join(', ')}`));
-            }
-          } catch (error) {
-            log('error', `Error during WASM file detection: ${error.message}`);
-            log('error', `Stack: ${error.stack}`);
-            reject(error);
-          }
-        });
-        
-        buildProcess.on('error', (err) => {
-          log('error', `Build process error: ${err.message}`);
-          reject(err);
-        });
-      });
-      
+      return {
+        success: true,
+        output: {
+          wasm: artifacts[0].wasmBase64,
+          wasmFile: artifacts[0].wasmFile,
+          contracts: artifacts
+        },
+        diagnostics,
+        logs: logs,
+        compilationType: 'real'
+      };
     } catch (error) {
       log('error', `Real compilation failed: ${error.message}`);
       
@@ -671,6 +1248,8 @@ class CompilationService {
       return {
         success: false,
         error: error.message,
+        limit: error.limit || null,
+        diagnostics,
         logs: logs,
         compilationType: 'real'
       };
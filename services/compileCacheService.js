@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const CompileCache = require('../models/CompileCache');
+const toolchainService = require('./toolchainService');
+
+const execFileAsync = promisify(execFile);
+
+// Bump to invalidate every entry when the build steps change
+const CACHE_FORMAT_VERSION = 5;
+
+/**
+ * Content-addressed cache of successful builds. A build is reused when the
+ * project files, the contracts selected, the toolchain and whether the WASM
+ * was optimized are all the same. Entries are per project: a build's output
+ * also depends on the project's persistent target directory, which its own
+ * builds can write to, so one project's builds are never served to another.
+ */
+class CompileCacheService {
+  constructor() {
+    // Promises of version strings by Rust channel and CLI version
+    this.toolchainVersions = new Map();
+  }
+
+  /**
+   * Versions of the Stellar CLI and Rust compiler a project builds with on
+   * this worker (read once per process), plus its pinned soroban-sdk version
+   * @param {Object|null} toolchain - Project toolchain {rust, stellarCli, sdk}
+   * @returns {Promise<string|null>} null if the toolchain is not installed
+   */
+  async getToolchainVersion(toolchain = null) {
+    const key = `${toolchain?.rust || ''}|${toolchain?.stellarCli || ''}`;
+    if (!this.toolchainVersions.has(key)) {
+      const versions = toolchainService.resolve(toolchain)
+        .then(({ stellarBin, env }) => Promise.all([
+          execFileAsync(stellarBin, ['--version']),
+          execFileAsync('rustc', ['--version'], { env: { ...process.env, ...env } })
+        ]))
+        .then(results => results.map(({ stdout }) => stdout.trim().split('\n')[0]).join('; '))
+        .catch(() => {
+          // Look again on the next build, e.g. once the toolchain is installed
+          this.toolchainVersions.delete(key);
+          return null;
+        });
+      this.toolchainVersions.set(key, versions);
+    }
+
+    const version = await this.toolchainVersions.get(key);
+    if (version && toolchain?.sdk) {
+      return `${version}; soroban-sdk ${toolchain.sdk}`;
+    }
+    return version;
+  }
+
+  /**
+   * Cache key of a build: sha256 over the project, the files (sorted by path,
+   * folders ignored), the selected contracts, the toolchain version and the optimize flag
+   * @param {Array} files - [{name, type, content}]
+   * @param {Object} options - {projectId, contracts, toolchain, optimize}
+   * @returns {string} Hex digest
+   */
+  computeKey(files, { projectId, contracts = [], toolchain, optimize = false }) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`v${CACHE_FORMAT_VERSION}\0${projectId}\0${toolchain}\0${[...contracts].sort().join(',')}\0${optimize ? 'optimize' : ''}\0`);
+    this.hashFiles(hash, files);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Hash of the project files alone, identifying the source snapshot a build
+   * was made from
+   * @param {Array} files - [{name, type, content}]
+   * @returns {string} Hex digest
+   */
+  computeSourceHash(files) {
+    const hash = crypto.createHash('sha256');
+    this.hashFiles(hash, files);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Feed files into a hash, sorted by path and without folders
+   */
+  hashFiles(hash, files) {
+    const sourceFiles = files
+      .filter(file => file.type !== 'folder')
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const file of sourceFiles) {
+      const content = file.content || '';
+      hash.update(`${file.name}\0${Buffer.byteLength(content)}\0`);
+      hash.update(content);
+    }
+  }
+
+  /**
+   * Find a cached build and record the hit
+   * @returns {Promise<Object|null>} Cache entry
+   */
+  async lookup(key) {
+    return CompileCache.findOneAndUpdate(
+      { key },
+      { $inc: { hitCount: 1 }, lastUsedAt: new Date() },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Store a successful build
+   * @param {string} key - Cache key
+   * @param {string} toolchain - Toolchain version the key was computed with
+   * @param {Object} result - compileProject result
+   */
+  async store(key, toolchain, result) {
+    await CompileCache.updateOne(
+      { key },
+      {
+        $set: {
+          toolchain,
+          contracts: result.contracts,
+          diagnostics: result.diagnostics || [],
+          wasmFile: result.contracts[0]?.wasmFile || null,
+          compilationType: result.compilationType || null,
+          lastUsedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = new CompileCacheService();
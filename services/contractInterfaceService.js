@@ -0,0 +1,66 @@
+const Job = require('../models/Job');
+const httpError = require('../utils/httpError');
+
+/**
+ * Contract interfaces of a project: the specs decoded from the WASM of its
+ * latest successful compile (see utils/contractSpec.js)
+ */
+class ContractInterfaceService {
+  /**
+   * Interface of a project's contracts as of its latest compile that has one
+   * @param {string} projectId - Project ID
+   * @param {Object} options - {contract}: only this contract (package name)
+   * @returns {Promise<Object>} {jobId, compiledAt, commitSha, dirty,
+   *   contracts: [{name, path, wasmFile, hash, spec}]}
+   * @throws {Error} 404 error if the project was never compiled to a contract
+   *   with a spec, or the contract is not part of that build
+   */
+  async getProjectInterface(projectId, { contract = null } = {}) {
+    const job = await Job.findOne({
+      project: projectId,
+      type: 'compile',
+      status: 'completed',
+      'result.contracts.spec': { $type: 'object' }
+    })
+      .sort({ createdAt: -1 })
+      // Leave the WASM itself out
+      .select({
+        'result.contracts.name': 1,
+        'result.contracts.path': 1,
+        'result.contracts.wasmFile': 1,
+        'result.contracts.hash': 1,
+        'result.contracts.spec': 1,
+        commitSha: 1,
+        dirty: 1,
+        updatedAt: 1
+      })
+      .lean();
+    if (!job) {
+      throw httpError(404, 'No contract interface yet; compile the project first');
+    }
+
+    let contracts = (job.result.contracts || []).filter(entry => entry.spec);
+    if (contract) {
+      contracts = contracts.filter(entry => entry.name === contract);
+      if (contracts.length === 0) {
+        throw httpError(404, `Contract ${contract} was not part of the latest build`);
+      }
+    }
+
+    return {
+      jobId: job._id.toString(),
+      compiledAt: job.updatedAt,
+      commitSha: job.commitSha,
+      dirty: job.dirty,
+      contracts: contracts.map(entry => ({
+        name: entry.name,
+        path: entry.path,
+        wasmFile: entry.wasmFile,
+        hash: entry.hash,
+        spec: entry.spec
+      }))
+    };
+  }
+}
+
+module.exports = new ContractInterfaceService();
@@ -441,6 +441,161 @@ If you have any questions or need assistance, please don't hesitate to contact o
       };
     }
   }
+
+  /**
+   * Escape user-provided text for HTML emails
+   */
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[c]);
+  }
+
+  /**
+   * Generate HTML email template for a project collaboration invitation
+   */
+  generateProjectInvitationEmailTemplate(invitation, appName = 'WebSoroban IDE') {
+    const projectName = this.escapeHtml(invitation.projectName);
+    const inviterName = this.escapeHtml(invitation.inviterName);
+    const role = this.escapeHtml(invitation.role);
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Project Invitation - ${appName}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 28px;">You've been invited to a project</h1>
+  </div>
+  
+  <div style="background: #ffffff; padding: 40px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+    <p style="font-size: 16px; margin-bottom: 20px;">Hello,</p>
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      <strong>${inviterName}</strong> invited you to collaborate on <strong>${projectName}</strong> in ${appName} as <strong>${role}</strong>.
+    </p>
+    
+    <div style="text-align: center; margin-top: 30px;">
+      <a href="${invitation.inviteUrl}" 
+         style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">
+        Accept Invitation
+      </a>
+    </div>
+    
+    <p style="font-size: 14px; color: #666; margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee;">
+      This invitation expires on ${new Date(invitation.expiresAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}. If you weren't expecting it, you can safely ignore this email.
+    </p>
+  </div>
+  
+  <div style="text-align: center; margin-top: 20px; padding: 20px; color: #999; font-size: 12px;">
+    <p style="margin: 0;">© ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+  </div>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Generate plain text email template for a project collaboration invitation
+   */
+  generateProjectInvitationEmailText(invitation, appName = 'WebSoroban IDE') {
+    return `
+You've been invited to a project
+
+${invitation.inviterName} invited you to collaborate on "${invitation.projectName}" in ${appName} as ${invitation.role}.
+
+Accept the invitation: ${invitation.inviteUrl}
+
+This invitation expires on ${new Date(invitation.expiresAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}. If you weren't expecting it, you can safely ignore this email.
+
+© ${new Date().getFullYear()} ${appName}. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Send a project collaboration invitation
+   * @param {string} to - Recipient email address
+   * @param {Object} invitation - {projectName, inviterName, role, inviteUrl, expiresAt}
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Send result
+   */
+  async sendProjectInvitation(to, invitation, options = {}) {
+    if (!this.transporter) {
+      console.log('[EmailService] Transporter not initialized, attempting to initialize...');
+      this.initialize();
+      
+      if (!this.transporter) {
+        const missingConfig = [];
+        if (!process.env.SMTP_USER) missingConfig.push('SMTP_USER');
+        if (!process.env.SMTP_PASSWORD) missingConfig.push('SMTP_PASSWORD');
+        
+        const errorMsg = missingConfig.length > 0
+          ? `Email service not configured. Missing: ${missingConfig.join(', ')}`
+          : 'Email service not configured. Please check SMTP settings.';
+        
+        console.warn(`[EmailService] ${errorMsg}`);
+        return {
+          success: false,
+          error: errorMsg
+        };
+      }
+    }
+
+    const appName = options.appName || 'WebSoroban IDE';
+    const fromEmail = process.env.SMTP_FROM || process.env.SMTP_USER;
+    const fromName = process.env.SMTP_FROM_NAME || appName;
+
+    if (!fromEmail) {
+      const errorMsg = 'SMTP_FROM or SMTP_USER environment variable is required';
+      console.error(`[EmailService] ${errorMsg}`);
+      return {
+        success: false,
+        error: errorMsg
+      };
+    }
+
+    const mailOptions = {
+      from: `"${fromName}" <${fromEmail}>`,
+      to: to,
+      subject: options.subject || `${invitation.inviterName} invited you to ${invitation.projectName} - ${appName}`,
+      text: this.generateProjectInvitationEmailText(invitation, appName),
+      html: this.generateProjectInvitationEmailTemplate(invitation, appName)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`[EmailService] Project invitation sent to ${to}:`, info.messageId);
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error(`[EmailService] Failed to send project invitation to ${to}:`, error);
+      
+      let errorMessage = error.message;
+      if (error.code === 'EAUTH') {
+        errorMessage = 'SMTP authentication failed. Please check your SMTP_USER and SMTP_PASSWORD.';
+      } else if (error.code === 'ECONNECTION') {
+        errorMessage = `Cannot connect to SMTP server (${process.env.SMTP_HOST || 'smtp.gmail.com'}:${process.env.SMTP_PORT || '587'}). Please check SMTP_HOST and SMTP_PORT.`;
+      } else if (error.code === 'ETIMEDOUT') {
+        errorMessage = 'SMTP connection timed out. Please check your network connection and SMTP settings.';
+      }
+      
+      return {
+        success: false,
+        error: errorMessage,
+        errorCode: error.code
+      };
+    }
+  }
 }
 
 module.exports = new EmailService();
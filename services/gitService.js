@@ -0,0 +1,809 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const revisionService = require('./revisionService');
+const httpError = require('../utils/httpError');
+const { normalizeFileType, parentPath, isIgnoredPath, validateFileSet } = require('../utils/projectPaths');
+
+// Upper bound for a single git command; clone, fetch and push can be slow
+const GIT_TIMEOUT_MS = parseInt(process.env.GIT_TIMEOUT_MS || '120000', 10);
+const MAX_DIFF_BYTES = 1024 * 1024;
+const MAX_REPO_FILES = parseInt(process.env.MAX_IMPORT_FILES || '2000', 10);
+
+// Local paths and file:// remotes let users read repositories on the server,
+// so they are only allowed when explicitly enabled (local development)
+const ALLOW_LOCAL_REMOTES = process.env.GIT_ALLOW_LOCAL_REMOTES === 'true';
+// Hosts remotes may point at; git runs with the server's network, so any
+// other host (internal services included) is refused
+const GIT_ALLOWED_HOSTS = (process.env.GIT_ALLOWED_HOSTS || 'github.com,gitlab.com,bitbucket.org,codeberg.org')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+// Encrypts credentials given in https remote URLs; without it such URLs are refused
+const GIT_CREDENTIALS_KEY = process.env.GIT_CREDENTIALS_KEY
+  ? crypto.createHash('sha256').update(process.env.GIT_CREDENTIALS_KEY).digest()
+  : null;
+
+/**
+ * Git service for projects linked to a git remote.
+ *
+ * Every linked project has a working copy on disk. Before each operation the
+ * project files are written into the working copy, so git sees unsaved IDE
+ * changes as working-tree changes against HEAD.
+ *
+ * Git never uses the server's own identity: no SSH keys or agent, no global
+ * git config or credential helpers. Credentials from an https remote URL are
+ * kept encrypted apart from the URL and only sent to the remote.
+ */
+class GitService {
+  constructor() {
+    this.workspaceDir = process.env.GIT_WORKSPACE_DIR || path.join(os.tmpdir(), 'soroban-git');
+    this.locks = new Map();
+  }
+
+  /**
+   * Run a git command in a directory
+   * @param {Array} args - git arguments
+   * @param {Object} options - {cwd, timeout, credentials: "user:password" for the remote}
+   * @returns {Promise<string>} stdout
+   */
+  run(args, options = {}) {
+    const allowedProtocols = ALLOW_LOCAL_REMOTES ? 'https:ssh:git:file' : 'https:ssh:git';
+    const { SSH_AUTH_SOCK, GIT_SSH_COMMAND, GIT_ASKPASS, SSH_ASKPASS, ...env } = process.env;
+    Object.assign(env, {
+      GIT_TERMINAL_PROMPT: '0',
+      GIT_ALLOW_PROTOCOL: allowedProtocols,
+      GIT_CONFIG_GLOBAL: '/dev/null',
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_SSH_COMMAND: 'ssh -F /dev/null -o BatchMode=yes -o IdentitiesOnly=yes -o IdentityFile=none -o IdentityAgent=none'
+    });
+    if (options.credentials) {
+      // Sent as a header so the credentials never end up in .git/config
+      Object.assign(env, {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: 'http.extraHeader',
+        GIT_CONFIG_VALUE_0: `Authorization: Basic ${Buffer.from(options.credentials).toString('base64')}`
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      execFile('git', args, {
+        cwd: options.cwd,
+        timeout: options.timeout || GIT_TIMEOUT_MS,
+        maxBuffer: 20 * 1024 * 1024,
+        env
+      }, (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = (stderr || '').trim();
+          error.message = error.stderr || error.message;
+          return reject(error);
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * Run git operations for one project one at a time
+   */
+  async withLock(projectId, fn) {
+    const key = projectId.toString();
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === current) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Working copy directory for a project
+   */
+  getWorkdir(projectId) {
+    return path.join(this.workspaceDir, projectId.toString());
+  }
+
+  /**
+   * Validate a remote URL supplied by a user and split off its credentials
+   * @returns {Object} {url: the URL without credentials, credentials: "user:password" or null}
+   * @throws {Error} 400 error for unsupported remotes
+   */
+  validateRemoteUrl(remoteUrl) {
+    if (typeof remoteUrl !== 'string' || !remoteUrl.trim()) {
+      throw httpError(400, 'Remote URL is required');
+    }
+
+    const url = remoteUrl.trim();
+    if (url.startsWith('-') || /[\s\u0000-\u001f]/.test(url) || url.includes('::')) {
+      throw httpError(400, 'Invalid remote URL');
+    }
+
+    if (/^(https|ssh|git):\/\//.test(url)) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw httpError(400, 'Invalid remote URL');
+      }
+      this.assertAllowedHost(parsed.hostname);
+
+      let credentials = null;
+      if (parsed.protocol === 'https:' && (parsed.username || parsed.password)) {
+        if (!GIT_CREDENTIALS_KEY) {
+          throw httpError(400, 'Credentials in remote URLs are not supported on this server');
+        }
+        credentials = `${decodeURIComponent(parsed.username)}:${decodeURIComponent(parsed.password)}`;
+        parsed.username = '';
+        parsed.password = '';
+      } else if (parsed.password || (parsed.protocol === 'git:' && parsed.username)) {
+        throw httpError(400, 'Credentials are only supported in https remote URLs');
+      }
+      return { url: parsed.href, credentials };
+    }
+
+    const scpLike = url.match(/^[\w.-]+@([\w.-]+):/);
+    if (scpLike) {
+      this.assertAllowedHost(scpLike[1]);
+      return { url, credentials: null };
+    }
+
+    if (url.startsWith('file://') || path.isAbsolute(url)) {
+      if (!ALLOW_LOCAL_REMOTES) {
+        throw httpError(400, 'Local repositories are not allowed as remotes');
+      }
+      return { url, credentials: null };
+    }
+
+    throw httpError(400, 'Remote URL must be an https, ssh or git URL');
+  }
+
+  /**
+   * @throws {Error} 400 error unless the host is in GIT_ALLOWED_HOSTS
+   */
+  assertAllowedHost(hostname) {
+    if (!GIT_ALLOWED_HOSTS.includes(hostname.toLowerCase())) {
+      throw httpError(400, `Remotes on ${hostname} are not allowed. Allowed hosts: ${GIT_ALLOWED_HOSTS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Encrypt remote credentials for storage
+   * @returns {string|null} iv, auth tag and ciphertext, base64, dot-separated
+   */
+  encryptCredentials(credentials) {
+    if (!credentials) {
+      return null;
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', GIT_CREDENTIALS_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(credentials, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  /**
+   * Credentials of a linked project's remote, or null if it has none
+   * @throws {Error} 500 error if they cannot be decrypted (GIT_CREDENTIALS_KEY changed)
+   */
+  getCredentials(project) {
+    if (!project.git.credentials) {
+      return null;
+    }
+    try {
+      const [iv, authTag, encrypted] = project.git.credentials.split('.').map(part => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', GIT_CREDENTIALS_KEY, iv);
+      decipher.setAuthTag(authTag);
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw httpError(500, 'Stored remote credentials cannot be decrypted; link the remote again');
+    }
+  }
+
+  /**
+   * Validate a branch name
+   * @throws {Error} 400 error for invalid names
+   */
+  async validateBranch(branch) {
+    if (typeof branch !== 'string' || branch.startsWith('-')) {
+      throw httpError(400, 'Invalid branch name');
+    }
+    try {
+      await this.run(['check-ref-format', '--branch', branch], { timeout: 10000 });
+    } catch (error) {
+      throw httpError(400, `Invalid branch name: ${branch}`);
+    }
+    return branch;
+  }
+
+  /**
+   * Turn a failed network operation into a client error
+   */
+  remoteError(error, action) {
+    if (error.killed) {
+      return httpError(504, `git ${action} timed out`);
+    }
+    return httpError(502, `git ${action} failed: ${error.message}`);
+  }
+
+  /**
+   * Get the commit HEAD points to, or null on an unborn branch
+   */
+  async getHead(dir) {
+    try {
+      return (await this.run(['rev-parse', '--verify', '-q', 'HEAD'], { cwd: dir })).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a ref exists in the working copy
+   */
+  async refExists(dir, ref) {
+    try {
+      await this.run(['rev-parse', '--verify', '-q', ref], { cwd: dir });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a file should stay out of the project (binary files can't be edited in the IDE)
+   */
+  async isBinaryFile(filePath) {
+    const data = await fs.readFile(filePath);
+    return data.includes(0);
+  }
+
+  /**
+   * Read the tracked files of the working copy as project files
+   * @returns {Promise<Array>} Array of {name, type, content}
+   */
+  async readWorkingTree(dir) {
+    const output = await this.run(['ls-files', '-z'], { cwd: dir });
+    const names = output.split('\0').filter(Boolean).filter(name => !isIgnoredPath(name));
+
+    if (names.length > MAX_REPO_FILES) {
+      throw httpError(413, `Repository contains more than ${MAX_REPO_FILES} files`);
+    }
+
+    const files = [];
+    for (const name of names) {
+      const filePath = path.join(dir, name);
+      const stat = await fs.lstat(filePath).catch(() => null);
+      if (!stat || !stat.isFile()) {
+        continue; // deleted, symlink or submodule
+      }
+      const data = await fs.readFile(filePath);
+      if (data.includes(0)) {
+        continue;
+      }
+      files.push({ name, type: 'file', content: data.toString('utf8') });
+    }
+
+    return files;
+  }
+
+  /**
+   * Symlinks committed to the repository must not lead writes out of the working copy
+   * @throws {Error} 409 error if a parent folder of the path is a symlink
+   */
+  async assertNoSymlinkParents(dir, filePath) {
+    const segments = filePath.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const parent = segments.slice(0, i).join('/');
+      const stat = await fs.lstat(path.join(dir, parent)).catch(() => null);
+      if (!stat) {
+        return;
+      }
+      if (stat.isSymbolicLink()) {
+        throw httpError(409, `Cannot write ${filePath}: ${parent} is a symlink in the repository`);
+      }
+    }
+  }
+
+  /**
+   * Write the project files into the working copy, removing files the
+   * project no longer has. Ignored and binary files are left alone since
+   * the project never contains them.
+   */
+  async writeWorkingTree(dir, files) {
+    const projectFiles = revisionService.normalizeFiles(files).filter(file => !isIgnoredPath(file.name));
+    const names = new Set(projectFiles.map(file => file.name));
+
+    const output = await this.run(['ls-files', '-z', '--cached', '--others', '--exclude-standard'], { cwd: dir });
+    for (const name of output.split('\0').filter(Boolean)) {
+      if (names.has(name) || isIgnoredPath(name)) {
+        continue;
+      }
+      const filePath = path.join(dir, name);
+      const stat = await fs.lstat(filePath).catch(() => null);
+      if (stat && (!stat.isFile() || await this.isBinaryFile(filePath))) {
+        continue;
+      }
+      await fs.remove(filePath);
+    }
+
+    for (const file of projectFiles) {
+      const filePath = path.join(dir, file.name);
+      await this.assertNoSymlinkParents(dir, file.name);
+
+      if (normalizeFileType(file.type) === 'folder') {
+        await fs.ensureDir(filePath);
+        continue;
+      }
+      await fs.ensureDir(path.dirname(filePath));
+
+      const stat = await fs.lstat(filePath).catch(() => null);
+      if (stat && stat.isSymbolicLink()) {
+        await fs.remove(filePath);
+      }
+      await fs.writeFile(filePath, file.content || '');
+    }
+  }
+
+  /**
+   * Make sure the project's working copy exists, re-cloning it if the
+   * server lost it (e.g. after a restart with a temporary workspace)
+   */
+  async ensureWorkdir(project) {
+    const dir = this.getWorkdir(project._id);
+    if (await fs.pathExists(path.join(dir, '.git'))) {
+      return dir;
+    }
+
+    const { remoteUrl, branch, headCommit } = project.git;
+    await fs.remove(dir);
+    await fs.ensureDir(dir);
+    await this.run(['init', '-q', '-b', branch], { cwd: dir });
+    await this.run(['remote', 'add', 'origin', remoteUrl], { cwd: dir });
+
+    try {
+      await this.run(['fetch', '-q', 'origin'], { cwd: dir, credentials: this.getCredentials(project) });
+    } catch (error) {
+      await fs.remove(dir);
+      throw this.remoteError(error, 'fetch');
+    }
+
+    // Commits that were never pushed are gone with the old working copy
+    if (headCommit && await this.refExists(dir, `${headCommit}^{commit}`)) {
+      await this.run(['reset', '-q', '--hard', headCommit], { cwd: dir });
+    } else if (await this.refExists(dir, `refs/remotes/origin/${branch}`)) {
+      if (headCommit) {
+        console.warn(`[GitService] Commit ${headCommit} of project ${project._id} is not on the remote; using origin/${branch}`);
+      }
+      await this.run(['reset', '-q', '--hard', `origin/${branch}`], { cwd: dir });
+    }
+    await this.setUpstream(dir, branch);
+
+    return dir;
+  }
+
+  /**
+   * Track origin/<branch> if it exists, so ahead/behind counts work
+   */
+  async setUpstream(dir, branch) {
+    if (await this.refExists(dir, `refs/remotes/origin/${branch}`) && await this.getHead(dir)) {
+      await this.run(['branch', '-q', `--set-upstream-to=origin/${branch}`], { cwd: dir });
+    }
+  }
+
+  /**
+   * Sync project files into the working copy and stage everything
+   * @returns {Promise<string>} Working copy directory
+   */
+  async stageProject(project) {
+    const dir = await this.ensureWorkdir(project);
+    await this.writeWorkingTree(dir, project.files);
+    await this.run(['add', '-A'], { cwd: dir });
+    return dir;
+  }
+
+  /**
+   * Load a project that is linked to a remote
+   * @throws {Error} 404/400 error if missing or not linked
+   */
+  async getLinkedProject(projectId) {
+    const project = await Project.findById(projectId).select('+git.credentials');
+    if (!project) {
+      throw httpError(404, 'Project not found');
+    }
+    if (!project.git || !project.git.remoteUrl) {
+      throw httpError(400, 'Project is not linked to a git repository');
+    }
+    return project;
+  }
+
+  /**
+   * Clone a repository into a new project
+   * @param {Object} options - {remoteUrl, branch, name, userId}
+   * @returns {Promise<Object>} {project, skipped}
+   */
+  async cloneProject({ remoteUrl, branch, name, userId }) {
+    const { url, credentials } = this.validateRemoteUrl(remoteUrl);
+    if (branch) {
+      await this.validateBranch(branch);
+    }
+
+    const projectId = new mongoose.Types.ObjectId();
+    const dir = this.getWorkdir(projectId);
+    await fs.ensureDir(this.workspaceDir);
+
+    try {
+      const args = ['clone', '-q'];
+      if (branch) {
+        args.push('--branch', branch);
+      }
+      await this.run([...args, '--', url, dir], { credentials });
+    } catch (error) {
+      await fs.remove(dir);
+      throw this.remoteError(error, 'clone');
+    }
+
+    try {
+      const currentBranch = (await this.run(['symbolic-ref', '--short', 'HEAD'], { cwd: dir })).trim();
+      const headCommit = await this.getHead(dir);
+      const files = validateFileSet(await this.readWorkingTree(dir));
+      const repoName = url.replace(/\/+$/, '').replace(/\.git$/, '').split(/[/:]/).pop();
+
+      const project = await Project.create({
+        _id: projectId,
+        name: name || repoName || 'Cloned Project',
+        userId,
+        files,
+        git: {
+          remoteUrl: url,
+          credentials: this.encryptCredentials(credentials),
+          branch: currentBranch,
+          headCommit,
+          headContentHash: revisionService.hashFiles(files),
+          lastSyncedAt: new Date()
+        }
+      });
+
+      console.log(`[GitService] Cloned ${url} (${currentBranch}) into project ${projectId}`);
+      return revisionService.recordInitialRevision(project, userId);
+    } catch (error) {
+      await fs.remove(dir);
+      throw error;
+    }
+  }
+
+  /**
+   * Link an existing project to a remote. The project files become
+   * working-tree changes against the remote branch (or the first commit on
+   * an empty remote).
+   * @param {Object} project - Project document
+   * @param {Object} options - {remoteUrl, branch}
+   * @returns {Promise<Object>} Updated project
+   */
+  async linkRemote(project, { remoteUrl, branch }) {
+    const { url, credentials } = this.validateRemoteUrl(remoteUrl);
+    if (branch) {
+      await this.validateBranch(branch);
+    }
+
+    return this.withLock(project._id, async () => {
+      const dir = this.getWorkdir(project._id);
+      await fs.remove(dir);
+      await fs.ensureDir(dir);
+
+      try {
+        await this.run(['init', '-q'], { cwd: dir });
+        await this.run(['remote', 'add', 'origin', url], { cwd: dir });
+        try {
+          await this.run(['fetch', '-q', 'origin'], { cwd: dir, credentials });
+        } catch (error) {
+          throw this.remoteError(error, 'fetch');
+        }
+
+        let linkedBranch = branch;
+        if (!linkedBranch) {
+          try {
+            await this.run(['remote', 'set-head', 'origin', '-a'], { cwd: dir, credentials });
+            linkedBranch = (await this.run(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], { cwd: dir }))
+              .trim().replace(/^origin\//, '');
+          } catch (error) {
+            linkedBranch = 'main'; // empty remote
+          }
+        }
+
+        await this.run(['symbolic-ref', 'HEAD', `refs/heads/${linkedBranch}`], { cwd: dir });
+        let headCommit = null;
+        if (await this.refExists(dir, `refs/remotes/origin/${linkedBranch}`)) {
+          await this.run(['reset', '-q', '--hard', `origin/${linkedBranch}`], { cwd: dir });
+          await this.setUpstream(dir, linkedBranch);
+          headCommit = await this.getHead(dir);
+        }
+
+        const headFiles = headCommit ? await this.readWorkingTree(dir) : [];
+        return await Project.findByIdAndUpdate(project._id, {
+          git: {
+            remoteUrl: url,
+            credentials: this.encryptCredentials(credentials),
+            branch: linkedBranch,
+            headCommit,
+            headContentHash: headCommit ? revisionService.hashFiles(headFiles) : null,
+            lastSyncedAt: new Date()
+          }
+        }, { new: true });
+      } catch (error) {
+        await fs.remove(dir);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Unlink a project from its remote and remove the working copy
+   */
+  async unlinkRemote(project) {
+    return this.withLock(project._id, async () => {
+      await fs.remove(this.getWorkdir(project._id));
+      return Project.findByIdAndUpdate(project._id, {
+        git: { remoteUrl: null, credentials: null, branch: null, headCommit: null, headContentHash: null, lastSyncedAt: null }
+      }, { new: true });
+    });
+  }
+
+  /**
+   * Remove a project's working copy (e.g. when the project is deleted)
+   */
+  async removeWorkdir(projectId) {
+    await fs.remove(this.getWorkdir(projectId));
+  }
+
+  /**
+   * Get the working-tree changes of a project against HEAD
+   * @param {string} projectId - Project ID
+   * @param {Object} options - {fetch} to update ahead/behind counts from the remote first
+   * @returns {Promise<Object>} {branch, headCommit, clean, ahead, behind, files, patch, truncated}
+   */
+  async getStatus(projectId, options = {}) {
+    return this.withLock(projectId, async () => {
+      const project = await this.getLinkedProject(projectId);
+      const dir = await this.stageProject(project);
+      const { branch } = project.git;
+
+      if (options.fetch) {
+        try {
+          await this.run(['fetch', '-q', 'origin'], { cwd: dir, credentials: this.getCredentials(project) });
+          await this.setUpstream(dir, branch);
+        } catch (error) {
+          throw this.remoteError(error, 'fetch');
+        }
+      }
+
+      const nameStatus = await this.run(['diff', '--cached', '--name-status', '-z', '-M'], { cwd: dir });
+      const fields = nameStatus.split('\0').filter(Boolean);
+      const files = [];
+      for (let i = 0; i < fields.length; i++) {
+        const code = fields[i];
+        const status = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', T: 'modified' }[code[0]] || 'modified';
+        if (code[0] === 'R') {
+          files.push({ path: fields[i + 2], oldPath: fields[i + 1], status });
+          i += 2;
+        } else {
+          files.push({ path: fields[i + 1], status });
+          i += 1;
+        }
+      }
+
+      let patch = await this.run(['diff', '--cached', '-M'], { cwd: dir });
+      const truncated = Buffer.byteLength(patch, 'utf8') > MAX_DIFF_BYTES;
+      if (truncated) {
+        patch = patch.slice(0, MAX_DIFF_BYTES);
+      }
+
+      let ahead = 0;
+      let behind = 0;
+      const headCommit = await this.getHead(dir);
+      if (headCommit && await this.refExists(dir, `refs/remotes/origin/${branch}`)) {
+        const counts = await this.run(['rev-list', '--left-right', '--count', `HEAD...origin/${branch}`], { cwd: dir });
+        [ahead, behind] = counts.trim().split(/\s+/).map(Number);
+      } else if (headCommit) {
+        ahead = parseInt((await this.run(['rev-list', '--count', 'HEAD'], { cwd: dir })).trim(), 10);
+      }
+
+      return {
+        remoteUrl: project.git.remoteUrl,
+        branch,
+        headCommit,
+        revision: project.revision,
+        clean: files.length === 0,
+        ahead,
+        behind,
+        files,
+        patch,
+        truncated
+      };
+    });
+  }
+
+  /**
+   * Commit the current project files
+   * @param {string} projectId - Project ID
+   * @param {Object} options - {message, author: {name, email}}
+   * @returns {Promise<Object>} {project, commit}
+   */
+  async commit(projectId, { message, author }) {
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      throw httpError(400, 'Commit message is required');
+    }
+
+    return this.withLock(projectId, async () => {
+      const project = await this.getLinkedProject(projectId);
+      const dir = await this.stageProject(project);
+
+      const staged = await this.run(['diff', '--cached', '--name-only'], { cwd: dir });
+      if (!staged.trim()) {
+        throw httpError(409, 'Nothing to commit, working tree matches HEAD');
+      }
+
+      await this.run([
+        '-c', `user.name=${author.name}`,
+        '-c', `user.email=${author.email}`,
+        'commit', '-q', '--no-verify', '-m', message.trim()
+      ], { cwd: dir, timeout: 30000 });
+      await this.setUpstream(dir, project.git.branch);
+
+      const headCommit = await this.getHead(dir);
+      const updated = await Project.findByIdAndUpdate(project._id, {
+        'git.headCommit': headCommit,
+        'git.headContentHash': revisionService.hashFiles(project.files)
+      }, { new: true });
+
+      console.log(`[GitService] Committed ${headCommit} for project ${project._id}`);
+      return { project: updated, commit: headCommit };
+    });
+  }
+
+  /**
+   * Fetch and merge the remote branch, then load the merged files into the
+   * project as a new revision. Requires a clean working tree.
+   * @param {string} projectId - Project ID
+   * @param {Object} options - {userId, author: {name, email}}
+   * @returns {Promise<Object>} {project, headCommit, previousCommit, updated}
+   */
+  async pull(projectId, { userId, author }) {
+    return this.withLock(projectId, async () => {
+      const project = await this.getLinkedProject(projectId);
+      const dir = await this.stageProject(project);
+      const { branch } = project.git;
+
+      const status = await this.run(['status', '--porcelain'], { cwd: dir });
+      if (status.trim()) {
+        throw httpError(409, 'Project has uncommitted changes. Commit them before pulling');
+      }
+
+      try {
+        await this.run(['fetch', '-q', 'origin'], { cwd: dir, credentials: this.getCredentials(project) });
+      } catch (error) {
+        throw this.remoteError(error, 'fetch');
+      }
+
+      if (!await this.refExists(dir, `refs/remotes/origin/${branch}`)) {
+        throw httpError(404, `Branch ${branch} does not exist on the remote`);
+      }
+
+      const previousCommit = await this.getHead(dir);
+      if (!previousCommit) {
+        await this.run(['reset', '-q', '--hard', `origin/${branch}`], { cwd: dir });
+      } else {
+        try {
+          await this.run([
+            '-c', `user.name=${author.name}`,
+            '-c', `user.email=${author.email}`,
+            'merge', '-q', '--no-edit', `origin/${branch}`
+          ], { cwd: dir, timeout: 30000 });
+        } catch (error) {
+          await this.run(['merge', '--abort'], { cwd: dir }).catch(() => {});
+          throw httpError(409, `Remote changes conflict with local commits: ${error.message}`);
+        }
+      }
+      await this.setUpstream(dir, branch);
+
+      const headCommit = await this.getHead(dir);
+      const pulledFiles = await this.readWorkingTree(dir);
+
+      // Keep empty folders the user created; git doesn't store them
+      const pulledNames = new Set(pulledFiles.map(file => file.name));
+      const folders = project.files.filter(file =>
+        file.type === 'folder' &&
+        !pulledNames.has(file.name) &&
+        !pulledFiles.some(f => parentPath(file.name) === f.name)
+      ).map(file => ({ name: file.name, type: 'folder', content: '' }));
+      const files = [...pulledFiles, ...folders];
+
+      const result = await revisionService.saveFiles(project, files, {
+        userId,
+        message: `Pull ${branch} (${headCommit.slice(0, 7)})`,
+        expectedRevision: project.revision
+      });
+
+      if (result.conflict) {
+        // The project was saved while pulling; go back so that save isn't lost
+        if (previousCommit) {
+          await this.run(['reset', '-q', '--hard', previousCommit], { cwd: dir });
+        }
+        throw httpError(409, 'Project was modified while pulling. Try again');
+      }
+
+      const updated = await Project.findByIdAndUpdate(project._id, {
+        'git.headCommit': headCommit,
+        'git.headContentHash': revisionService.hashFiles(result.project.files),
+        'git.lastSyncedAt': new Date()
+      }, { new: true });
+
+      console.log(`[GitService] Pulled ${branch} at ${headCommit} into project ${project._id}`);
+      return { project: updated, headCommit, previousCommit, updated: result.changed };
+    });
+  }
+
+  /**
+   * Push HEAD to the remote branch
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} {project, headCommit}
+   */
+  async push(projectId) {
+    return this.withLock(projectId, async () => {
+      const project = await this.getLinkedProject(projectId);
+      const dir = await this.ensureWorkdir(project);
+      const { branch } = project.git;
+      const credentials = this.getCredentials(project);
+
+      const headCommit = await this.getHead(dir);
+      if (!headCommit) {
+        throw httpError(409, 'Nothing to push. Commit first');
+      }
+
+      try {
+        await this.run(['push', '-q', 'origin', `HEAD:refs/heads/${branch}`], { cwd: dir, credentials });
+      } catch (error) {
+        if (/\[rejected\]|non-fast-forward|fetch first/.test(error.message)) {
+          throw httpError(409, 'Remote has commits that are not in the project. Pull first');
+        }
+        throw this.remoteError(error, 'push');
+      }
+
+      await this.run(['fetch', '-q', 'origin'], { cwd: dir, credentials }).catch(() => {});
+      await this.setUpstream(dir, branch);
+
+      const updated = await Project.findByIdAndUpdate(project._id, {
+        'git.lastSyncedAt': new Date()
+      }, { new: true });
+
+      console.log(`[GitService] Pushed ${headCommit} to ${branch} for project ${project._id}`);
+      return { project: updated, headCommit };
+    });
+  }
+
+  /**
+   * Describe the commit a build or deployment of the project comes from
+   * @param {Object} project - Project document
+   * @param {Array} files - Files being built (defaults to the saved project files)
+   * @returns {Object} {commitSha, dirty}
+   */
+  getBuildSource(project, files) {
+    if (!project.git || !project.git.remoteUrl || !project.git.headCommit) {
+      return { commitSha: null, dirty: false };
+    }
+
+    const contentHash = files ? revisionService.hashFiles(files) : project.contentHash;
+    return {
+      commitSha: project.git.headCommit,
+      dirty: contentHash !== project.git.headContentHash
+    };
+  }
+}
+
+module.exports = new GitService();
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const httpError = require('../utils/httpError');
+const { getProjectRole } = require('../utils/projectRoles');
+
+const ORGANIZATION_ROLES = Organization.ROLES;
+
+/**
+ * Organization service: membership, project ownership and the shared quota
+ */
+class OrganizationService {
+  /**
+   * Turn an organization name into a URL slug
+   */
+  slugify(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return slug.length >= 3 ? slug : `org-${slug}`.replace(/-+$/, '');
+  }
+
+  /**
+   * Create an organization with the user as its owner
+   * @param {Object} user - Creating user
+   * @param {Object} data - {name, slug}
+   * @returns {Promise<Object>} Organization document
+   */
+  async createOrganization(user, { name, slug }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw httpError(400, 'Organization name is required');
+    }
+
+    let organizationSlug = slug ? String(slug).toLowerCase() : this.slugify(name);
+    if (!/^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/.test(organizationSlug)) {
+      throw httpError(400, 'Slug must be 3-50 lowercase letters, numbers or hyphens');
+    }
+
+    if (await Organization.exists({ slug: organizationSlug })) {
+      if (slug) {
+        throw httpError(409, `The slug "${organizationSlug}" is already taken`);
+      }
+      organizationSlug = `${organizationSlug}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    const organization = await Organization.create({
+      name: name.trim(),
+      slug: organizationSlug,
+      createdBy: user._id,
+      members: [{ userId: user._id, role: 'owner' }]
+    });
+
+    console.log(`[OrganizationService] User ${user._id} created organization ${organization._id} (${organization.slug})`);
+    return organization;
+  }
+
+  /**
+   * Organizations the user is a member of
+   */
+  async listForUser(userId) {
+    return Organization.find({ 'members.userId': userId }).sort({ name: 1 });
+  }
+
+  /**
+   * IDs of the organizations the user is a member of
+   */
+  async getMemberOrganizationIds(userId) {
+    return Organization.find({ 'members.userId': userId }).distinct('_id');
+  }
+
+  /**
+   * Load an organization and check the user's role in it
+   * @param {string} organizationId - Organization ID
+   * @param {Object} user - Current user
+   * @param {string} requiredRole - member, admin or owner
+   * @returns {Promise<Object>} {organization, role}
+   * @throws {Error} 404/403 error
+   */
+  async requireMember(organizationId, user, requiredRole = 'member') {
+    const organization = mongoose.Types.ObjectId.isValid(organizationId)
+      ? await Organization.findById(organizationId)
+      : null;
+    if (!organization) {
+      throw httpError(404, 'Organization not found');
+    }
+
+    const role = organization.getMemberRole(user._id);
+    if (!role) {
+      throw httpError(403, 'You are not a member of this organization');
+    }
+    if (ORGANIZATION_ROLES.indexOf(role) < ORGANIZATION_ROLES.indexOf(requiredRole)) {
+      throw httpError(403, `This action requires the ${requiredRole} role in the organization`);
+    }
+
+    return { organization, role };
+  }
+
+  /**
+   * Only owners may hand out or take away admin and owner rights
+   */
+  assertCanManageRole(actorRole, role) {
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw httpError(400, `Invalid role. Must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+    }
+    if (role !== 'member' && actorRole !== 'owner') {
+      throw httpError(403, 'Only owners can manage admins and owners');
+    }
+  }
+
+  /**
+   * Make sure an owner remains after a change
+   */
+  assertKeepsOwner(organization, userId, newRole) {
+    const owners = organization.members.filter(m => m.role === 'owner');
+    const isOwner = owners.some(m => m.userId.toString() === userId.toString());
+    if (isOwner && owners.length === 1 && newRole !== 'owner') {
+      throw httpError(400, 'An organization needs at least one owner');
+    }
+  }
+
+  /**
+   * Add an existing user to the organization by email
+   * @returns {Promise<Object>} Updated organization
+   */
+  async addMember(organization, { email, role = 'member' }, actorRole) {
+    this.assertCanManageRole(actorRole, role);
+
+    const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    const user = address ? await User.findOne({ email: address }) : null;
+    if (!user) {
+      throw httpError(404, `No account found for ${address || 'that email'}. Ask them to sign up first`);
+    }
+
+    const updated = await Organization.findOneAndUpdate(
+      { _id: organization._id, 'members.userId': { $ne: user._id } },
+      { $push: { members: { userId: user._id, role } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(409, `${address} is already a member`);
+    }
+    return updated;
+  }
+
+  /**
+   * Change a member's role
+   * @returns {Promise<Object>} Updated organization
+   */
+  async updateMemberRole(organization, userId, role, actorRole) {
+    const currentRole = mongoose.Types.ObjectId.isValid(userId) ? organization.getMemberRole(userId) : null;
+    if (!currentRole) {
+      throw httpError(404, 'Member not found');
+    }
+    this.assertCanManageRole(actorRole, role);
+    this.assertCanManageRole(actorRole, currentRole);
+    this.assertKeepsOwner(organization, userId, role);
+
+    return Organization.findOneAndUpdate(
+      { _id: organization._id, 'members.userId': userId },
+      { $set: { 'members.$.role': role } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Remove a member (or leave the organization)
+   * @returns {Promise<Object>} Updated organization
+   */
+  async removeMember(organization, userId, actor, actorRole) {
+    const currentRole = mongoose.Types.ObjectId.isValid(userId) ? organization.getMemberRole(userId) : null;
+    if (!currentRole) {
+      throw httpError(404, 'Member not found');
+    }
+
+    const leaving = actor._id.toString() === userId.toString();
+    if (!leaving) {
+      if (actorRole === 'member') {
+        throw httpError(403, 'Only admins can remove members');
+      }
+      this.assertCanManageRole(actorRole, currentRole);
+    }
+    this.assertKeepsOwner(organization, userId, null);
+
+    return Organization.findByIdAndUpdate(
+      organization._id,
+      { $pull: { members: { userId } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Delete an organization that no longer owns projects
+   */
+  async deleteOrganization(organization) {
+    const projectCount = await Project.countDocuments({ organizationId: organization._id, deletedAt: null });
+    if (projectCount > 0) {
+      throw httpError(409, `The organization still owns ${projectCount} project(s). Move or delete them first`);
+    }
+    // Trashed projects fall back to their creator if they are restored later
+    // (see trashService.restoreProject)
+    await Organization.findByIdAndDelete(organization._id);
+  }
+
+  /**
+   * List members with their user details
+   */
+  async listMembers(organization) {
+    const users = await User.find({ _id: { $in: organization.members.map(m => m.userId) } })
+      .select('name email picture walletAddress');
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+    return organization.members.map(member => {
+      const user = byId.get(member.userId.toString());
+      return {
+        userId: member.userId,
+        name: user?.name || null,
+        email: user?.email || null,
+        picture: user?.picture || null,
+        walletAddress: user?.walletAddress || null,
+        role: member.role,
+        joinedAt: member.joinedAt
+      };
+    });
+  }
+
+  /**
+   * Get a user's role on a project, including roles granted through the
+   * organization that owns it
+   * @returns {Promise<string|null>} Role, or null if the user has no access
+   */
+  async resolveProjectRole(project, userId) {
+    const organization = project.organizationId
+      ? await Organization.findById(project.organizationId).select('members defaultProjectRole')
+      : null;
+    return getProjectRole(project, userId, organization);
+  }
+
+  /**
+   * Whoever's plan pays for actions on a project: the organization for
+   * organization projects, the acting user otherwise
+   * @param {Object} project - Project document (or null)
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} Organization or User document with canDeploy/canTestFunction
+   */
+  async getQuotaHolder(project, user) {
+    if (project && project.organizationId) {
+      const organization = await Organization.findById(project.organizationId);
+      if (organization) {
+        return organization;
+      }
+    }
+    return user;
+  }
+
+  /**
+   * Move a project into an organization, or back to its creator's personal
+   * workspace with `organizationId` null
+   * @returns {Promise<Object>} Updated project
+   */
+  async moveProject(project, organizationId, user) {
+    if (organizationId) {
+      await this.requireMember(organizationId, user, 'member');
+    } else if (project.userId.toString() !== user._id.toString()) {
+      throw httpError(403, 'Only the project creator can move it to their personal workspace');
+    }
+
+    return Project.findByIdAndUpdate(
+      project._id,
+      { organizationId: organizationId || null },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new OrganizationService();
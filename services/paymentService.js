@@ -2,6 +2,7 @@ const StellarSdk = require('@stellar/stellar-sdk');
 const Payment = require('../models/Payment');
 const Subscription = require('../models/Subscription');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
 
 
 
@@ -167,8 +168,14 @@ class PaymentService {
 
   /**
    * Process payment and upgrade subscription
+   * @param {string} txHash - Payment transaction hash
+   * @param {string} userId - Paying user
+   * @param {string} plan - plan2 or plan3
+   * @param {Object} options - {organizationId} to pay for an organization's plan instead of the user's
    */
-  async processPayment(txHash, userId, plan) {
+  async processPayment(txHash, userId, plan, options = {}) {
+    const organizationId = options.organizationId || null;
+
     try {
       // Check if payment already processed
       const existingPayment = await Payment.findOne({ txHash });
@@ -187,8 +194,20 @@ class PaymentService {
         };
       }
       
+      // Organization plans are paid with the organization ID as memo
+      let organization = null;
+      if (organizationId) {
+        organization = await Organization.findById(organizationId);
+        if (!organization) {
+          return {
+            success: false,
+            error: 'Organization not found'
+          };
+        }
+      }
+      
       const price = plan === 'plan2' ? 50 : 100;
-      const memo = userId.toString();
+      const memo = (organizationId || userId).toString();
       
       // Verify payment
       const verification = await this.verifyPayment(txHash, price, memo);
@@ -199,6 +218,7 @@ class PaymentService {
           { txHash },
           {
             userId,
+            organizationId,
             plan,
             amount: price,
             txHash,
@@ -245,6 +265,7 @@ class PaymentService {
         { txHash },
         {
           userId,
+          organizationId,
           plan,
           amount: price,
           txHash,
@@ -263,7 +284,7 @@ class PaymentService {
       
       // Find or create subscription
       let subscription = await Subscription.findOne({
-        userId,
+        ...(organizationId ? { organizationId } : { userId, organizationId: null }),
         plan,
         status: 'active'
       }).sort({ createdAt: -1 });
@@ -271,6 +292,7 @@ class PaymentService {
       if (!subscription) {
         subscription = new Subscription({
           userId,
+          organizationId,
           plan,
           status: 'active',
           startDate: new Date(),
@@ -300,8 +322,8 @@ class PaymentService {
       
       await subscription.save();
       
-      // Update user subscription
-      await user.updateSubscription(plan, txHash);
+      // Update the subscription of the user or organization that was paid for
+      await (organization || user).updateSubscription(plan, txHash);
       
       // Link payment to subscription
       payment.subscriptionId = subscription._id;
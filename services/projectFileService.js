@@ -0,0 +1,282 @@
+const revisionService = require('./revisionService');
+const httpError = require('../utils/httpError');
+const {
+  normalizeProjectPath,
+  parentPath,
+  baseName,
+  isWithin,
+  buildFileTree
+} = require('../utils/projectPaths');
+
+/**
+ * Project file service for changing individual files and folders without
+ * resending the whole project. Every change is saved through the revision
+ * service, so it is recorded in the project history and guarded by the
+ * project revision.
+ */
+class ProjectFileService {
+  /**
+   * Normalize a file path taken from a URL or request body
+   * @param {string} filePath - Raw path
+   * @returns {string} Path relative to the project root
+   */
+  normalizePath(filePath) {
+    return normalizeProjectPath(filePath);
+  }
+
+  /**
+   * Check whether a path is a folder, either stored explicitly or implied by
+   * the files inside it
+   * @param {Array} files - Project files
+   * @param {string} folderPath - Path to check
+   * @returns {boolean}
+   */
+  isFolder(files, folderPath) {
+    return files.some(f =>
+      (f.name === folderPath && f.type === 'folder') || f.name.startsWith(`${folderPath}/`)
+    );
+  }
+
+  /**
+   * Make sure no ancestor of a path is a file
+   */
+  assertParentIsFolder(files, filePath) {
+    for (let parent = parentPath(filePath); parent; parent = parentPath(parent)) {
+      if (files.some(f => f.name === parent && f.type !== 'folder')) {
+        throw httpError(409, `${parent} is a file, not a folder`);
+      }
+    }
+  }
+
+  /**
+   * Keep a folder visible after its last entry is removed
+   */
+  keepFolder(files, folderPath) {
+    if (!folderPath || this.isFolder(files, folderPath)) {
+      return files;
+    }
+    return [...files, { name: folderPath, type: 'folder', content: '' }];
+  }
+
+  /**
+   * Summarize a file without its content
+   */
+  describeFile(file) {
+    return {
+      name: file.name,
+      type: file.type || 'file',
+      size: Buffer.byteLength(file.content || '', 'utf8'),
+      hash: revisionService.hashContent(file.content)
+    };
+  }
+
+  /**
+   * List files of a project without their contents
+   * @param {Object} project - Project document
+   * @returns {Array} File summaries
+   */
+  listFiles(project) {
+    return project.files.map(file => this.describeFile(file));
+  }
+
+  /**
+   * Get the project files as a nested tree for the explorer
+   * @param {Object} project - Project document
+   * @returns {Object} Root folder node
+   */
+  getTree(project) {
+    return buildFileTree(project.files);
+  }
+
+  /**
+   * Get a single file, or a folder with its direct children
+   * @param {Object} project - Project document
+   * @param {string} filePath - File path
+   * @returns {Object|null} File with content and hash, or folder node
+   */
+  getFile(project, filePath) {
+    const name = this.normalizePath(filePath);
+    const file = project.files.find(f => f.name === name);
+
+    if (file && file.type !== 'folder') {
+      return {
+        ...this.describeFile(file),
+        content: file.content || ''
+      };
+    }
+
+    if (this.isFolder(project.files, name)) {
+      const tree = buildFileTree(project.files.filter(f => isWithin(f.name, name)));
+      let node = tree;
+      for (const segment of name.split('/')) {
+        node = node.children.find(child => child.name === segment);
+      }
+      return {
+        name,
+        type: 'folder',
+        children: node.children.map(({ children, ...child }) => child)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or replace a single file
+   * @param {Object} project - Project document
+   * @param {string} filePath - File path
+   * @param {Object} data - {content, type}
+   * @param {Object} options - {userId, message, expectedRevision}
+   * @returns {Promise<Object>} Save result plus `created`
+   */
+  async writeFile(project, filePath, data, options = {}) {
+    if (data.type === 'folder') {
+      return this.createFolder(project, filePath, options);
+    }
+
+    const name = this.normalizePath(filePath);
+    const content = typeof data.content === 'string' ? data.content : '';
+    const exists = project.files.some(f => f.name === name);
+    let created = !exists;
+
+    const result = await revisionService.saveFiles(project, (files) => {
+      if (this.isFolder(files, name)) {
+        throw httpError(409, `${name} is a folder`);
+      }
+      this.assertParentIsFolder(files, name);
+
+      const existing = files.find(f => f.name === name);
+      created = !existing;
+      if (existing) {
+        return files.map(f => f.name === name ? { ...f, content } : f);
+      }
+      return [...files, { name, type: 'file', content }];
+    }, {
+      ...options,
+      message: options.message || `${exists ? 'Update' : 'Create'} ${name}`
+    });
+
+    return { ...result, created };
+  }
+
+  /**
+   * Create an empty folder
+   * @param {Object} project - Project document
+   * @param {string} folderPath - Folder path
+   * @param {Object} options - {userId, message, expectedRevision}
+   * @returns {Promise<Object>} Save result plus `created`
+   */
+  async createFolder(project, folderPath, options = {}) {
+    const name = this.normalizePath(folderPath);
+    let created = false;
+
+    const result = await revisionService.saveFiles(project, (files) => {
+      if (files.some(f => f.name === name && f.type !== 'folder')) {
+        throw httpError(409, `A file already exists at ${name}`);
+      }
+      this.assertParentIsFolder(files, name);
+
+      created = !this.isFolder(files, name);
+      return created ? [...files, { name, type: 'folder', content: '' }] : files;
+    }, {
+      ...options,
+      message: options.message || `Create folder ${name}`
+    });
+
+    return { ...result, created };
+  }
+
+  /**
+   * Delete a file, or a folder together with everything inside it
+   * @param {Object} project - Project document
+   * @param {string} filePath - File or folder path
+   * @param {Object} options - {userId, message, expectedRevision}
+   * @returns {Promise<Object>} Save result
+   */
+  async deleteFile(project, filePath, options = {}) {
+    const name = this.normalizePath(filePath);
+
+    return revisionService.saveFiles(project, (files) => {
+      const folder = this.isFolder(files, name);
+      if (!folder && !files.some(f => f.name === name)) {
+        throw httpError(404, `File not found: ${name}`);
+      }
+
+      const remaining = files.filter(f => folder ? !isWithin(f.name, name) : f.name !== name);
+      return this.keepFolder(remaining, parentPath(name));
+    }, {
+      ...options,
+      message: options.message || `Delete ${name}`
+    });
+  }
+
+  /**
+   * Move a file or folder to a new path (rename within a folder or move
+   * between folders). Moving a folder moves everything inside it.
+   * @param {Object} project - Project document
+   * @param {string} fromPath - Current path
+   * @param {string} toPath - New path
+   * @param {Object} options - {userId, message, expectedRevision, overwrite}
+   * @returns {Promise<Object>} Save result
+   */
+  async moveFile(project, fromPath, toPath, options = {}) {
+    const from = this.normalizePath(fromPath);
+    const to = this.normalizePath(toPath);
+
+    if (from === to) {
+      throw httpError(400, 'Source and destination are the same');
+    }
+
+    return revisionService.saveFiles(project, (files) => {
+      const folder = this.isFolder(files, from);
+      if (!folder && !files.some(f => f.name === from)) {
+        throw httpError(404, `File not found: ${from}`);
+      }
+      if (folder && isWithin(to, from)) {
+        throw httpError(400, 'A folder cannot be moved into itself');
+      }
+      this.assertParentIsFolder(files.filter(f => !isWithin(f.name, from)), to);
+
+      const moving = files.filter(f => folder ? isWithin(f.name, from) : f.name === from);
+      const staying = files.filter(f => !moving.includes(f));
+      const moved = moving.map(f => ({ ...f, name: `${to}${f.name.slice(from.length)}` }));
+
+      const collisions = staying.filter(f =>
+        moved.some(m => m.name === f.name) || (folder && f.name === to && f.type !== 'folder')
+      );
+      if (collisions.length > 0 && !options.overwrite) {
+        throw httpError(409, `A file already exists at ${collisions[0].name}`);
+      }
+
+      const result = staying.filter(f => !collisions.includes(f)).concat(moved);
+      return this.keepFolder(result, parentPath(from));
+    }, {
+      ...options,
+      message: options.message || `Move ${from} to ${to}`
+    });
+  }
+
+  /**
+   * Rename a file or folder, keeping it in the same parent folder
+   * @param {Object} project - Project document
+   * @param {string} filePath - Current path
+   * @param {string} newName - New base name
+   * @param {Object} options - {userId, message, expectedRevision, overwrite}
+   * @returns {Promise<Object>} Save result
+   */
+  async renameFile(project, filePath, newName, options = {}) {
+    const from = this.normalizePath(filePath);
+    if (!newName || typeof newName !== 'string' || /[\\/]/.test(newName) || newName === '.' || newName === '..') {
+      throw httpError(400, 'New name must be a file name without slashes');
+    }
+
+    const folder = parentPath(from);
+    const to = folder ? `${folder}/${newName}` : newName;
+    return this.moveFile(project, from, to, {
+      ...options,
+      message: options.message || `Rename ${baseName(from)} to ${newName}`
+    });
+  }
+}
+
+module.exports = new ProjectFileService();
@@ -0,0 +1,304 @@
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+const httpError = require('../utils/httpError');
+const { escapeRegExp } = require('../utils/textSearch');
+const { METADATA_KEY_PATTERN, normalizeTag } = require('../utils/projectDetails');
+const { accessibleProjectsQuery, getProjectRole } = require('../utils/projectRoles');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_NAME_QUERY_LENGTH = 200;
+
+// Sortable fields and the type their cursor values are decoded to
+const SORT_FIELDS = {
+  updatedAt: 'date',
+  createdAt: 'date',
+  lastDeployed: 'date',
+  name: 'string'
+};
+
+// Case-insensitive ordering for name sorts (and their cursors)
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Summary view: everything but file contents, deployment logs and the description
+const SUMMARY_PROJECTION = '-files -deploymentHistory -description';
+
+/**
+ * Listing of the projects a user can access, with cursor pagination, filters
+ * and sorting
+ */
+class ProjectListService {
+  /**
+   * Normalize list options from a query string
+   * @param {Object} input - {limit, cursor, q, deployed, network, tag, pinned, metadata, sort, order, view}
+   * @returns {Object} Parsed options
+   * @throws {Error} 400 error for invalid values
+   */
+  parseOptions(input = {}) {
+    let limit = null;
+    if (input.limit !== undefined) {
+      limit = parseInt(input.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw httpError(400, 'limit must be a positive integer');
+      }
+      limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    const sort = input.sort || 'updatedAt';
+    if (!SORT_FIELDS[sort]) {
+      throw httpError(400, `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const order = input.order || (sort === 'name' ? 'asc' : 'desc');
+    if (order !== 'asc' && order !== 'desc') {
+      throw httpError(400, 'order must be asc or desc');
+    }
+
+    const view = input.view || 'full';
+    if (view !== 'full' && view !== 'summary') {
+      throw httpError(400, 'view must be full or summary');
+    }
+
+    let deployed = null;
+    if (input.deployed !== undefined) {
+      if (input.deployed !== 'true' && input.deployed !== 'false') {
+        throw httpError(400, 'deployed must be true or false');
+      }
+      deployed = input.deployed === 'true';
+    }
+
+    let pinned = null;
+    if (input.pinned !== undefined) {
+      if (input.pinned !== 'true' && input.pinned !== 'false') {
+        throw httpError(400, 'pinned must be true or false');
+      }
+      pinned = input.pinned === 'true';
+    }
+
+    // ?tag=defi&tag=audited or ?tag=defi,audited: projects with every tag
+    const tags = [];
+    for (const entry of [].concat(input.tag || [])) {
+      tags.push(...String(entry).split(',').filter(tag => tag.trim()).map(normalizeTag));
+    }
+
+    // ?metadata[network]=mainnet: exact matches on metadata values
+    const metadata = {};
+    if (input.metadata !== undefined) {
+      if (typeof input.metadata !== 'object' || Array.isArray(input.metadata)) {
+        throw httpError(400, 'metadata filters must look like metadata[key]=value');
+      }
+      for (const [key, value] of Object.entries(input.metadata)) {
+        if (!METADATA_KEY_PATTERN.test(key) || typeof value !== 'string') {
+          throw httpError(400, `Invalid metadata filter "${key}"`);
+        }
+        metadata[key] = value;
+      }
+    }
+
+    const q = typeof input.q === 'string' ? input.q.trim() : '';
+    if (q.length > MAX_NAME_QUERY_LENGTH) {
+      throw httpError(400, `q is too long (max ${MAX_NAME_QUERY_LENGTH} characters)`);
+    }
+
+    const options = {
+      limit,
+      sort,
+      order,
+      view,
+      q,
+      deployed,
+      network: typeof input.network === 'string' && input.network ? input.network : null,
+      pinned,
+      tags,
+      metadata,
+      cursor: null
+    };
+    if (input.cursor) {
+      options.cursor = this.decodeCursor(input.cursor, sort);
+    }
+    return options;
+  }
+
+  /**
+   * Encode the position after `project` in a listing sorted by `sort`
+   */
+  encodeCursor(project, sort) {
+    const value = project[sort];
+    return Buffer.from(JSON.stringify({
+      s: sort,
+      v: value instanceof Date ? value.toISOString() : (value ?? null),
+      id: project._id.toString()
+    })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   * @throws {Error} 400 error for malformed cursors or cursors from another sort
+   */
+  decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.s !== sort || !/^[0-9a-fA-F]{24}$/.test(decoded.id || '')) {
+      throw httpError(400, 'Invalid cursor');
+    }
+
+    let value = decoded.v;
+    if (value !== null && SORT_FIELDS[sort] === 'date') {
+      value = new Date(value);
+      if (Number.isNaN(value.getTime())) {
+        throw httpError(400, 'Invalid cursor');
+      }
+    }
+    return { value, id: decoded.id };
+  }
+
+  /**
+   * Query for the projects after a cursor. Sort fields may be null (e.g. never
+   * deployed), which Mongo orders before every other value.
+   */
+  cursorQuery({ value, id }, sort, order) {
+    const after = order === 'asc' ? '$gt' : '$lt';
+
+    if (value === null) {
+      return order === 'asc'
+        ? { $or: [{ [sort]: { $ne: null } }, { [sort]: null, _id: { $gt: id } }] }
+        : { [sort]: null, _id: { $lt: id } };
+    }
+
+    const conditions = [
+      { [sort]: { [after]: value } },
+      { [sort]: value, _id: { [after]: id } }
+    ];
+    if (order === 'desc') {
+      conditions.push({ [sort]: null });
+    }
+    return { $or: conditions };
+  }
+
+  /**
+   * Filter conditions for the parsed options
+   * @param {Object} options - Parsed options
+   * @param {string} userId - Current user, for the pinned filter
+   */
+  filterQuery(options, userId) {
+    const conditions = [];
+    if (options.q) {
+      conditions.push({ name: { $regex: escapeRegExp(options.q), $options: 'i' } });
+    }
+    if (options.deployed !== null) {
+      conditions.push({ lastDeployed: options.deployed ? { $ne: null } : null });
+    }
+    if (options.network) {
+      conditions.push({ lastDeployedNetwork: options.network });
+    }
+    if (options.pinned !== null) {
+      conditions.push({ pinnedBy: options.pinned ? userId : { $ne: userId } });
+    }
+    if (options.tags.length > 0) {
+      conditions.push({ tags: { $all: options.tags } });
+    }
+    for (const [key, value] of Object.entries(options.metadata)) {
+      conditions.push({ [`metadata.${key}`]: value });
+    }
+    if (options.cursor) {
+      conditions.push(this.cursorQuery(options.cursor, options.sort, options.order));
+    }
+    return conditions;
+  }
+
+  /**
+   * Whether the user pinned a project
+   */
+  isPinned(project, userId) {
+    return (project.pinnedBy || []).some(id => id.toString() === userId.toString());
+  }
+
+  /**
+   * Base query for the projects in scope, and the organizations needed to
+   * compute the user's role on them
+   * @param {Object} user - Current user
+   * @param {Object} scope - {organization} to limit the query to one organization
+   * @returns {Promise<Object>} {baseQuery, organizationsById}
+   */
+  async scopeQuery(user, scope = {}) {
+    if (scope.organization) {
+      return {
+        baseQuery: { organizationId: scope.organization._id },
+        organizationsById: new Map([[scope.organization._id.toString(), scope.organization]])
+      };
+    }
+
+    const organizations = await Organization.find({ 'members.userId': user._id }).select('members defaultProjectRole');
+    return {
+      baseQuery: accessibleProjectsQuery(user._id, organizations.map(org => org._id)),
+      organizationsById: new Map(organizations.map(org => [org._id.toString(), org]))
+    };
+  }
+
+  /**
+   * List live, non-local projects
+   * @param {Object} user - Current user
+   * @param {Object} input - Raw options from the request (see parseOptions)
+   * @param {Object} scope - {organization} to list only that organization's projects
+   * @returns {Promise<Object>} {projects (with `role`), nextCursor (null on the last page)}
+   */
+  async listProjects(user, input, scope = {}) {
+    const options = this.parseOptions(input);
+    const { baseQuery, organizationsById } = await this.scopeQuery(user, scope);
+
+    const direction = options.order === 'asc' ? 1 : -1;
+    let query = Project.find({
+      $and: [baseQuery, { isLocal: { $ne: true }, deletedAt: null }, ...this.filterQuery(options, user._id)]
+    }).sort({ [options.sort]: direction, _id: direction });
+
+    if (options.sort === 'name') {
+      query = query.collation(NAME_COLLATION);
+    }
+    if (options.view === 'summary') {
+      query = query.select(SUMMARY_PROJECTION);
+    }
+    // Fetch one extra project to tell whether there is a next page
+    if (options.limit) {
+      query = query.limit(options.limit + 1);
+    }
+
+    const projects = await query;
+    const hasMore = options.limit !== null && projects.length > options.limit;
+    const page = hasMore ? projects.slice(0, options.limit) : projects;
+
+    return {
+      projects: page.map(project => {
+        const organization = project.organizationId ? organizationsById.get(project.organizationId.toString()) : null;
+        return {
+          ...project.toJSON(),
+          role: getProjectRole(project, user._id, organization),
+          pinned: this.isPinned(project, user._id)
+        };
+      }),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], options.sort) : null
+    };
+  }
+
+  /**
+   * Tags used across the projects in scope, most used first
+   * @param {Object} user - Current user
+   * @param {Object} scope - {organization} to count one organization's projects
+   * @returns {Promise<Array>} [{tag, count}]
+   */
+  async listTags(user, scope = {}) {
+    const { baseQuery } = await this.scopeQuery(user, scope);
+    const results = await Project.aggregate([
+      { $match: { $and: [baseQuery, { isLocal: { $ne: true }, deletedAt: null }] } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    return results.map(result => ({ tag: result._id, count: result.count }));
+  }
+}
+
+module.exports = new ProjectListService();
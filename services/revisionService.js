@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const Project = require('../models/Project');
+const ProjectRevision = require('../models/ProjectRevision');
+const { diffText } = require('../utils/diff');
+const { validateFileSet } = require('../utils/projectPaths');
+
+// How many times a save without an expected revision is retried when
+// another save lands between reading and writing the project
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Revision service for recording project file history
+ */
+class RevisionService {
+  /**
+   * Hash a single file's content
+   * @param {string} content - File content
+   * @returns {string} sha256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+  }
+
+  /**
+   * Hash a whole file set, independent of file order
+   * @param {Array} files - Array of {name, type, content}
+   * @returns {string} sha256 hex digest
+   */
+  hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+    const sorted = this.normalizeFiles(files).sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const file of sorted) {
+      hash.update(`${file.name}\0${file.type}\0${this.hashContent(file.content)}\n`);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Strip mongoose metadata so only name/type/content are stored
+   * @param {Array} files - Array of file objects or subdocuments
+   * @returns {Array} Plain file objects
+   */
+  normalizeFiles(files) {
+    return (files || []).map(file => ({
+      name: file.name,
+      type: file.type || 'file',
+      content: file.content || ''
+    }));
+  }
+
+  /**
+   * Compare two file sets
+   * @param {Array} previousFiles - Files before the save
+   * @param {Array} nextFiles - Files after the save
+   * @returns {Array} Changed files: {name, change, hash}
+   */
+  diffFiles(previousFiles, nextFiles) {
+    const previous = new Map(this.normalizeFiles(previousFiles).map(f => [f.name, f]));
+    const next = new Map(this.normalizeFiles(nextFiles).map(f => [f.name, f]));
+    const changes = [];
+
+    for (const [name, file] of next) {
+      const before = previous.get(name);
+      const hash = this.hashContent(file.content);
+
+      if (!before) {
+        changes.push({ name, change: 'added', hash });
+      } else if (before.type !== file.type || this.hashContent(before.content) !== hash) {
+        changes.push({ name, change: 'modified', hash });
+      }
+    }
+
+    for (const name of previous.keys()) {
+      if (!next.has(name)) {
+        changes.push({ name, change: 'deleted', hash: null });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record the first revision of a freshly created project
+   * @param {Object} project - Saved project document
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Updated project
+   */
+  async recordInitialRevision(project, userId) {
+    const files = this.normalizeFiles(project.files);
+    const contentHash = this.hashFiles(files);
+
+    const updated = await Project.findOneAndUpdate(
+      { _id: project._id, revision: 0 },
+      { $set: { revision: 1, contentHash } },
+      { new: true }
+    );
+
+    // Someone else already recorded history for this project
+    if (!updated) {
+      return Project.findById(project._id);
+    }
+
+    await ProjectRevision.create({
+      projectId: project._id,
+      revision: 1,
+      userId,
+      message: 'Initial version',
+      files,
+      changedFiles: this.diffFiles([], files),
+      contentHash
+    });
+
+    return updated;
+  }
+
+  /**
+   * Save a new file set for a project and record it as a revision
+   *
+   * When `expectedRevision` is given the save only succeeds if the project is
+   * still at that revision; otherwise `{conflict: true}` is returned together
+   * with the project's current state.
+   *
+   * `files` may also be a function that receives the current files and
+   * returns the new set; it is re-applied if another save lands first, so
+   * single-file changes never overwrite unrelated concurrent edits.
+   *
+   * @param {Object} project - Current project document
+   * @param {Array|Function} files - New complete file set, or a function producing it
+   * @param {Object} options - Save options
+   * @param {string} options.userId - Author of the save
+   * @param {string} options.message - Optional revision message
+   * @param {number} options.expectedRevision - Revision the client based its changes on
+   * @param {number} options.restoredFrom - Revision number being restored, if any
+   * @returns {Promise<Object>} {project, revision, changed, conflict}
+   * @throws {Error} 400 error if the new file set has invalid paths
+   */
+  async saveFiles(project, files, options = {}) {
+    const { userId = null, message = '', restoredFrom = null } = options;
+    const expectedRevision = options.expectedRevision ?? null;
+
+    if (expectedRevision !== null && expectedRevision !== project.revision) {
+      return { project, revision: null, changed: false, conflict: true };
+    }
+
+    // Projects created before revisions existed get their current state
+    // recorded first, so the save below can be undone
+    if (!project.revision && project.files.length > 0) {
+      project = await this.recordInitialRevision(project, userId);
+    }
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const baseRevision = project.revision;
+      const nextFiles = validateFileSet(
+        typeof files === 'function' ? files(this.normalizeFiles(project.files)) : files
+      );
+      const contentHash = this.hashFiles(nextFiles);
+      const changedFiles = this.diffFiles(project.files, nextFiles);
+
+      if (changedFiles.length === 0) {
+        return { project, revision: null, changed: false, conflict: false };
+      }
+
+      const updated = await Project.findOneAndUpdate(
+        { _id: project._id, revision: baseRevision },
+        {
+          $set: { files: nextFiles, contentHash, updatedAt: new Date() },
+          $inc: { revision: 1 }
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!updated) {
+        // Another save won the race
+        project = await Project.findById(project._id);
+        if (!project) {
+          throw new Error('Project not found');
+        }
+        if (expectedRevision !== null) {
+          return { project, revision: null, changed: false, conflict: true };
+        }
+        continue;
+      }
+
+      const revision = await ProjectRevision.create({
+        projectId: project._id,
+        revision: updated.revision,
+        userId,
+        message,
+        files: nextFiles,
+        changedFiles,
+        contentHash,
+        restoredFrom
+      });
+
+      console.log(`[RevisionService] Recorded revision ${updated.revision} for project ${project._id} (${changedFiles.length} changed files)`);
+
+      return { project: updated, revision, changed: true, conflict: false };
+    }
+
+    return { project, revision: null, changed: false, conflict: true };
+  }
+
+  /**
+   * Describe how a rejected save differs from the server's current files
+   * @param {Object} project - Current project document
+   * @param {Array} clientFiles - Files the client tried to save
+   * @param {number} baseRevision - Revision the client based its changes on
+   * @returns {Promise<Object>} {serverChanges, diff}
+   */
+  async describeConflict(project, clientFiles, baseRevision) {
+    const client = new Map(this.normalizeFiles(clientFiles).map(f => [f.name, f]));
+    const server = new Map(this.normalizeFiles(project.files).map(f => [f.name, f]));
+
+    // Files changed by other saves since the client's base revision
+    const serverChanges = new Set();
+    if (Number.isInteger(baseRevision)) {
+      const newer = await ProjectRevision.find({
+        projectId: project._id,
+        revision: { $gt: baseRevision }
+      }).select('changedFiles');
+      newer.forEach(rev => rev.changedFiles.forEach(f => serverChanges.add(f.name)));
+    }
+
+    // Per-file diff from the client's version to the server's version
+    const diff = [];
+    const names = new Set([...client.keys(), ...server.keys()]);
+    for (const name of names) {
+      const mine = client.get(name);
+      const theirs = server.get(name);
+
+      if (mine && theirs && mine.content === theirs.content && mine.type === theirs.type) {
+        continue;
+      }
+
+      diff.push({
+        name,
+        status: !theirs ? 'deleted' : !mine ? 'added' : 'modified',
+        changedOnServer: serverChanges.has(name),
+        clientHash: mine ? this.hashContent(mine.content) : null,
+        serverHash: theirs ? this.hashContent(theirs.content) : null,
+        hunks: diffText(mine ? mine.content : '', theirs ? theirs.content : '')
+      });
+    }
+
+    return {
+      serverChanges: [...serverChanges],
+      diff
+    };
+  }
+
+  /**
+   * List revisions of a project, newest first, without file contents
+   * @param {string} projectId - Project ID
+   * @param {Object} options - {limit, before}
+   * @returns {Promise<Array>} Revision summaries
+   */
+  async listRevisions(projectId, options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 200);
+    const query = { projectId };
+
+    if (options.before) {
+      query.revision = { $lt: parseInt(options.before, 10) };
+    }
+
+    return ProjectRevision.find(query)
+      .select('-files')
+      .populate('userId', 'name email')
+      .sort({ revision: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Get a single revision including file contents
+   * @param {string} projectId - Project ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision document
+   */
+  async getRevision(projectId, revision) {
+    return ProjectRevision.findOne({ projectId, revision })
+      .populate('userId', 'name email');
+  }
+
+  /**
+   * Restore an old revision by saving its files as a new revision
+   * @param {Object} project - Current project document
+   * @param {number} revisionNumber - Revision to restore
+   * @param {string} userId - User performing the restore
+   * @param {Object} options - {expectedRevision}
+   * @returns {Promise<Object|null>} Save result, or null if the revision does not exist
+   */
+  async restoreRevision(project, revisionNumber, userId, options = {}) {
+    const revision = await ProjectRevision.findOne({ projectId: project._id, revision: revisionNumber });
+    if (!revision) {
+      return null;
+    }
+
+    return this.saveFiles(project, revision.files, {
+      userId,
+      message: `Restored revision ${revisionNumber}`,
+      restoredFrom: revisionNumber,
+      expectedRevision: options.expectedRevision
+    });
+  }
+
+  /**
+   * Remove all recorded history of a project
+   * @param {string} projectId - Project ID
+   */
+  async deleteRevisions(projectId) {
+    await ProjectRevision.deleteMany({ projectId });
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,514 @@
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const fs = require('fs-extra');
+const path = require('path');
+const Docker = require('dockerode');
+const TOML = require('smol-toml');
+const buildCacheService = require('./buildCacheService');
+
+const execFileAsync = promisify(execFile);
+
+// docker: every build runs in a locked-down container; none: directly on the
+// worker (local development only, user code runs with the worker's rights)
+const SANDBOX_MODE = process.env.SANDBOX_MODE || 'docker';
+// Image with the Rust toolchains and stellar-cli; the worker image itself
+const SANDBOX_IMAGE = process.env.SANDBOX_IMAGE || 'websoroban-worker:latest';
+const SANDBOX_CPUS = parseFloat(process.env.SANDBOX_CPUS || '2');
+const SANDBOX_MEMORY_MB = parseInt(process.env.SANDBOX_MEMORY_MB || '2048', 10);
+const SANDBOX_PIDS_LIMIT = parseInt(process.env.SANDBOX_PIDS_LIMIT || '512', 10);
+// Growth of the build and target directories during one run
+const SANDBOX_DISK_MB = parseInt(process.env.SANDBOX_DISK_MB || '4096', 10);
+const SANDBOX_TIMEOUT_MS = parseInt(process.env.SANDBOX_TIMEOUT_MS || String(15 * 60 * 1000), 10);
+// Builds and tests never get a network; only the dependency fetch does, on
+// this internal Docker network that reaches nothing but the crate mirror
+const SANDBOX_FETCH_NETWORK = process.env.SANDBOX_FETCH_NETWORK || 'websoroban-crate-mirror';
+// Required with SANDBOX_MODE=docker; the fetch cannot reach crates.io itself
+const CRATE_MIRROR_URL = process.env.CRATE_MIRROR_URL || null;
+// uid:gid sandboxed commands run as
+const SANDBOX_USER = process.env.SANDBOX_USER || '1000:1000';
+// "worker path=host path" prefixes, comma-separated, for workers that run in
+// a container: bind mounts name paths on the Docker host
+const SANDBOX_PATH_MAP = (process.env.SANDBOX_PATH_MAP || '')
+  .split(',')
+  .map(entry => entry.trim().split('='))
+  .filter(([from, to]) => from && to)
+  .map(([from, to]) => ({ from: path.resolve(from), to }));
+const DISK_CHECK_INTERVAL_MS = 10 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 60 * 1000;
+// Cargo.toml tables whose entries are dependencies
+const DEPENDENCY_TABLES = ['dependencies', 'dev-dependencies', 'build-dependencies'];
+
+// Variables builds may see; database URLs, API keys and other secrets stay out
+const ENV_ALLOWLIST = /^(PATH|HOME|USER|LANG|LC_ALL|TERM|CARGO_[A-Z0-9_]+|RUSTUP_[A-Z0-9_]+|RUST_[A-Z0-9_]+|RUSTC_[A-Z0-9_]+|REAL_CARGO)$/;
+// What a build prints when it cannot create more processes or threads
+const PROCESS_LIMIT_PATTERN = /Resource temporarily unavailable|os error 11\b/;
+
+/**
+ * Isolation for builds and tests of user code. build.rs scripts, proc macros
+ * and tests are arbitrary code, so with SANDBOX_MODE=docker every cargo /
+ * stellar command runs in a throwaway container:
+ *
+ * - CPU, memory (no swap), process-count and wall-clock limits, plus a disk
+ *   quota on what the run writes to its build and target directories
+ * - read-only root filesystem, no capabilities, no privilege escalation,
+ *   a non-root user (SANDBOX_USER)
+ * - only the paths of its own build are mounted: the build and target
+ *   directories writable, the shared CARGO_HOME read-only
+ * - no network. Dependencies are downloaded beforehand by `cargo fetch`
+ *   (which runs no project code) in a separate container on
+ *   SANDBOX_FETCH_NETWORK, an internal network with only the crate mirror
+ *   (CRATE_MIRROR_URL) on it, ignoring the project's own cargo config.
+ *   Projects may only depend on registry crates and on paths inside the
+ *   project, so git dependencies cannot reach other hosts.
+ *
+ * Runs that hit a limit are stopped and report which limit it was.
+ */
+class SandboxService {
+  constructor() {
+    this.mode = SANDBOX_MODE;
+    this.docker = this.mode === 'docker' ? new Docker() : null;
+    // Promise of the SANDBOX_FETCH_NETWORK check (see checkFetchNetwork)
+    this.fetchNetworkChecked = null;
+  }
+
+  /**
+   * Whether builds run in containers
+   */
+  isIsolated() {
+    return this.mode === 'docker';
+  }
+
+  /**
+   * Limits applied to every run
+   */
+  getLimits() {
+    return {
+      cpus: SANDBOX_CPUS,
+      memoryMb: SANDBOX_MEMORY_MB,
+      processes: SANDBOX_PIDS_LIMIT,
+      diskMb: SANDBOX_DISK_MB,
+      timeoutMs: SANDBOX_TIMEOUT_MS,
+      network: 'none'
+    };
+  }
+
+  /**
+   * Drop everything but build-related variables from an environment
+   */
+  filterEnv(env) {
+    return Object.fromEntries(Object.entries(env).filter(([key, value]) => ENV_ALLOWLIST.test(key) && value !== undefined));
+  }
+
+  /**
+   * Error for a run stopped by a limit
+   * @param {Object} limit - {type, message} from a sandboxed process
+   */
+  toError(limit) {
+    const error = new Error(limit.message);
+    error.limit = limit.type;
+    return error;
+  }
+
+  /**
+   * Get a build directory ready for sandboxed runs: download its dependencies
+   * into the shared CARGO_HOME so the build itself can run offline
+   * @param {string} projectDir - Build directory
+   * @param {Object} env - Build environment (CARGO_HOME etc.)
+   * @param {Function} log - Log function
+   * @returns {Promise<Object>} Variables to add to the build environment
+   * @throws {Error} With `limit` if the fetch hit a sandbox limit; without
+   *   it if the project has dependencies the fetch may not download or no
+   *   crate mirror is configured
+   */
+  async prepare(projectDir, env, log) {
+    if (!this.isIsolated()) {
+      await buildCacheService.markRegistryUntrusted();
+      return {};
+    }
+
+    if (!CRATE_MIRROR_URL) {
+      throw new Error('Dependencies cannot be fetched: CRATE_MIRROR_URL is not set on this worker');
+    }
+    await this.checkFetchNetwork();
+    await this.checkDependencySources(projectDir);
+    await buildCacheService.ensureTrustedRegistry();
+    await this.writeMirrorConfig(env.CARGO_HOME);
+
+    log('info', 'Fetching dependencies...');
+    const { CARGO_NET_OFFLINE, ...fetchEnv } = env;
+    // Cargo reads config from the working directory up, so running outside
+    // the project keeps its .cargo/config.toml (proxies, git settings) out
+    const fetchProcess = this.spawn('cargo', ['fetch', '--manifest-path', path.join(projectDir, 'Cargo.toml')], {
+      cwd: '/tmp',
+      env: fetchEnv,
+      mounts: [projectDir, env.CARGO_HOME],
+      network: SANDBOX_FETCH_NETWORK,
+      timeoutMs: FETCH_TIMEOUT_MS
+    });
+    fetchProcess.stdout.resume();
+    fetchProcess.stderr.on('data', (data) => {
+      data.toString().split('\n').map(line => line.trim()).filter(Boolean).forEach(line => log('info', line));
+    });
+    const code = await new Promise((resolve) => {
+      fetchProcess.on('close', resolve);
+      fetchProcess.on('error', (error) => {
+        log('warning', `Could not fetch dependencies: ${error.message}`);
+        resolve(null);
+      });
+    });
+    if (fetchProcess.limit) {
+      throw this.toError(fetchProcess.limit);
+    }
+    if (code !== 0) {
+      // The offline build reports what is missing
+      log('warning', 'Could not fetch every dependency');
+    }
+
+    return {
+      CARGO_BUILD_JOBS: String(Math.max(1, Math.ceil(SANDBOX_CPUS))),
+      CARGO_NET_OFFLINE: 'true'
+    };
+  }
+
+  /**
+   * Make sure SANDBOX_FETCH_NETWORK exists and is internal, so the fetch
+   * can reach the crate mirror but not the internet. Checked once per worker.
+   * @throws {Error} Otherwise
+   */
+  async checkFetchNetwork() {
+    if (!this.fetchNetworkChecked) {
+      this.fetchNetworkChecked = this.docker.getNetwork(SANDBOX_FETCH_NETWORK).inspect().then((network) => {
+        if (!network.Internal) {
+          throw new Error(`Dependencies cannot be fetched: Docker network ${SANDBOX_FETCH_NETWORK} is not internal`);
+        }
+      }, (error) => {
+        throw new Error(`Dependencies cannot be fetched: Docker network ${SANDBOX_FETCH_NETWORK} is not available (${error.message})`);
+      });
+      // Check again next time if it failed; the network may be created later
+      this.fetchNetworkChecked.catch(() => {
+        this.fetchNetworkChecked = null;
+      });
+    }
+    return this.fetchNetworkChecked;
+  }
+
+  /**
+   * Reject dependencies `cargo fetch` would get from elsewhere than the crate
+   * mirror or the project: git sources, and paths outside the project
+   * @throws {Error} Naming the first such dependency
+   */
+  async checkDependencySources(projectDir) {
+    for (const manifestPath of await this.findManifests(projectDir)) {
+      const relativePath = path.relative(projectDir, manifestPath);
+      let manifest;
+      try {
+        manifest = TOML.parse(await fs.readFile(manifestPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`${relativePath} is not valid TOML: ${error.message}`);
+      }
+
+      const tables = [
+        ...DEPENDENCY_TABLES.map(name => manifest[name]),
+        ...Object.values(manifest.target || {}).flatMap(target => DEPENDENCY_TABLES.map(name => target?.[name])),
+        manifest.workspace?.dependencies,
+        ...Object.values(manifest.patch || {}),
+        manifest.replace
+      ];
+      for (const table of tables.filter(table => table && typeof table === 'object')) {
+        for (const [name, dependency] of Object.entries(table)) {
+          if (!dependency || typeof dependency !== 'object') {
+            continue;
+          }
+          if (dependency.git !== undefined) {
+            throw new Error(`${relativePath}: git dependencies are not supported (${name})`);
+          }
+          if (dependency.path !== undefined) {
+            const target = path.resolve(path.dirname(manifestPath), String(dependency.path));
+            if (target !== projectDir && !target.startsWith(projectDir + path.sep)) {
+              throw new Error(`${relativePath}: dependency ${name} points outside the project`);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Cargo.toml files of a build directory
+   * @returns {Promise<Array<string>>} Absolute paths
+   */
+  async findManifests(dir) {
+    const manifests = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && entry.name !== 'target' && entry.name !== '.git') {
+        manifests.push(...await this.findManifests(entryPath));
+      } else if (entry.isFile() && entry.name === 'Cargo.toml') {
+        manifests.push(entryPath);
+      }
+    }
+    return manifests;
+  }
+
+  /**
+   * Point crates.io at the crate mirror in the shared CARGO_HOME config,
+   * leaving project configs (and their rustflags) untouched
+   */
+  async writeMirrorConfig(cargoHome) {
+    const configPath = path.join(cargoHome, 'config.toml');
+    const config = [
+      '[source.crates-io]',
+      'replace-with = "mirror"',
+      '',
+      '[source.mirror]',
+      `registry = "sparse+${CRATE_MIRROR_URL.replace(/\/?$/, '/')}"`,
+      ''
+    ].join('\n');
+    const current = await fs.readFile(configPath, 'utf8').catch(() => '');
+    if (current !== config) {
+      await fs.outputFile(configPath, config);
+    }
+  }
+
+  /**
+   * Start a command under the sandbox limits. The returned object behaves
+   * like a ChildProcess: `stdout` and `stderr` streams, and `close` (code,
+   * signal) / `error` events. When a limit stopped the run, `limit` is set to
+   * {type: 'memory'|'time'|'disk'|'processes', message} before `close`.
+   * @param {string} command - Executable
+   * @param {Array<string>} args - Arguments
+   * @param {Object} options - {cwd, env, mounts: paths the run writes to,
+   *   readOnlyMounts: paths it only reads, watch: paths counted against the disk limit,
+   *   timeoutMs: shorter wall-clock limit, network: Docker network (default none)}
+   */
+  spawn(command, args, options) {
+    const proc = new EventEmitter();
+    proc.stdout = new PassThrough();
+    proc.stderr = new PassThrough();
+    proc.limit = null;
+
+    const timeoutMs = Math.min(options.timeoutMs || SANDBOX_TIMEOUT_MS, SANDBOX_TIMEOUT_MS);
+    let processLimitSuspected = false;
+    const watchOutput = (data) => {
+      if (PROCESS_LIMIT_PATTERN.test(data.toString())) {
+        processLimitSuspected = true;
+      }
+    };
+    proc.stdout.on('data', watchOutput);
+    proc.stderr.on('data', watchOutput);
+
+    const run = this.isIsolated()
+      ? this.runContainer(command, args, options, proc, timeoutMs)
+      : this.runLocal(command, args, options, proc, timeoutMs);
+
+    run.then(({ code, signal }) => {
+      if (!proc.limit && code !== 0 && processLimitSuspected && this.isIsolated()) {
+        proc.limit = { type: 'processes', message: `Build exceeded the process limit of ${SANDBOX_PIDS_LIMIT}` };
+      }
+      proc.emit('close', code, signal);
+    }).catch((error) => {
+      proc.stdout.end();
+      proc.stderr.end();
+      proc.emit('error', error);
+    });
+
+    return proc;
+  }
+
+  /**
+   * Run directly on the worker (SANDBOX_MODE=none), still with a filtered
+   * environment and the wall-clock limit
+   */
+  runLocal(command, args, options, proc, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const child = spawn(command, args, {
+        cwd: options.cwd,
+        env: this.filterEnv(options.env),
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: timeoutMs,
+        killSignal: 'SIGKILL'
+      });
+      child.stdout.pipe(proc.stdout);
+      child.stderr.pipe(proc.stderr);
+
+      child.on('close', async (code, signal) => {
+        if (signal === 'SIGKILL' && Date.now() - startedAt >= timeoutMs) {
+          proc.limit = this.timeLimit(timeoutMs);
+        }
+        await this.drain(proc);
+        resolve({ code, signal });
+      });
+      child.on('error', reject);
+    });
+  }
+
+  /**
+   * Run in a container with the sandbox limits
+   */
+  async runContainer(command, args, options, proc, timeoutMs) {
+    const memoryBytes = SANDBOX_MEMORY_MB * 1024 * 1024;
+    const network = options.network || 'none';
+    const mounts = options.mounts || [options.cwd];
+    await this.grantWriteAccess(mounts);
+
+    let container;
+    try {
+      container = await this.docker.createContainer({
+        Image: SANDBOX_IMAGE,
+        Cmd: [command, ...args],
+        WorkingDir: options.cwd,
+        Env: Object.entries(this.filterEnv(options.env)).map(([key, value]) => `${key}=${value}`),
+        User: SANDBOX_USER,
+        Labels: { 'websoroban.sandbox': 'true' },
+        NetworkDisabled: network === 'none',
+        HostConfig: {
+          Binds: this.getBinds(mounts, options.readOnlyMounts || []),
+          NetworkMode: network,
+          Memory: memoryBytes,
+          MemorySwap: memoryBytes,
+          NanoCpus: Math.round(SANDBOX_CPUS * 1e9),
+          PidsLimit: SANDBOX_PIDS_LIMIT,
+          ReadonlyRootfs: true,
+          Tmpfs: { '/tmp': `rw,nosuid,size=${Math.min(512, SANDBOX_DISK_MB)}m` },
+          CapDrop: ['ALL'],
+          SecurityOpt: ['no-new-privileges']
+        }
+      });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new Error(`Sandbox image ${SANDBOX_IMAGE} not found on this worker`);
+      }
+      throw new Error(`Could not create build sandbox: ${error.message}`);
+    }
+
+    // Timeouts and intervals; clearTimeout clears both
+    const timers = [];
+    try {
+      const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+      const streamEnded = new Promise(resolve => stream.on('end', resolve));
+      container.modem.demuxStream(stream, proc.stdout, proc.stderr);
+      await container.start();
+
+      const stop = (limit) => {
+        if (!proc.limit) {
+          proc.limit = limit;
+          container.kill().catch(() => {});
+        }
+      };
+      timers.push(setTimeout(() => stop(this.timeLimit(timeoutMs)), timeoutMs));
+      timers.push(...await this.watchDisk(options.watch || [], () => stop({
+        type: 'disk',
+        message: `Build exceeded the disk limit of ${SANDBOX_DISK_MB} MB`
+      })));
+
+      const { StatusCode: code } = await container.wait();
+      const state = (await container.inspect()).State;
+      if (state.OOMKilled && !proc.limit) {
+        proc.limit = { type: 'memory', message: `Build exceeded the memory limit of ${SANDBOX_MEMORY_MB} MB` };
+      }
+
+      // Let the last output through before reporting the exit
+      await Promise.race([streamEnded, new Promise(resolve => setTimeout(resolve, 2000))]);
+      proc.stdout.end();
+      proc.stderr.end();
+      await this.drain(proc);
+      return { code, signal: proc.limit ? 'SIGKILL' : null };
+    } finally {
+      timers.forEach(timer => clearTimeout(timer));
+      await container.remove({ force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Wait until listeners have seen all output of a run
+   */
+  async drain(proc) {
+    await Promise.all([finished(proc.stdout), finished(proc.stderr)]).catch(() => {});
+  }
+
+  /**
+   * Bind mounts for the paths of one run, at the same location inside the
+   * container. Nothing else of the worker (its other builds, the Docker
+   * socket) is visible to the run.
+   * @param {Array<string>} mounts - Writable paths
+   * @param {Array<string>} readOnlyMounts - Read-only paths; win over writable ones
+   */
+  getBinds(mounts, readOnlyMounts) {
+    const readOnly = new Set(readOnlyMounts.map(mount => path.resolve(mount)));
+    const writable = new Set(mounts.map(mount => path.resolve(mount)).filter(mount => !readOnly.has(mount)));
+    return [
+      ...[...writable].map(mount => `${this.toHostPath(mount)}:${mount}`),
+      ...[...readOnly].map(mount => `${this.toHostPath(mount)}:${mount}:ro`)
+    ];
+  }
+
+  /**
+   * Path on the Docker host of a worker path (see SANDBOX_PATH_MAP)
+   */
+  toHostPath(workerPath) {
+    const mapping = SANDBOX_PATH_MAP.find(({ from }) => workerPath === from || workerPath.startsWith(from + path.sep));
+    return mapping ? mapping.to + workerPath.slice(mapping.from.length) : workerPath;
+  }
+
+  /**
+   * Hand the writable paths of a run to the sandbox user; files the worker
+   * wrote are owned by its own user
+   */
+  async grantWriteAccess(mounts) {
+    for (const mount of new Set(mounts)) {
+      await fs.ensureDir(mount);
+      await execFileAsync('find', [mount, '!', '-user', SANDBOX_USER.split(':')[0], '-exec', 'chown', '-h', SANDBOX_USER, '{}', '+'], {
+        timeout: 5 * 60 * 1000
+      });
+    }
+  }
+
+  /**
+   * Check periodically how much the watched directories grew
+   * @param {Array<string>} paths - Directories to watch
+   * @param {Function} onExceeded - Called once the growth passes SANDBOX_DISK_MB
+   * @returns {Promise<Array>} Timers to clear when the run ends
+   */
+  async watchDisk(paths, onExceeded) {
+    if (paths.length === 0) {
+      return [];
+    }
+
+    const measure = async () => {
+      const sizes = await Promise.all(paths.map(dir => buildCacheService.getSize(dir).catch(() => 0)));
+      return sizes.reduce((sum, size) => sum + size, 0);
+    };
+    const baseline = await measure();
+    const limitBytes = SANDBOX_DISK_MB * 1024 * 1024;
+
+    let checking = false;
+    const timer = setInterval(async () => {
+      if (checking) {
+        return;
+      }
+      checking = true;
+      try {
+        if (await measure() - baseline > limitBytes) {
+          clearInterval(timer);
+          onExceeded();
+        }
+      } finally {
+        checking = false;
+      }
+    }, DISK_CHECK_INTERVAL_MS);
+    return [timer];
+  }
+
+  /**
+   * Limit reported for runs stopped by the wall-clock limit
+   */
+  timeLimit(timeoutMs) {
+    return { type: 'time', message: `Build exceeded the time limit of ${Math.round(timeoutMs / 1000)}s` };
+  }
+}
+
+module.exports = new SandboxService();
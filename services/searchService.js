@@ -0,0 +1,190 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const revisionService = require('./revisionService');
+const httpError = require('../utils/httpError');
+const { parseGlobs, matchesGlobs } = require('../utils/glob');
+const textSearch = require('../utils/textSearch');
+
+const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS || '5000', 10);
+// Worker threads running at once per process; each gets a copy of the files
+const SEARCH_MAX_WORKERS = parseInt(process.env.SEARCH_MAX_WORKERS || '2', 10);
+const DEFAULT_MAX_RESULTS = 2000;
+const MAX_RESULTS_LIMIT = 10000;
+
+/**
+ * Project-wide search and replace
+ */
+class SearchService {
+  constructor() {
+    // Worker threads currently running (see runInWorker)
+    this.activeWorkers = 0;
+  }
+
+  /**
+   * Read a boolean option from a query string or JSON body
+   */
+  parseFlag(value) {
+    return value === true || value === 'true' || value === '1';
+  }
+
+  /**
+   * Normalize search options from a request
+   * @param {Object} input - {query, regex, caseSensitive, wholeWord, include, exclude, maxResults}
+   * @returns {Object} Options for textSearch plus compiled include/exclude globs
+   */
+  parseOptions(input) {
+    let maxResults = DEFAULT_MAX_RESULTS;
+    if (input.maxResults !== undefined) {
+      maxResults = parseInt(input.maxResults, 10);
+      if (!Number.isInteger(maxResults) || maxResults < 1) {
+        throw httpError(400, 'maxResults must be a positive integer');
+      }
+      maxResults = Math.min(maxResults, MAX_RESULTS_LIMIT);
+    }
+
+    return {
+      query: input.query,
+      regex: this.parseFlag(input.regex),
+      caseSensitive: this.parseFlag(input.caseSensitive),
+      wholeWord: this.parseFlag(input.wholeWord),
+      includes: parseGlobs(input.include),
+      excludes: parseGlobs(input.exclude),
+      maxResults
+    };
+  }
+
+  /**
+   * Files of a project matched by the include/exclude globs
+   */
+  selectFiles(project, { includes, excludes }) {
+    return revisionService.normalizeFiles(project.files)
+      .filter(file => file.type !== 'folder' && matchesGlobs(file.name, includes, excludes))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Run a textSearch operation. Regular expressions come from users and can
+   * backtrack for a very long time, so they run in a worker thread that is
+   * stopped after SEARCH_TIMEOUT_MS; literal searches run inline.
+   */
+  run(operation, files, options) {
+    const { includes, excludes, ...textOptions } = options;
+
+    if (!textOptions.regex) {
+      return Promise.resolve(textSearch[operation](files, textOptions));
+    }
+
+    // Surface syntax errors without starting a worker
+    textSearch.buildPattern(textOptions);
+
+    return this.runInWorker(operation, files, textOptions,
+      `Search took longer than ${SEARCH_TIMEOUT_MS}ms. Try a simpler regular expression`);
+  }
+
+  /**
+   * Test values against user-written patterns in the worker thread, so a
+   * pattern that backtracks for a very long time cannot block the server
+   * @param {Array} checks - [{pattern, value}]
+   * @returns {Promise<Array<boolean>>} Whether each value matches its pattern
+   * @throws {Error} 400 error if the patterns take longer than SEARCH_TIMEOUT_MS
+   */
+  testPatterns(checks) {
+    if (checks.length === 0) {
+      return Promise.resolve([]);
+    }
+    return this.runInWorker('testPatterns', checks, {},
+      `Checking the values took longer than ${SEARCH_TIMEOUT_MS}ms. The template's patterns are too complex`);
+  }
+
+  /**
+   * Run a textSearch operation in a worker thread stopped after SEARCH_TIMEOUT_MS.
+   * At most SEARCH_MAX_WORKERS run at once; more are turned away rather than queued.
+   * @param {string} timeoutMessage - Message of the 400 error on timeout
+   * @throws {Error} 503 error if SEARCH_MAX_WORKERS workers are already running
+   */
+  runInWorker(operation, files, options, timeoutMessage) {
+    if (this.activeWorkers >= SEARCH_MAX_WORKERS) {
+      return Promise.reject(httpError(503, 'Too many searches are running. Try again in a few seconds'));
+    }
+    this.activeWorkers++;
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, '..', 'utils', 'textSearch.js'), {
+        workerData: { task: 'textSearch', operation, files, options },
+        resourceLimits: { maxOldGenerationSizeMb: 256 }
+      });
+      // The slot is free once the thread is gone, not when the answer arrives
+      worker.once('exit', () => {
+        this.activeWorkers--;
+      });
+
+      const timer = setTimeout(() => {
+        worker.terminate();
+        reject(httpError(400, timeoutMessage));
+      }, SEARCH_TIMEOUT_MS);
+
+      worker.once('message', (message) => {
+        clearTimeout(timer);
+        worker.terminate();
+        if (message.error) {
+          reject(httpError(message.error.status, message.error.message));
+        } else {
+          resolve(message.result);
+        }
+      });
+
+      worker.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Search a project's files
+   * @param {Object} project - Project document
+   * @param {Object} input - Raw options from the request
+   * @returns {Promise<Object>} {results: [{path, matches: [{line, column, endLine, endColumn, length, lineText}]}], totalMatches, truncated}
+   */
+  async search(project, input) {
+    const options = this.parseOptions(input);
+    return this.run('findMatches', this.selectFiles(project, options), options);
+  }
+
+  /**
+   * Replace every match in a project's files as a single revision
+   * @param {Object} project - Project document
+   * @param {Object} input - Raw options from the request plus `replacement`
+   * @param {Object} saveOptions - {userId, message, expectedRevision}
+   * @returns {Promise<Object>} Save result plus `replacements` [{path, count}] and `totalReplacements`
+   */
+  async replace(project, input, saveOptions = {}) {
+    if (typeof input.replacement !== 'string') {
+      throw httpError(400, 'replacement must be a string');
+    }
+
+    const options = { ...this.parseOptions(input), replacement: input.replacement };
+    const { files: changedFiles, replacements } = await this.run('replaceMatches', this.selectFiles(project, options), options);
+    const totalReplacements = replacements.reduce((sum, entry) => sum + entry.count, 0);
+
+    if (changedFiles.length === 0) {
+      return { project, revision: null, changed: false, conflict: false, replacements, totalReplacements };
+    }
+
+    // The replacements were computed from this revision, so only save on top of it
+    const changedByName = new Map(changedFiles.map(file => [file.name, file.content]));
+    const files = revisionService.normalizeFiles(project.files).map(file => (
+      changedByName.has(file.name) ? { ...file, content: changedByName.get(file.name) } : file
+    ));
+
+    const result = await revisionService.saveFiles(project, files, {
+      userId: saveOptions.userId,
+      message: saveOptions.message || `Replace "${input.query}" with "${input.replacement}"`.slice(0, 200),
+      expectedRevision: saveOptions.expectedRevision ?? project.revision
+    });
+
+    return { ...result, files, replacements, totalReplacements };
+  }
+}
+
+module.exports = new SearchService();
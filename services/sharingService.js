@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const Project = require('../models/Project');
+const revisionService = require('./revisionService');
+const organizationService = require('./organizationService');
+const httpError = require('../utils/httpError');
+
+const PUBLIC_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Sharing service for public read-only links and project forks
+ */
+class SharingService {
+  /**
+   * Page the frontend shows for a public link
+   */
+  getPublicUrl(token) {
+    return `${process.env.FRONTEND_URL || 'https://websoroban.in'}/shared/${token}`;
+  }
+
+  /**
+   * Describe a project's public link for its owners
+   * @returns {Object} {enabled, token, url, createdAt}
+   */
+  describePublicLink(project) {
+    const token = project.publicLink?.token || null;
+    return {
+      enabled: Boolean(token),
+      token,
+      url: token ? this.getPublicUrl(token) : null,
+      createdAt: token ? project.publicLink.createdAt : null
+    };
+  }
+
+  /**
+   * Publish a project at a new unguessable link. Publishing again replaces
+   * the token, so previously shared links stop working.
+   * @returns {Promise<Object>} Updated project
+   */
+  async createPublicLink(project, userId) {
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    return Project.findByIdAndUpdate(
+      project._id,
+      { publicLink: { token, createdBy: userId, createdAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Stop sharing a project publicly
+   * @returns {Promise<Object>} Updated project
+   */
+  async revokePublicLink(project) {
+    return Project.findByIdAndUpdate(
+      project._id,
+      { publicLink: { token: null, createdBy: null, createdAt: null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find the project published under a public token
+   * @throws {Error} 404 error for unknown or revoked links
+   */
+  async getPublicProject(token) {
+    const project = PUBLIC_TOKEN_PATTERN.test(String(token))
+      ? await Project.findOne({ 'publicLink.token': token, deletedAt: null })
+      : null;
+    if (!project) {
+      throw httpError(404, 'This link is invalid or has been revoked');
+    }
+    return project;
+  }
+
+  /**
+   * The parts of a project that are safe to show to anyone with the link.
+   * Owners, collaborators, the project it was forked from, the git remote and
+   * deployment logs stay private.
+   */
+  toPublicProject(project) {
+    return {
+      _id: project._id,
+      name: project.name,
+      description: project.description || '',
+      tags: project.tags || [],
+      files: project.files,
+      revision: project.revision,
+      contractAddress: project.contractAddress || null,
+      deployments: (project.deploymentHistory || [])
+        .filter(deployment => deployment.status === 'success')
+        .map(deployment => ({
+          timestamp: deployment.timestamp,
+          contractAddress: deployment.contractAddress,
+          commitSha: deployment.commitSha || null,
+          network: deployment.network || null,
+          contract: deployment.contract || null
+        })),
+      forkCount: project.forkCount || 0,
+      publishedAt: project.publicLink.createdAt,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    };
+  }
+
+  /**
+   * Copy a project's current files into a new project owned by the user.
+   * The fork remembers which project and revision it came from and keeps its
+   * description, tags and toolchain; history, collaborators, metadata, the git remote and
+   * deployments are not copied.
+   * @param {Object} source - Project to fork
+   * @param {Object} user - User creating the fork
+   * @param {Object} options - {name, organizationId}
+   * @returns {Promise<Object>} The new project
+   */
+  async forkProject(source, user, { name, organizationId } = {}) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      throw httpError(400, 'Project name cannot be empty');
+    }
+    if (organizationId) {
+      await organizationService.requireMember(organizationId, user);
+    }
+
+    const fork = await new Project({
+      name: name ? name.trim() : `${source.name} (fork)`,
+      userId: user._id,
+      organizationId: organizationId || null,
+      description: source.description || '',
+      tags: source.tags || [],
+      toolchain: source.toolchain,
+      files: revisionService.normalizeFiles(source.files),
+      forkedFrom: {
+        projectId: source._id,
+        name: source.name,
+        revision: source.revision || null,
+        forkedAt: new Date()
+      }
+    }).save();
+
+    await Project.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+
+    console.log(`[SharingService] User ${user._id} forked project ${source._id} into ${fork._id}`);
+    return revisionService.recordInitialRevision(fork, user._id);
+  }
+}
+
+module.exports = new SharingService();
@@ -50,6 +50,8 @@ class SocketService {
       // Subscribe to job log channels
       this.redisSubscriber.psubscribe('job:log:*');
       this.redisSubscriber.psubscribe('job:status:*');
+      this.redisSubscriber.psubscribe('job:diagnostic:*');
+      this.redisSubscriber.psubscribe('job:test:*');
       
       // Handle messages from Redis and emit via Socket.IO
       this.redisSubscriber.on('pmessage', (pattern, channel, message) => {
@@ -74,6 +76,16 @@ class SocketService {
               result: data.result
             });
             console.log(`[SocketService] Emitted status to Socket.IO room job:${jobId}`);
+          } else if (pattern === 'job:diagnostic:*') {
+            this.io.to(`job:${jobId}`).emit('job:diagnostic', {
+              jobId,
+              diagnostic: data.diagnostic
+            });
+          } else if (pattern === 'job:test:*') {
+            this.io.to(`job:${jobId}`).emit('job:test', {
+              jobId,
+              test: data.test
+            });
           }
         } catch (error) {
           console.error('[SocketService] Error processing Redis message:', error);
@@ -123,6 +135,54 @@ class SocketService {
     }
   }
 
+  /**
+   * Emit a compiler diagnostic (error or warning with its location) for a job
+   * @param {string} jobId - Job ID
+   * @param {Object} diagnostic - Diagnostic from utils/cargoDiagnostics.js
+   */
+  emitDiagnostic(jobId, diagnostic) {
+    const io = this.io || global.io;
+    if (io) {
+      io.to(`job:${jobId}`).emit('job:diagnostic', {
+        jobId,
+        diagnostic
+      });
+    }
+
+    if (this.redisPublisher) {
+      this.redisPublisher.publish(`job:diagnostic:${jobId}`, JSON.stringify({
+        jobId,
+        diagnostic
+      })).catch(err => {
+        console.error('[SocketService] Error publishing diagnostic to Redis:', err);
+      });
+    }
+  }
+
+  /**
+   * Emit the result of one unit test for a test job
+   * @param {string} jobId - Job ID
+   * @param {Object} test - {name, crate, status, duration, panic, output}
+   */
+  emitTestResult(jobId, test) {
+    const io = this.io || global.io;
+    if (io) {
+      io.to(`job:${jobId}`).emit('job:test', {
+        jobId,
+        test
+      });
+    }
+
+    if (this.redisPublisher) {
+      this.redisPublisher.publish(`job:test:${jobId}`, JSON.stringify({
+        jobId,
+        test
+      })).catch(err => {
+        console.error('[SocketService] Error publishing test result to Redis:', err);
+      });
+    }
+  }
+
   /**
    * Emit multiple logs for a job
    * @param {string} jobId - Job ID
@@ -0,0 +1,573 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Template = require('../models/Template');
+const Organization = require('../models/Organization');
+const revisionService = require('./revisionService');
+const organizationService = require('./organizationService');
+const searchService = require('./searchService');
+const httpError = require('../utils/httpError');
+const { isAdmin } = require('../utils/auth');
+const { validateFileSet } = require('../utils/projectPaths');
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE_ID = 'hello-world';
+const TEMPLATE_ALIASES = { empty: 'blank' };
+const DEFAULT_SDK_VERSION = process.env.SOROBAN_SDK_VERSION || '22.0.0';
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+const MAX_VARIABLE_PATTERN_LENGTH = 200;
+
+// Variables every template can use. `crateName` defaults to a slug of the
+// project name; templates may override defaults and patterns.
+const STANDARD_VARIABLES = [
+  {
+    name: 'projectName',
+    description: 'Project name',
+    default: null,
+    pattern: null
+  },
+  {
+    name: 'crateName',
+    description: 'Cargo package name (defaults to the project name)',
+    default: null,
+    pattern: '^[a-z0-9][a-z0-9_-]{0,63}$'
+  },
+  {
+    name: 'sdkVersion',
+    description: 'soroban-sdk version',
+    default: DEFAULT_SDK_VERSION,
+    pattern: '^\\d+\\.\\d+\\.\\d+(-[0-9A-Za-z.-]+)?$'
+  }
+];
+
+/**
+ * Check a variable pattern written by a template author. Patterns run against
+ * the values of everyone who uses the template; they are tested in a worker
+ * with a timeout (see searchService.testPatterns), so only the length and
+ * syntax are checked here.
+ * @returns {string|null} Why the pattern is refused, or null if it is accepted
+ */
+function checkVariablePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_VARIABLE_PATTERN_LENGTH) {
+    return `must be a string of at most ${MAX_VARIABLE_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Compare two x.y.z versions
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const left = VERSION_PATTERN.exec(a).slice(1).map(Number);
+  const right = VERSION_PATTERN.exec(b).slice(1).map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Next patch version (1.2.3 -> 1.2.4)
+ */
+function bumpVersion(version) {
+  const [major, minor, patch] = VERSION_PATTERN.exec(version).slice(1).map(Number);
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Template registry: built-in templates on disk, admin-managed system
+ * templates (which take precedence over built-ins with the same id) and
+ * templates users saved from their projects.
+ */
+class TemplateService {
+  constructor() {
+    this.builtIns = null;
+  }
+
+  /**
+   * Read every file under a template's files/ folder
+   */
+  readTemplateFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...this.readTemplateFiles(path.join(dir, entry.name), relative));
+      } else if (entry.isFile()) {
+        files.push({ name: relative, type: 'file', content: fs.readFileSync(path.join(dir, entry.name), 'utf8') });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Load the built-in templates from templates/<id>/template.json and
+   * templates/<id>/files. Loaded once and cached.
+   * @returns {Map} id -> template
+   */
+  loadBuiltInTemplates() {
+    if (this.builtIns) {
+      return this.builtIns;
+    }
+
+    const builtIns = new Map();
+    for (const entry of fs.readdirSync(BUILTIN_TEMPLATES_DIR, { withFileTypes: true })) {
+      const dir = path.join(BUILTIN_TEMPLATES_DIR, entry.name);
+      if (!entry.isDirectory() || !fs.existsSync(path.join(dir, 'template.json'))) {
+        continue;
+      }
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'template.json'), 'utf8'));
+      builtIns.set(metadata.id, {
+        id: metadata.id,
+        name: metadata.name,
+        description: metadata.description || '',
+        category: metadata.category || 'Other',
+        version: metadata.version,
+        variables: metadata.variables || [],
+        files: this.readTemplateFiles(path.join(dir, 'files')),
+        builtIn: true,
+        visibility: 'system',
+        updatedAt: null
+      });
+    }
+
+    this.builtIns = builtIns;
+    return builtIns;
+  }
+
+  /**
+   * Convert a Template document to the registry's plain shape
+   */
+  fromDocument(doc) {
+    return {
+      id: doc.id,
+      name: doc.name,
+      description: doc.description,
+      category: doc.category,
+      version: doc.version,
+      variables: (doc.variables || []).map(({ name, description, default: defaultValue, pattern }) => ({
+        name, description, default: defaultValue, pattern
+      })),
+      files: (doc.files || []).map(({ name, type, content }) => ({ name, type, content })),
+      builtIn: false,
+      overridesBuiltIn: this.loadBuiltInTemplates().has(doc.id),
+      visibility: doc.visibility || 'system',
+      ownerId: doc.ownerId || null,
+      organizationId: doc.organizationId || null,
+      updatedAt: doc.updatedAt
+    };
+  }
+
+  /**
+   * Catalog entry without file contents
+   */
+  describeTemplate(template) {
+    const { files, ...rest } = template;
+    return {
+      ...rest,
+      variables: this.getVariables(template),
+      files: files.map(file => file.name)
+    };
+  }
+
+  /**
+   * Standard variables merged with the template's own
+   */
+  getVariables(template) {
+    const byName = new Map(STANDARD_VARIABLES.map(variable => [variable.name, variable]));
+    for (const variable of template.variables || []) {
+      byName.set(variable.name, { ...byName.get(variable.name), ...variable });
+    }
+    return [...byName.values()];
+  }
+
+  /**
+   * Mongo query matching the stored templates a user can see
+   * @param {Object} user - Current user, or null for anonymous requests
+   */
+  async visibleTemplatesQuery(user) {
+    const conditions = [{ visibility: { $in: ['system', 'public', null] } }];
+    if (user) {
+      const organizationIds = await organizationService.getMemberOrganizationIds(user._id);
+      conditions.push({ visibility: 'private', ownerId: user._id });
+      conditions.push({ visibility: 'organization', organizationId: { $in: organizationIds } });
+    }
+    return { $or: conditions };
+  }
+
+  /**
+   * List every template available to the user: built-ins, system and public
+   * templates, and the user's own and organization templates
+   * @param {Object} user - Current user, or null for anonymous requests
+   * @returns {Promise<Array>} Catalog entries sorted by category and name
+   */
+  async listTemplates(user = null) {
+    const templates = new Map(this.loadBuiltInTemplates());
+    for (const doc of await Template.find(await this.visibleTemplatesQuery(user))) {
+      templates.set(doc.id, this.fromDocument(doc));
+    }
+
+    return [...templates.values()]
+      .map(template => this.describeTemplate(template))
+      .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a template with its files
+   * @param {string} id - Template id
+   * @param {Object} user - Current user, or null for anonymous requests
+   * @returns {Promise<Object|null>} Template, or null if unknown or not visible to the user
+   */
+  async getTemplate(id, user = null) {
+    const templateId = TEMPLATE_ALIASES[id] || id;
+    const doc = await Template.findOne({ id: templateId, ...(await this.visibleTemplatesQuery(user)) });
+    if (doc) {
+      return this.fromDocument(doc);
+    }
+    return this.loadBuiltInTemplates().get(templateId) || null;
+  }
+
+  /**
+   * Resolve variable values for a new project
+   * @param {Object} template - Template
+   * @param {string} projectName - Name of the project being created
+   * @param {Object} values - Values from the request
+   * @returns {Promise<Object>} name -> value
+   * @throws {Error} 400 error for unknown, missing or invalid variables
+   */
+  async resolveVariables(template, projectName, values = {}) {
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+      throw httpError(400, 'variables must be an object');
+    }
+
+    const variables = this.getVariables(template);
+    const known = new Set(variables.map(variable => variable.name));
+    for (const name of Object.keys(values)) {
+      if (!known.has(name)) {
+        throw httpError(400, `Unknown template variable: ${name}`);
+      }
+    }
+
+    const crateName = projectName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')
+      .replace(/^-+/, '').slice(0, 64) || 'contract';
+    const defaults = { projectName, crateName };
+
+    const resolved = {};
+    const authorChecks = [];
+    for (const variable of variables) {
+      const value = values[variable.name] ?? variable.default ?? defaults[variable.name];
+      if (value === undefined || value === null) {
+        throw httpError(400, `Missing template variable: ${variable.name}`);
+      }
+      resolved[variable.name] = String(value);
+      if (!variable.pattern) {
+        continue;
+      }
+
+      const standard = STANDARD_VARIABLES.find(entry => entry.name === variable.name);
+      if (template.builtIn || variable.pattern === standard?.pattern) {
+        if (!new RegExp(variable.pattern).test(resolved[variable.name])) {
+          throw httpError(400, `Invalid value for template variable ${variable.name}`);
+        }
+      } else {
+        // Written by a template author; also covers templates saved before patterns were checked
+        const problem = checkVariablePattern(variable.pattern);
+        if (problem) {
+          throw httpError(400, `Template variable ${variable.name} has an unsupported pattern: ${problem}`);
+        }
+        authorChecks.push({ name: variable.name, pattern: variable.pattern, value: resolved[variable.name] });
+      }
+    }
+
+    const matches = await searchService.testPatterns(authorChecks);
+    const invalid = authorChecks.find((check, index) => !matches[index]);
+    if (invalid) {
+      throw httpError(400, `Invalid value for template variable ${invalid.name}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Substitute {{variable}} placeholders; unknown placeholders are left as-is
+   */
+  render(text, values) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+  }
+
+  /**
+   * Build the files for a new project from a template
+   * @param {string} id - Template id (defaults to hello-world)
+   * @param {Object} options - {projectName, variables, user}
+   * @returns {Promise<Object>} {template: {id, version}, files}
+   * @throws {Error} 400 error for unknown templates or bad variables
+   */
+  async createProjectFiles(id, { projectName, variables, user = null } = {}) {
+    const template = await this.getTemplate(id || DEFAULT_TEMPLATE_ID, user);
+    if (!template) {
+      throw httpError(400, `Unknown template: ${id}`);
+    }
+
+    const values = await this.resolveVariables(template, projectName, variables);
+    const files = validateFileSet(template.files.map(file => ({
+      name: this.render(file.name, values),
+      type: file.type,
+      content: this.render(file.content, values)
+    })));
+
+    return {
+      template: { id: template.id, version: template.version },
+      files
+    };
+  }
+
+  /**
+   * Validate a visibility change for a user template
+   * @returns {Promise<Object>} {visibility, organizationId}
+   */
+  async validateVisibility(visibility, organizationId, user) {
+    if (!['private', 'organization', 'public'].includes(visibility)) {
+      throw httpError(400, 'visibility must be private, organization or public');
+    }
+    if (visibility !== 'organization') {
+      return { visibility, organizationId: null };
+    }
+    if (!organizationId) {
+      throw httpError(400, 'organizationId is required for organization templates');
+    }
+    const { organization } = await organizationService.requireMember(organizationId, user);
+    return { visibility, organizationId: organization._id };
+  }
+
+  /**
+   * Copy a project's files for use as a template. The package name in the
+   * root Cargo.toml becomes {{crateName}} so new projects get their own.
+   */
+  templateFilesFromProject(project) {
+    return revisionService.normalizeFiles(project.files).map(file => {
+      if (file.name !== 'Cargo.toml') {
+        return file;
+      }
+      return {
+        ...file,
+        content: file.content.replace(/(\[package\][^[]*?\bname\s*=\s*")[^"\n]*(")/, '$1{{crateName}}$2')
+      };
+    });
+  }
+
+  /**
+   * Save a project's current files as a new template owned by the user
+   * @param {Object} project - Source project
+   * @param {Object} user - User saving the template
+   * @param {Object} data - {name, description, category, visibility, organizationId, variables}
+   * @returns {Promise<Object>} The new template
+   */
+  async saveProjectAsTemplate(project, user, data = {}) {
+    const fields = this.validateTemplateData({
+      name: project.name,
+      ...data,
+      files: this.templateFilesFromProject(project)
+    });
+    const access = await this.validateVisibility(data.visibility || 'private', data.organizationId, user);
+
+    const slug = fields.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'template';
+    const doc = await Template.create({
+      id: `${slug}-${crypto.randomBytes(4).toString('hex')}`,
+      ...fields,
+      ...access,
+      version: data.version || '1.0.0',
+      ownerId: user._id,
+      sourceProjectId: project._id,
+      createdBy: user._id,
+      updatedBy: user._id
+    });
+
+    console.log(`[TemplateService] ${user._id} saved project ${project._id} as ${doc.visibility} template ${doc.id}`);
+    return this.fromDocument(doc);
+  }
+
+  /**
+   * Check whether the user may change or delete a template: site admins can
+   * change anything, owners their own templates, and organization admins
+   * their organization's templates
+   * @throws {Error} 403 error otherwise
+   */
+  async assertCanManage(template, user) {
+    if (isAdmin(user)) {
+      return;
+    }
+    if (template.ownerId && template.ownerId.toString() === user._id.toString()) {
+      return;
+    }
+    if (template.visibility === 'organization' && template.organizationId) {
+      const organization = await Organization.findById(template.organizationId).select('members');
+      if (organization && organization.isAdmin(user._id)) {
+        return;
+      }
+    }
+    throw httpError(403, template.ownerId
+      ? 'Only the template owner can change this template'
+      : 'Admin access required');
+  }
+
+  /**
+   * Validate template fields from a request
+   * @returns {Object} Normalized fields
+   */
+  validateTemplateData(data, { partial = false } = {}) {
+    const fields = {};
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw httpError(400, 'Template name is required');
+      }
+      fields.name = data.name.trim();
+    }
+    if (data.description !== undefined) {
+      fields.description = String(data.description);
+    }
+    if (data.category !== undefined) {
+      fields.category = String(data.category);
+    }
+    if (data.version !== undefined && !VERSION_PATTERN.test(String(data.version))) {
+      throw httpError(400, 'version must look like 1.2.3');
+    }
+
+    if (data.variables !== undefined) {
+      if (!Array.isArray(data.variables)) {
+        throw httpError(400, 'variables must be an array');
+      }
+      fields.variables = data.variables.map(variable => {
+        if (!variable || !VARIABLE_NAME_PATTERN.test(variable.name)) {
+          throw httpError(400, `Invalid variable name: ${variable && variable.name}`);
+        }
+        if (variable.pattern) {
+          const problem = checkVariablePattern(variable.pattern);
+          if (problem) {
+            throw httpError(400, `Invalid pattern for variable ${variable.name}: ${problem}`);
+          }
+        }
+        return {
+          name: variable.name,
+          description: variable.description || '',
+          default: variable.default === undefined || variable.default === null ? null : String(variable.default),
+          pattern: variable.pattern || null
+        };
+      });
+    }
+
+    if (!partial || data.files !== undefined) {
+      if (!Array.isArray(data.files) || data.files.length === 0) {
+        throw httpError(400, 'A template needs at least one file');
+      }
+      fields.files = validateFileSet(data.files);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Add a new template (admins)
+   * @throws {Error} 409 error if the id is taken
+   */
+  async createTemplate(data, user) {
+    if (typeof data.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(data.id)) {
+      throw httpError(400, 'Template id must be lowercase letters, numbers and hyphens');
+    }
+    if (TEMPLATE_ALIASES[data.id] || this.loadBuiltInTemplates().has(data.id) || await Template.exists({ id: data.id })) {
+      throw httpError(409, `A template with id "${data.id}" already exists`);
+    }
+
+    const doc = await Template.create({
+      id: data.id,
+      ...this.validateTemplateData(data),
+      version: data.version || '1.0.0',
+      createdBy: user._id,
+      updatedBy: user._id
+    });
+
+    console.log(`[TemplateService] ${user._id} created template ${doc.id}@${doc.version}`);
+    return this.fromDocument(doc);
+  }
+
+  /**
+   * Update a template. Updating a built-in stores an override (admins only).
+   * The version must increase; without one the patch version is bumped.
+   * @throws {Error} 403 if the user can't manage it, 404 for unknown templates, 409 for stale versions
+   */
+  async updateTemplate(id, data, user) {
+    const current = await this.getTemplate(id, user);
+    if (!current || current.id !== id) {
+      throw httpError(404, 'Template not found');
+    }
+    await this.assertCanManage(current, user);
+
+    const fields = this.validateTemplateData(data, { partial: true });
+    if (current.ownerId && (data.visibility !== undefined || data.organizationId !== undefined)) {
+      Object.assign(fields, await this.validateVisibility(
+        data.visibility || current.visibility,
+        data.organizationId !== undefined ? data.organizationId : current.organizationId,
+        user
+      ));
+    }
+    const version = data.version || bumpVersion(current.version);
+    if (compareVersions(version, current.version) <= 0) {
+      throw httpError(409, `Version must be greater than the current version ${current.version}`);
+    }
+
+    const doc = await Template.findOneAndUpdate(
+      { id },
+      {
+        $set: { ...fields, version, updatedBy: user._id },
+        $setOnInsert: {
+          id,
+          createdBy: user._id,
+          // First override of a built-in starts from the built-in's content
+          ...(current.builtIn && {
+            ...(fields.name === undefined && { name: current.name }),
+            ...(fields.description === undefined && { description: current.description }),
+            ...(fields.category === undefined && { category: current.category }),
+            ...(fields.variables === undefined && { variables: current.variables }),
+            ...(fields.files === undefined && { files: current.files })
+          })
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    console.log(`[TemplateService] ${user._id} updated template ${id} to ${version}`);
+    return this.fromDocument(doc);
+  }
+
+  /**
+   * Delete a stored template. Deleting an override of a built-in brings the
+   * built-in back.
+   * @throws {Error} 403 if the user can't manage it, 404 for unknown templates, 400 for unmodified built-ins
+   */
+  async deleteTemplate(id, user) {
+    const doc = await Template.findOne({ id, ...(await this.visibleTemplatesQuery(user)) });
+    if (!doc) {
+      if (this.loadBuiltInTemplates().has(id)) {
+        throw httpError(400, 'Built-in templates cannot be deleted');
+      }
+      throw httpError(404, 'Template not found');
+    }
+    await this.assertCanManage(doc, user);
+    await Template.deleteOne({ _id: doc._id });
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,325 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const socketService = require('./socketService');
+const compilationService = require('./compilationService');
+const buildCacheService = require('./buildCacheService');
+const toolchainService = require('./toolchainService');
+const sandboxService = require('./sandboxService');
+const { MAX_DIAGNOSTICS, parseCargoMessage } = require('../utils/cargoDiagnostics');
+const { parseTestEvent, summarizeTests } = require('../utils/libtestOutput');
+
+// Each test binary is killed after this long
+const TEST_TIMEOUT_MS = parseInt(process.env.TEST_TIMEOUT_MS || String(5 * 60 * 1000), 10);
+
+/**
+ * Runs a project's Rust unit tests (`cargo test`).
+ *
+ * Tests are built with `cargo test --no-run` in a build directory like
+ * compile jobs use (same toolchain, registry, per-project target directory
+ * and sandbox), then every test binary is run with libtest's JSON output so
+ * each test's result, duration, panic and captured output can be reported.
+ * The JSON format is unstable in libtest; RUSTC_BOOTSTRAP enables it on
+ * stable toolchains for the test binaries only, never for the build.
+ */
+class TestService {
+  /**
+   * Build and run a project's tests
+   * @param {string} projectId - Project ID
+   * @param {Array} files - Project files
+   * @param {Function} onLogUpdate - Called with all logs so far whenever one is added
+   * @param {string} jobId - Job ID to stream logs and results to over WebSocket
+   * @param {Object} options - {contracts}: workspace contracts to test (default all);
+   *   {filter}: only run tests whose name contains this; {toolchain}: project toolchain
+   * @returns {Promise<Object>} {success, logs, tests: [{name, crate, status, duration, panic, output}],
+   *   summary: {total, passed, failed, ignored, duration}, diagnostics, limit (sandbox limit hit, if any), error}
+   */
+  async runTests(projectId, files, onLogUpdate = null, jobId = null, options = {}) {
+    const buildId = `${projectId}-test-${jobId || crypto.randomBytes(4).toString('hex')}`;
+    const projectDir = path.join(compilationService.tempDir, buildId);
+    const logs = [];
+    const tests = [];
+    const diagnostics = [];
+    let targetLease = null;
+
+    const log = (type, message) => {
+      const logEntry = {
+        type,
+        message,
+        timestamp: new Date().toISOString()
+      };
+      logs.push(logEntry);
+      if (jobId) {
+        socketService.emitLog(jobId, logEntry);
+      }
+      if (onLogUpdate) {
+        onLogUpdate([...logs]).catch(err => {
+          console.error('Error updating job logs:', err);
+        });
+      }
+    };
+
+    const onDiagnostic = (diagnostic) => {
+      if (diagnostics.length < MAX_DIAGNOSTICS) {
+        diagnostics.push(diagnostic);
+      }
+      if (jobId) {
+        socketService.emitDiagnostic(jobId, diagnostic);
+      }
+    };
+
+    const onResult = (result) => {
+      tests.push(result);
+      const duration = result.duration !== null ? ` (${result.duration} ms)` : '';
+      if (result.status === 'failed') {
+        log('error', `test ${result.name} ... FAILED${duration}${result.panic ? `: ${result.panic.message.split('\n')[0]}` : ''}`);
+      } else {
+        log(result.status === 'passed' ? 'success' : 'info', `test ${result.name} ... ${result.status === 'passed' ? 'ok' : 'ignored'}${duration}`);
+      }
+      if (jobId) {
+        socketService.emitTestResult(jobId, result);
+      }
+    };
+
+    try {
+      await fs.remove(projectDir);
+      await fs.ensureDir(projectDir);
+      await compilationService.writeProjectFiles(projectDir, files);
+
+      const build = await toolchainService.resolve(options.toolchain);
+      if (options.toolchain?.sdk) {
+        await toolchainService.pinSdkVersion(projectDir, options.toolchain.sdk);
+      }
+
+      const contracts = await compilationService.selectContracts(projectDir, options.contracts || []);
+      const packageArgs = contracts
+        ? contracts.flatMap(contract => ['--package', contract.name])
+        : [];
+
+      targetLease = await buildCacheService.acquireTargetDir(projectId);
+      const env = { ...buildCacheService.getBuildEnv(projectDir, targetLease.targetDir), ...build.env };
+      Object.assign(env, await sandboxService.prepare(projectDir, env, log));
+      const sandbox = {
+        mounts: [projectDir, targetLease.targetDir],
+        readOnlyMounts: [buildCacheService.cargoHome],
+        watch: [projectDir, targetLease.targetDir]
+      };
+
+      log('info', 'Building tests...');
+      const executables = await this.buildTests(projectDir, packageArgs, env, sandbox, log, onDiagnostic);
+      if (!executables) {
+        const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        return {
+          success: false,
+          logs,
+          tests,
+          summary: summarizeTests(tests),
+          diagnostics,
+          error: errorCount > 0 ? `Test build failed with ${errorCount} error(s)` : 'Test build failed'
+        };
+      }
+      if (executables.length === 0) {
+        log('warning', 'No test targets found');
+      }
+
+      // libtest exits non-zero when a test fails, but also when the binary
+      // itself crashes before reporting
+      let crashed = null;
+      for (const executable of executables) {
+        log('info', `Running tests of ${executable.crate}`);
+        const passed = await this.runTestBinary(executable, options.filter, env, sandbox, projectDir, log, onResult);
+        if (!passed && !crashed) {
+          crashed = executable.crate;
+        }
+      }
+
+      const summary = summarizeTests(tests);
+      const success = summary.failed === 0 && !crashed;
+      log(success ? 'success' : 'error',
+        `Test result: ${summary.passed} passed; ${summary.failed} failed; ${summary.ignored} ignored`);
+
+      let error;
+      if (summary.failed > 0) {
+        error = `${summary.failed} test(s) failed`;
+      } else if (crashed) {
+        error = `Tests of ${crashed} did not complete`;
+      }
+      return {
+        success,
+        logs,
+        tests,
+        summary,
+        diagnostics,
+        error
+      };
+    } catch (error) {
+      log('error', `Test run failed: ${error.message}`);
+      return {
+        success: false,
+        logs,
+        tests,
+        summary: summarizeTests(tests),
+        diagnostics,
+        limit: error.limit || null,
+        error: error.message
+      };
+    } finally {
+      if (targetLease) {
+        await targetLease.release();
+      }
+      await fs.remove(projectDir).catch((error) => {
+        console.error('Cleanup error:', error);
+      });
+    }
+  }
+
+  /**
+   * Compile the test binaries without running them
+   * @param {Object} sandbox - {mounts, watch} for sandboxService.spawn
+   * @returns {Promise<Array|null>} [{executable, crate, cwd}], or null if the build failed
+   * @throws {Error} With `limit` if the build hit a sandbox limit
+   */
+  buildTests(projectDir, packageArgs, env, sandbox, log, onDiagnostic) {
+    return new Promise((resolve, reject) => {
+      const executables = [];
+      const buildProcess = sandboxService.spawn('cargo', ['test', '--no-run', '--message-format=json', ...packageArgs], {
+        cwd: projectDir,
+        env,
+        ...sandbox
+      });
+
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('{')) {
+          return;
+        }
+        const diagnostic = parseCargoMessage(trimmed, projectDir);
+        if (diagnostic) {
+          onDiagnostic(diagnostic);
+          (diagnostic.rendered || diagnostic.message).split('\n').filter(entry => entry.trim())
+            .forEach(entry => log(diagnostic.severity === 'error' ? 'error' : 'warning', entry));
+          return;
+        }
+        try {
+          const message = JSON.parse(trimmed);
+          if (message.reason === 'compiler-artifact' && message.profile?.test && message.executable) {
+            executables.push({
+              executable: message.executable,
+              crate: message.target.name,
+              cwd: path.dirname(message.manifest_path)
+            });
+          }
+        } catch (error) {
+          // Not a cargo message
+        }
+      };
+
+      let pending = '';
+      buildProcess.stdout.on('data', (data) => {
+        const lines = (pending + data.toString()).split('\n');
+        pending = lines.pop();
+        lines.forEach(handleLine);
+      });
+
+      // cargo's progress ("Compiling ...") and errors not tied to a crate
+      buildProcess.stderr.on('data', (data) => {
+        data.toString().split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+          log(line.startsWith('error') ? 'error' : 'info', line);
+        });
+      });
+
+      buildProcess.on('close', (code) => {
+        handleLine(pending);
+        if (buildProcess.limit) {
+          reject(sandboxService.toError(buildProcess.limit));
+          return;
+        }
+        resolve(code === 0 ? executables : null);
+      });
+
+      buildProcess.on('error', reject);
+    });
+  }
+
+  /**
+   * Run one test binary and report each test as it finishes
+   * @param {Object} executable - {executable, crate, cwd} from buildTests
+   * @param {string|null} filter - Only run tests whose name contains this
+   * @param {Object} sandbox - {mounts, watch} for sandboxService.spawn
+   * @returns {Promise<boolean>} Whether the binary exited successfully (every test passed or was ignored)
+   * @throws {Error} With `limit` if the tests hit a sandbox limit other than the time limit
+   */
+  runTestBinary(executable, filter, env, sandbox, projectDir, log, onResult) {
+    return new Promise((resolve, reject) => {
+      const args = ['-Z', 'unstable-options', '--format', 'json', '--report-time', '--show-output'];
+      if (filter) {
+        args.push(filter);
+      }
+
+      const testProcess = sandboxService.spawn(executable.executable, args, {
+        cwd: executable.cwd,
+        env: { ...env, RUSTC_BOOTSTRAP: '1', RUST_BACKTRACE: '0', CARGO_MANIFEST_DIR: executable.cwd },
+        ...sandbox,
+        timeoutMs: TEST_TIMEOUT_MS
+      });
+
+      // Tests that started but have not reported a result
+      const running = new Set();
+      const context = { crate: executable.crate, projectDir };
+
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        const event = parseTestEvent(trimmed, context);
+        if (event && event.event === 'started') {
+          running.add(event.name);
+        } else if (event) {
+          running.delete(event.result.name);
+          onResult(event.result);
+        } else if (trimmed && !trimmed.startsWith('{')) {
+          log('info', trimmed);
+        }
+      };
+
+      let pending = '';
+      testProcess.stdout.on('data', (data) => {
+        const lines = (pending + data.toString()).split('\n');
+        pending = lines.pop();
+        lines.forEach(handleLine);
+      });
+
+      testProcess.stderr.on('data', (data) => {
+        data.toString().split('\n').map(line => line.trim()).filter(Boolean).forEach(line => log('info', line));
+      });
+
+      testProcess.on('close', (code) => {
+        handleLine(pending);
+        const limit = testProcess.limit;
+        if (limit && limit.type !== 'time') {
+          reject(sandboxService.toError(limit));
+          return;
+        }
+        if (limit) {
+          log('error', `Tests of ${executable.crate} timed out after ${Math.round(TEST_TIMEOUT_MS / 1000)}s`);
+          for (const name of running) {
+            onResult({
+              name,
+              crate: executable.crate,
+              status: 'failed',
+              duration: null,
+              panic: null,
+              output: '',
+              message: 'Timed out'
+            });
+          }
+        } else if (code !== 0) {
+          log('error', `Test binary of ${executable.crate} exited with code ${code}`);
+        }
+        resolve(code === 0);
+      });
+
+      testProcess.on('error', reject);
+    });
+  }
+}
+
+module.exports = new TestService();
@@ -0,0 +1,303 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { connection, COMPILE_QUEUE_NAME } = require('../queues/bullmq');
+const httpError = require('../utils/httpError');
+
+const execFileAsync = promisify(execFile);
+
+// Extra stellar-cli builds installed as `stellar-<version>` executables
+const STELLAR_CLI_DIR = process.env.STELLAR_CLI_DIR || null;
+const REGISTRY_PREFIX = 'toolchains:worker:';
+const REGISTRY_TTL_SECONDS = 60;
+const HEARTBEAT_MS = 20 * 1000;
+
+const RUST_CHANNEL_PATTERN = /^(stable|beta|nightly(-\d{4}-\d{2}-\d{2})?|\d+\.\d+(\.\d+)?)$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+// Stands for "whatever the worker uses by default" in queue names
+const DEFAULT = 'default';
+
+/**
+ * Per-project build toolchains: Rust channel, stellar-cli version and
+ * soroban-sdk version.
+ *
+ * Compile workers detect the Rust toolchains (rustup) and stellar-cli builds
+ * they have installed and advertise them in Redis. A project may only pick a
+ * Rust channel and CLI version that some live worker has, and its compile
+ * (and test) jobs go to a queue per (rust, cli) pair that only such workers
+ * consume.
+ * The SDK version is a crate dependency, so any worker can build it.
+ */
+class ToolchainService {
+  constructor() {
+    this.installed = null;
+  }
+
+  /**
+   * Normalize a toolchain setting from a request
+   * @param {Object|null} input - {rust, stellarCli, sdk}; null or missing fields use worker defaults
+   * @returns {Object} {rust, stellarCli, sdk} with null for defaults
+   * @throws {Error} 400 error for malformed versions
+   */
+  normalize(input) {
+    if (input === null || input === undefined) {
+      return { rust: null, stellarCli: null, sdk: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw httpError(400, 'toolchain must be an object with rust, stellarCli and sdk');
+    }
+
+    const read = (field, pattern, example) => {
+      const value = input[field];
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+      if (typeof value !== 'string' || !pattern.test(value.trim())) {
+        throw httpError(400, `Invalid ${field} version "${value}" (e.g. ${example})`);
+      }
+      return value.trim();
+    };
+
+    return {
+      rust: read('rust', RUST_CHANNEL_PATTERN, '1.81.0 or stable'),
+      stellarCli: read('stellarCli', VERSION_PATTERN, '22.0.1'),
+      sdk: read('sdk', VERSION_PATTERN, '22.0.0')
+    };
+  }
+
+  /**
+   * Queue for a toolchain. Projects without a Rust or CLI choice use the
+   * shared queue.
+   * @param {Object|null} toolchain - {rust, stellarCli, sdk}
+   * @param {string} baseName - Shared queue name (compile or test)
+   */
+  getQueueName(toolchain, baseName = COMPILE_QUEUE_NAME) {
+    if (!toolchain || (!toolchain.rust && !toolchain.stellarCli)) {
+      return baseName;
+    }
+    return this.queueNameFor(toolchain.rust || DEFAULT, toolchain.stellarCli || DEFAULT, baseName);
+  }
+
+  /**
+   * Queue name for a (rust, cli) pair; BullMQ queue names may not contain ":"
+   */
+  queueNameFor(rust, stellarCli, baseName = COMPILE_QUEUE_NAME) {
+    return `${baseName}-rust-${rust}-cli-${stellarCli}`;
+  }
+
+  /**
+   * Detect the toolchains installed on this machine (worker side, cached)
+   * @returns {Promise<Object>} {rust: [{channel, default}], stellarCli: [{version, bin, default}]}
+   */
+  async detectInstalled() {
+    if (this.installed) {
+      return this.installed;
+    }
+
+    const rust = [];
+    try {
+      const { stdout } = await execFileAsync('rustup', ['toolchain', 'list'], { timeout: 30000 });
+      for (const line of stdout.split('\n').map(entry => entry.trim()).filter(Boolean)) {
+        // e.g. "1.81.0-x86_64-unknown-linux-gnu (default)"
+        const name = line.split(' ')[0].replace(/-(x86_64|aarch64|i686|arm|armv7)-.*$/, '');
+        rust.push({ channel: name, default: line.includes('(default)') });
+      }
+    } catch (error) {
+      console.warn('[ToolchainService] Could not list rustup toolchains:', error.message);
+    }
+
+    const stellarCli = [];
+    const defaultCli = await this.readCliVersion('stellar');
+    if (defaultCli) {
+      stellarCli.push({ version: defaultCli, bin: 'stellar', default: true });
+    }
+    if (STELLAR_CLI_DIR) {
+      const entries = await fs.readdir(STELLAR_CLI_DIR).catch(() => []);
+      for (const entry of entries) {
+        const match = entry.match(/^stellar-(.+)$/);
+        if (match && VERSION_PATTERN.test(match[1]) && !stellarCli.some(cli => cli.version === match[1])) {
+          stellarCli.push({ version: match[1], bin: path.join(STELLAR_CLI_DIR, entry), default: false });
+        }
+      }
+    }
+
+    this.installed = { rust, stellarCli };
+    return this.installed;
+  }
+
+  /**
+   * Version reported by a stellar-cli executable, or null if it does not run
+   */
+  async readCliVersion(bin) {
+    try {
+      const { stdout } = await execFileAsync(bin, ['--version'], { timeout: 30000 });
+      const match = stdout.match(/(\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?)/);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Queues this worker can serve: the shared queue plus one per installed
+   * (rust, cli) pair, where "default" stands for its defaults
+   * @param {string} baseName - Shared queue name (compile or test)
+   */
+  async getServedQueueNames(baseName = COMPILE_QUEUE_NAME) {
+    const { rust, stellarCli } = await this.detectInstalled();
+    const rustChannels = [DEFAULT, ...rust.map(toolchain => toolchain.channel)];
+    const cliVersions = [DEFAULT, ...stellarCli.map(cli => cli.version)];
+
+    const names = new Set([baseName]);
+    for (const channel of rustChannels) {
+      for (const version of cliVersions) {
+        if (channel !== DEFAULT || version !== DEFAULT) {
+          names.add(this.queueNameFor(channel, version, baseName));
+        }
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Resolve a toolchain setting to what this worker runs
+   * @returns {Promise<Object>} {stellarBin, env} where env sets RUSTUP_TOOLCHAIN when a channel is chosen
+   * @throws {Error} If the toolchain is not installed here
+   */
+  async resolve(toolchain) {
+    const env = {};
+    let stellarBin = 'stellar';
+    if (!toolchain) {
+      return { stellarBin, env };
+    }
+
+    const { rust, stellarCli } = await this.detectInstalled();
+    if (toolchain.rust) {
+      if (!rust.some(installed => installed.channel === toolchain.rust)) {
+        throw new Error(`Rust toolchain ${toolchain.rust} is not installed on this worker`);
+      }
+      env.RUSTUP_TOOLCHAIN = toolchain.rust;
+    }
+    if (toolchain.stellarCli) {
+      const cli = stellarCli.find(installed => installed.version === toolchain.stellarCli);
+      if (!cli) {
+        throw new Error(`stellar-cli ${toolchain.stellarCli} is not installed on this worker`);
+      }
+      stellarBin = cli.bin;
+    }
+    return { stellarBin, env };
+  }
+
+  /**
+   * Advertise this worker's toolchains in Redis until the process exits
+   * @param {string} kind - Jobs the worker runs: compile or test
+   * @returns {Promise<Function>} Stops advertising
+   */
+  async registerWorker(kind = 'compile') {
+    const installed = await this.detectInstalled();
+    const key = `${REGISTRY_PREFIX}${kind}:${os.hostname()}-${process.pid}`;
+    const value = JSON.stringify({
+      kind,
+      rust: installed.rust.map(toolchain => ({ channel: toolchain.channel, default: toolchain.default })),
+      stellarCli: installed.stellarCli.map(cli => ({ version: cli.version, default: cli.default })),
+      updatedAt: new Date().toISOString()
+    });
+
+    const heartbeat = () => connection.set(key, value, 'EX', REGISTRY_TTL_SECONDS).catch((error) => {
+      console.warn('[ToolchainService] Could not advertise toolchains:', error.message);
+    });
+    await heartbeat();
+    const timer = setInterval(heartbeat, HEARTBEAT_MS);
+
+    return async () => {
+      clearInterval(timer);
+      await connection.del(key).catch(() => {});
+    };
+  }
+
+  /**
+   * Toolchains offered by live workers (API side)
+   * @returns {Promise<Object>} {rust: [channel], stellarCli: [version], workers: [{kind, rust, stellarCli}]}
+   */
+  async listAvailable() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await connection.scan(cursor, 'MATCH', `${REGISTRY_PREFIX}*`, 'COUNT', 100);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== '0');
+
+    const values = keys.length > 0 ? await connection.mget(keys) : [];
+    const workers = values.filter(Boolean).map(value => JSON.parse(value));
+
+    const unique = list => [...new Set(list)].sort();
+    return {
+      rust: unique(workers.flatMap(worker => worker.rust.map(toolchain => toolchain.channel))),
+      stellarCli: unique(workers.flatMap(worker => worker.stellarCli.map(cli => cli.version))),
+      workers: workers.map(worker => ({ kind: worker.kind || 'compile', rust: worker.rust, stellarCli: worker.stellarCli }))
+    };
+  }
+
+  /**
+   * Validate a project's toolchain setting against the live workers
+   * @param {Object|null} input - {rust, stellarCli, sdk}
+   * @param {string} kind - Workers that must have it: compile or test
+   * @returns {Promise<Object>} Normalized toolchain
+   * @throws {Error} 400 error if no worker has the Rust channel and CLI version together
+   */
+  async validate(input, kind = 'compile') {
+    const toolchain = this.normalize(input);
+    if (!toolchain.rust && !toolchain.stellarCli) {
+      return toolchain;
+    }
+
+    const { workers } = await this.listAvailable();
+    const supported = workers.some(worker => (
+      worker.kind === kind &&
+      (!toolchain.rust || worker.rust.some(installed => installed.channel === toolchain.rust)) &&
+      (!toolchain.stellarCli || worker.stellarCli.some(cli => cli.version === toolchain.stellarCli))
+    ));
+    if (!supported) {
+      const wanted = [toolchain.rust && `Rust ${toolchain.rust}`, toolchain.stellarCli && `stellar-cli ${toolchain.stellarCli}`]
+        .filter(Boolean)
+        .join(' with ');
+      throw httpError(400, `No ${kind} worker has ${wanted} installed. See GET /api/toolchains`);
+    }
+    return toolchain;
+  }
+
+  /**
+   * Pin every soroban-sdk dependency in the Cargo.toml files of a build to
+   * exactly `sdk` (plain, table and workspace.dependencies entries)
+   * @param {string} projectDir - Build directory
+   * @param {string} sdk - soroban-sdk version
+   * @returns {Promise<Array<string>>} Manifests that were changed, relative to projectDir
+   */
+  async pinSdkVersion(projectDir, sdk) {
+    const changed = [];
+    const visit = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && entry.name !== 'target' && !entry.name.startsWith('.')) {
+          await visit(entryPath);
+        } else if (entry.isFile() && entry.name === 'Cargo.toml') {
+          const content = await fs.readFile(entryPath, 'utf8');
+          const pinned = content
+            .replace(/^(\s*soroban-sdk\s*=\s*)"[^"]*"/gm, `$1"=${sdk}"`)
+            .replace(/^(\s*soroban-sdk\s*=\s*\{[^}\n]*?\bversion\s*=\s*)"[^"]*"/gm, `$1"=${sdk}"`);
+          if (pinned !== content) {
+            await fs.writeFile(entryPath, pinned);
+            changed.push(path.relative(projectDir, entryPath));
+          }
+        }
+      }
+    };
+    await visit(projectDir);
+    return changed;
+  }
+}
+
+module.exports = new ToolchainService();
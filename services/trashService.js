@@ -0,0 +1,159 @@
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+const revisionService = require('./revisionService');
+const gitService = require('./gitService');
+const collaborationService = require('./collaborationService');
+const artifactService = require('./artifactService');
+const httpError = require('../utils/httpError');
+const { accessibleProjectsQuery, getProjectRole } = require('../utils/projectRoles');
+
+const RETENTION_DAYS = parseInt(process.env.PROJECT_TRASH_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Project trash: deleted projects stay restorable for RETENTION_DAYS and are
+ * purged afterwards by the maintenance worker
+ */
+class TrashService {
+  /**
+   * When a trashed project will be purged
+   */
+  getPurgeAt(project) {
+    return project.deletedAt ? new Date(project.deletedAt.getTime() + RETENTION_DAYS * DAY_MS) : null;
+  }
+
+  /**
+   * Project JSON with its purge date
+   */
+  describeTrashedProject(project, role) {
+    return {
+      ...project.toJSON(),
+      purgeAt: this.getPurgeAt(project),
+      role
+    };
+  }
+
+  /**
+   * Move a project to the trash
+   * @param {Object} project - Project document
+   * @param {string} userId - User deleting the project
+   * @returns {Promise<Object>} Updated project
+   * @throws {Error} 404 error if the project is already in the trash
+   */
+  async trashProject(project, userId) {
+    const trashed = await Project.findOneAndUpdate(
+      { _id: project._id, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: userId },
+      { new: true }
+    );
+    if (!trashed) {
+      throw httpError(404, 'Project not found');
+    }
+
+    console.log(`[TrashService] Project ${project._id} moved to trash by ${userId}`);
+    return trashed;
+  }
+
+  /**
+   * Take a project out of the trash
+   * @throws {Error} 404 error if the project is not in the trash
+   */
+  async restoreProject(project) {
+    const restored = await Project.findOneAndUpdate(
+      { _id: project._id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    );
+    if (!restored) {
+      throw httpError(404, 'Project is not in the trash');
+    }
+
+    // Its organization may have been deleted in the meantime
+    if (restored.organizationId && !(await Organization.exists({ _id: restored.organizationId }))) {
+      restored.organizationId = null;
+      await restored.save();
+    }
+
+    console.log(`[TrashService] Project ${project._id} restored`);
+    return restored;
+  }
+
+  /**
+   * Permanently delete a project with its history, working copy and invitations
+   * @returns {Promise<boolean>} false if it was no longer in the trash (restored
+   *   or purged by someone else meanwhile); nothing is deleted then
+   */
+  async purgeProject(project) {
+    const purged = await Project.findOneAndDelete({ _id: project._id, deletedAt: { $ne: null } });
+    if (!purged) {
+      return false;
+    }
+    await revisionService.deleteRevisions(project._id);
+    await gitService.removeWorkdir(project._id);
+    await collaborationService.deleteInvitations(project._id);
+    await artifactService.deleteProjectArtifacts(project._id);
+    console.log(`[TrashService] Project ${project._id} purged`);
+    return true;
+  }
+
+  /**
+   * Trashed projects a user owns (directly or as an organization admin)
+   * @param {Object} user - Current user
+   * @returns {Promise<Array>} Projects with `purgeAt` and `role`, most recently deleted first
+   */
+  async listTrash(user) {
+    const organizations = await Organization.find({ 'members.userId': user._id }).select('members defaultProjectRole');
+    const organizationsById = new Map(organizations.map(org => [org._id.toString(), org]));
+
+    const projects = await Project.find({
+      ...accessibleProjectsQuery(user._id, organizations.map(org => org._id)),
+      deletedAt: { $ne: null }
+    }).sort({ deletedAt: -1 });
+
+    return projects
+      .map(project => {
+        const organization = project.organizationId ? organizationsById.get(project.organizationId.toString()) : null;
+        return { project, role: getProjectRole(project, user._id, organization) };
+      })
+      .filter(({ role }) => role === 'owner')
+      .map(({ project, role }) => this.describeTrashedProject(project, role));
+  }
+
+  /**
+   * Purge every project in a user's trash
+   * @returns {Promise<number>} Number of purged projects
+   */
+  async emptyTrash(user) {
+    const trashed = await this.listTrash(user);
+    let purged = 0;
+    for (const project of trashed) {
+      if (await this.purgeProject(project)) {
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Purge projects whose retention window has passed
+   * @returns {Promise<number>} Number of purged projects
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+    const expired = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+
+    let purged = 0;
+    for (const project of expired) {
+      try {
+        if (await this.purgeProject(project)) {
+          purged++;
+        }
+      } catch (error) {
+        console.error(`[TrashService] Failed to purge project ${project._id}:`, error.message);
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,77 @@
+#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address};
+
+#[contract]
+pub struct AuctionContract;
+
+#[contractimpl]
+impl AuctionContract {
+    pub fn create_auction(env: Env, seller: Address, starting_bid: i128, duration: u64) -> u32 {
+        seller.require_auth();
+        
+        let auction_count_key = symbol_short!("auction_count");
+        let auction_count: u32 = env.storage().instance().get(&auction_count_key).unwrap_or(0);
+        let auction_id = auction_count + 1;
+        
+        env.storage().instance().set(&auction_count_key, &auction_id);
+        
+        // Store auction data
+        let seller_key = symbol_short!("seller");
+        env.storage().instance().set(&seller_key, &seller);
+        
+        let highest_bid_key = symbol_short!("highest_bid");
+        env.storage().instance().set(&highest_bid_key, &starting_bid);
+        
+        let highest_bidder_key = symbol_short!("highest_bidder");
+        env.storage().instance().set(&highest_bidder_key, &seller);
+        
+        let end_time_key = symbol_short!("end_time");
+        let current_time = env.ledger().timestamp();
+        env.storage().instance().set(&end_time_key, &(current_time + duration));
+        
+        auction_id
+    }
+    
+    pub fn bid(env: Env, auction_id: u32, bidder: Address, amount: i128) {
+        bidder.require_auth();
+        
+        let end_time_key = symbol_short!("end_time");
+        let end_time: u64 = env.storage().instance().get(&end_time_key).unwrap();
+        let current_time = env.ledger().timestamp();
+        
+        if current_time >= end_time {
+            panic!("Auction ended");
+        }
+        
+        let highest_bid_key = symbol_short!("highest_bid");
+        let highest_bid: i128 = env.storage().instance().get(&highest_bid_key).unwrap();
+        
+        if amount <= highest_bid {
+            panic!("Bid too low");
+        }
+        
+        // Update highest bid
+        env.storage().instance().set(&highest_bid_key, &amount);
+        
+        let highest_bidder_key = symbol_short!("highest_bidder");
+        env.storage().instance().set(&highest_bidder_key, &bidder);
+    }
+    
+    pub fn settle(env: Env, auction_id: u32) {
+        let end_time_key = symbol_short!("end_time");
+        let end_time: u64 = env.storage().instance().get(&end_time_key).unwrap();
+        let current_time = env.ledger().timestamp();
+        
+        if current_time < end_time {
+            panic!("Auction not ended");
+        }
+        
+        let settled_key = symbol_short!("settled");
+        env.storage().instance().set(&settled_key, &true);
+    }
+    
+    pub fn get_highest_bid(env: Env, auction_id: u32) -> i128 {
+        let highest_bid_key = symbol_short!("highest_bid");
+        env.storage().instance().get(&highest_bid_key).unwrap()
+    }
+}
@@ -0,0 +1,16 @@
+#[cfg(test)]
+mod test {
+    use super::*;
+    use soroban_sdk::{Env, Address};
+
+    #[test]
+    fn test_create_auction() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, AuctionContract);
+        let client = AuctionContractClient::new(&env, &contract_id);
+        
+        let seller = Address::random(&env);
+        let auction_id = client.create_auction(&seller, &1000, &86400);
+        assert_eq!(auction_id, 1);
+    }
+}
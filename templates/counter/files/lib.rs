@@ -0,0 +1,30 @@
+#![no_std]
+use core::clone::Clone;
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Vec};
+
+#[contract]
+pub struct CounterContract;
+
+#[contractimpl]
+impl CounterContract {
+    pub fn increment(env: Env) -> i32 {
+        let key = symbol_short!("counter");
+        let current: i32 = env.storage().instance().get(&key).unwrap_or(0);
+        let new_value = current + 1;
+        env.storage().instance().set(&key, &new_value);
+        new_value
+    }
+
+    pub fn decrement(env: Env) -> i32 {
+        let key = symbol_short!("counter");
+        let current: i32 = env.storage().instance().get(&key).unwrap_or(0);
+        let new_value = current - 1;
+        env.storage().instance().set(&key, &new_value);
+        new_value
+    }
+
+    pub fn get(env: Env) -> i32 {
+        let key = symbol_short!("counter");
+        env.storage().instance().get(&key).unwrap_or(0)
+    }
+}
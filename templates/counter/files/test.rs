@@ -0,0 +1,27 @@
+#[cfg(test)]
+mod test {
+    use super::*;
+    use soroban_sdk::Env;
+
+    #[test]
+    fn test_increment() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, CounterContract);
+        let client = CounterContractClient::new(&env, &contract_id);
+
+        assert_eq!(client.get(), 0);
+        assert_eq!(client.increment(), 1);
+        assert_eq!(client.get(), 1);
+    }
+
+    #[test]
+    fn test_decrement() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, CounterContract);
+        let client = CounterContractClient::new(&env, &contract_id);
+
+        assert_eq!(client.get(), 0);
+        assert_eq!(client.decrement(), -1);
+        assert_eq!(client.get(), -1);
+    }
+}
@@ -0,0 +1,56 @@
+#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address};
+
+#[contract]
+pub struct EscrowContract;
+
+#[contractimpl]
+impl EscrowContract {
+    pub fn create_escrow(env: Env, buyer: Address, seller: Address, amount: i128) -> u32 {
+        buyer.require_auth();
+        
+        let escrow_count_key = symbol_short!("escrow_count");
+        let escrow_count: u32 = env.storage().instance().get(&escrow_count_key).unwrap_or(0);
+        let escrow_id = escrow_count + 1;
+        
+        env.storage().instance().set(&escrow_count_key, &escrow_id);
+        
+        // Store escrow data
+        let buyer_key = symbol_short!("buyer");
+        env.storage().instance().set(&buyer_key, &buyer);
+        
+        let seller_key = symbol_short!("seller");
+        env.storage().instance().set(&seller_key, &seller);
+        
+        let amount_key = symbol_short!("amount");
+        env.storage().instance().set(&amount_key, &amount);
+        
+        let status_key = symbol_short!("status");
+        env.storage().instance().set(&status_key, &symbol_short!("pending"));
+        
+        escrow_id
+    }
+    
+    pub fn release(env: Env, escrow_id: u32) {
+        let seller_key = symbol_short!("seller");
+        let seller: Address = env.storage().instance().get(&seller_key).unwrap();
+        seller.require_auth();
+        
+        let status_key = symbol_short!("status");
+        env.storage().instance().set(&status_key, &symbol_short!("released"));
+    }
+    
+    pub fn refund(env: Env, escrow_id: u32) {
+        let buyer_key = symbol_short!("buyer");
+        let buyer: Address = env.storage().instance().get(&buyer_key).unwrap();
+        buyer.require_auth();
+        
+        let status_key = symbol_short!("status");
+        env.storage().instance().set(&status_key, &symbol_short!("refunded"));
+    }
+    
+    pub fn get_status(env: Env, escrow_id: u32) -> Symbol {
+        let status_key = symbol_short!("status");
+        env.storage().instance().get(&status_key).unwrap()
+    }
+}
@@ -0,0 +1,18 @@
+#[cfg(test)]
+mod test {
+    use super::*;
+    use soroban_sdk::{Env, Address, symbol_short};
+
+    #[test]
+    fn test_create_escrow() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, EscrowContract);
+        let client = EscrowContractClient::new(&env, &contract_id);
+        
+        let buyer = Address::random(&env);
+        let seller = Address::random(&env);
+        
+        let escrow_id = client.create_escrow(&buyer, &seller, &1000);
+        assert_eq!(escrow_id, 1);
+    }
+}
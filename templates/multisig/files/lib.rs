@@ -0,0 +1,91 @@
+#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
+
+#[contract]
+pub struct MultiSigContract;
+
+#[contractimpl]
+impl MultiSigContract {
+    pub fn initialize(env: Env, owners: Vec<Address>, threshold: u32) {
+        let owners_key = symbol_short!("owners");
+        env.storage().instance().set(&owners_key, &owners);
+        
+        let threshold_key = symbol_short!("threshold");
+        env.storage().instance().set(&threshold_key, &threshold);
+    }
+    
+    pub fn submit_transaction(env: Env, proposer: Address, to: Address, amount: i128) -> u32 {
+        proposer.require_auth();
+        
+        // Verify proposer is an owner
+        let owners_key = symbol_short!("owners");
+        let owners: Vec<Address> = env.storage().instance().get(&owners_key).unwrap();
+        let mut is_owner = false;
+        for owner in owners.iter() {
+            if *owner == proposer {
+                is_owner = true;
+                break;
+            }
+        }
+        if !is_owner {
+            panic!("Not an owner");
+        }
+        
+        let tx_count_key = symbol_short!("tx_count");
+        let tx_count: u32 = env.storage().instance().get(&tx_count_key).unwrap_or(0);
+        let tx_id = tx_count + 1;
+        
+        env.storage().instance().set(&tx_count_key, &tx_id);
+        
+        // Store transaction
+        let tx_to_key = symbol_short!("tx_to");
+        env.storage().instance().set(&tx_to_key, &to);
+        
+        let tx_amount_key = symbol_short!("tx_amount");
+        env.storage().instance().set(&tx_amount_key, &amount);
+        
+        // Initialize approvals
+        let approvals_key = symbol_short!("approvals");
+        env.storage().instance().set(&approvals_key, &0u32);
+        
+        tx_id
+    }
+    
+    pub fn approve(env: Env, approver: Address, tx_id: u32) {
+        approver.require_auth();
+        
+        // Verify approver is an owner
+        let owners_key = symbol_short!("owners");
+        let owners: Vec<Address> = env.storage().instance().get(&owners_key).unwrap();
+        let mut is_owner = false;
+        for owner in owners.iter() {
+            if *owner == approver {
+                is_owner = true;
+                break;
+            }
+        }
+        if !is_owner {
+            panic!("Not an owner");
+        }
+        
+        let approvals_key = symbol_short!("approvals");
+        let current_approvals: u32 = env.storage().instance().get(&approvals_key).unwrap_or(0);
+        env.storage().instance().set(&approvals_key, &(current_approvals + 1));
+    }
+    
+    pub fn execute(env: Env, tx_id: u32) {
+        let threshold_key = symbol_short!("threshold");
+        let threshold: u32 = env.storage().instance().get(&threshold_key).unwrap();
+        
+        let approvals_key = symbol_short!("approvals");
+        let approvals: u32 = env.storage().instance().get(&approvals_key).unwrap_or(0);
+        
+        if approvals < threshold {
+            panic!("Insufficient approvals");
+        }
+        
+        // Transaction executed
+        let executed_key = symbol_short!("executed");
+        env.storage().instance().set(&executed_key, &true);
+    }
+}
@@ -0,0 +1,20 @@
+#[cfg(test)]
+mod test {
+    use super::*;
+    use soroban_sdk::{Env, Address, Vec};
+
+    #[test]
+    fn test_initialize() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, MultiSigContract);
+        let client = MultiSigContractClient::new(&env, &contract_id);
+        
+        let owners = Vec::new(&env);
+        let owner1 = Address::random(&env);
+        let owner2 = Address::random(&env);
+        owners.push_back(owner1.clone());
+        owners.push_back(owner2.clone());
+        
+        client.initialize(&owners, &2);
+    }
+}
@@ -0,0 +1,51 @@
+#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
+
+#[contract]
+pub struct NFTContract;
+
+#[contractimpl]
+impl NFTContract {
+    pub fn mint(env: Env, to: Address, token_id: u32) {
+        let minter: Address = env.storage().instance().get(&symbol_short!("minter")).unwrap();
+        minter.require_auth();
+        
+        // Check if token already exists
+        let owner_key = symbol_short!("owner");
+        let existing_owner: Option<Address> = env.storage().instance().get(&owner_key);
+        if existing_owner.is_some() {
+            panic!("Token already exists");
+        }
+        
+        // Set owner
+        env.storage().instance().set(&owner_key, &to);
+        
+        // Increment total supply
+        let supply_key = symbol_short!("supply");
+        let current_supply: u32 = env.storage().instance().get(&supply_key).unwrap_or(0);
+        env.storage().instance().set(&supply_key, &(current_supply + 1));
+    }
+    
+    pub fn transfer(env: Env, from: Address, to: Address, token_id: u32) {
+        from.require_auth();
+        
+        let owner_key = symbol_short!("owner");
+        let current_owner: Address = env.storage().instance().get(&owner_key).unwrap();
+        
+        if current_owner != from {
+            panic!("Not the owner");
+        }
+        
+        env.storage().instance().set(&owner_key, &to);
+    }
+    
+    pub fn owner_of(env: Env, token_id: u32) -> Address {
+        let owner_key = symbol_short!("owner");
+        env.storage().instance().get(&owner_key).unwrap()
+    }
+    
+    pub fn total_supply(env: Env) -> u32 {
+        let supply_key = symbol_short!("supply");
+        env.storage().instance().get(&supply_key).unwrap_or(0)
+    }
+}
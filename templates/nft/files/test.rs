@@ -0,0 +1,18 @@
+#[cfg(test)]
+mod test {
+    use super::*;
+    use soroban_sdk::{Env, Address};
+
+    #[test]
+    fn test_mint() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, NFTContract);
+        let client = NFTContractClient::new(&env, &contract_id);
+        
+        let minter = Address::random(&env);
+        let to = Address::random(&env);
+        
+        client.mint(&to, &1);
+        assert_eq!(client.owner_of(&1), to);
+    }
+}
@@ -0,0 +1,30 @@
+#![no_std]
+use core::clone::Clone;
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
+
+#[contract]
+pub struct TokenContract;
+
+#[contractimpl]
+impl TokenContract {
+    pub fn initialize(env: Env, admin: Address, decimals: u32, name: Symbol, symbol: Symbol) {
+        env.storage().instance().set(&symbol_short!("admin"), &admin);
+        env.storage().instance().set(&symbol_short!("decimals"), &decimals);
+        env.storage().instance().set(&symbol_short!("name"), &name);
+        env.storage().instance().set(&symbol_short!("symbol"), &symbol);
+    }
+
+    pub fn mint(env: Env, to: Address, amount: i128) {
+        let admin: Address = env.storage().instance().get(&symbol_short!("admin")).unwrap();
+        admin.require_auth();
+        
+        let key = symbol_short!("balance");
+        let current: i128 = env.storage().instance().get(&key).unwrap_or(0);
+        env.storage().instance().set(&key, &(current + amount));
+    }
+
+    pub fn balance(env: Env, owner: Address) -> i128 {
+        let key = symbol_short!("balance");
+        env.storage().instance().get(&key).unwrap_or(0)
+    }
+}
@@ -0,0 +1,54 @@
+#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol, Address, Vec};
+
+#[contract]
+pub struct VotingContract;
+
+#[contractimpl]
+impl VotingContract {
+    pub fn create_proposal(env: Env, proposer: Address, description: Symbol) -> u32 {
+        proposer.require_auth();
+        
+        let proposal_count_key = symbol_short!("prop_cnt");
+        let proposal_count: u32 = env.storage().instance().get(&proposal_count_key).unwrap_or(0);
+        let new_proposal_id = proposal_count + 1;
+        
+        env.storage().instance().set(&proposal_count_key, &new_proposal_id);
+        
+        // Store proposal data
+        let proposal_key = symbol_short!("proposal");
+        let mut proposal_data = Vec::new(&env);
+        proposal_data.push_back(description);
+        env.storage().instance().set(&proposal_key, &proposal_data);
+        
+        // Initialize votes
+        let votes_key = symbol_short!("votes");
+        env.storage().instance().set(&votes_key, &0i128);
+        
+        new_proposal_id
+    }
+    
+    pub fn vote(env: Env, voter: Address, _proposal_id: u32, vote: bool) {
+        voter.require_auth();
+        
+        // Check if already voted
+        let voted_key = symbol_short!("voted");
+        let has_voted: bool = env.storage().instance().get(&voted_key).unwrap_or(false);
+        if has_voted {
+            panic!("Already voted");
+        }
+        
+        env.storage().instance().set(&voted_key, &true);
+        
+        // Update vote count
+        let votes_key = symbol_short!("votes");
+        let current_votes: i128 = env.storage().instance().get(&votes_key).unwrap_or(0);
+        let new_votes = if vote { current_votes + 1 } else { current_votes - 1 };
+        env.storage().instance().set(&votes_key, &new_votes);
+    }
+    
+    pub fn get_votes(env: Env, _proposal_id: u32) -> i128 {
+        let votes_key = symbol_short!("votes");
+        env.storage().instance().get(&votes_key).unwrap_or(0)
+    }
+}
@@ -0,0 +1,18 @@
+#[cfg(test)]
+mod test {
+    use super::*;
+    use soroban_sdk::{Env, Address, symbol_short};
+
+    #[test]
+    fn test_create_proposal() {
+        let env = Env::default();
+        let contract_id = env.register_contract(None, VotingContract);
+        let client = VotingContractClient::new(&env, &contract_id);
+        
+        let proposer = Address::random(&env);
+        let description = symbol_short!("Test Proposal");
+        
+        let proposal_id = client.create_proposal(&proposer, &description);
+        assert_eq!(proposal_id, 1);
+    }
+}
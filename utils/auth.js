@@ -68,9 +68,17 @@ function generateChallenge(walletAddress) {
   };
 }
 
+/**
+ * Check whether a user is a site admin (role set with scripts/set-admin.js)
+ */
+function isAdmin(user) {
+  return user?.role === 'admin';
+}
+
 module.exports = {
   generateToken,
   verifyToken,
   verifyWalletSignature,
-  generateChallenge
+  generateChallenge,
+  isAdmin
 };
@@ -0,0 +1,141 @@
+const path = require('path');
+
+// Keeps job documents bounded when a build produces a flood of warnings
+const MAX_DIAGNOSTICS = 500;
+
+// rustc summaries that repeat what the other diagnostics already say
+const SUMMARY_PATTERN = /^(aborting due to|could not compile|\d+ warnings? emitted|For more information about)/;
+
+/**
+ * Map a file name reported by rustc to a project file name. rustc reports
+ * project sources relative to the workspace root and dependencies with
+ * absolute paths into the cargo registry.
+ * @param {string} fileName - span.file_name
+ * @param {string} projectDir - Build directory the project files were written to
+ * @returns {string|null} Project-relative path with "/" separators, or null for files outside the project
+ */
+function toProjectFile(fileName, projectDir) {
+  if (!fileName || fileName.startsWith('<')) {
+    return null;
+  }
+  const relative = path.isAbsolute(fileName)
+    ? path.relative(projectDir, fileName)
+    : path.normalize(fileName);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Follow a span out of macro expansions until it points into the project
+ * @returns {Object|null} {span, file}
+ */
+function findProjectSpan(span, projectDir) {
+  let current = span;
+  while (current) {
+    const file = toProjectFile(current.file_name, projectDir);
+    if (file) {
+      return { span: current, file };
+    }
+    current = current.expansion ? current.expansion.span : null;
+  }
+  return null;
+}
+
+/**
+ * Line/column range of a span (1-based, end column exclusive as rustc reports it)
+ */
+function describeSpan(span) {
+  return {
+    startLine: span.line_start,
+    startColumn: span.column_start,
+    endLine: span.line_end,
+    endColumn: span.column_end,
+    label: span.label || null
+  };
+}
+
+/**
+ * Suggested fixes rustc attached to a message or its children
+ * @returns {Array} [{message, file, span, replacement, applicability}]
+ */
+function collectSuggestions(message, projectDir) {
+  const suggestions = [];
+  const visit = (entry, parentMessage) => {
+    for (const span of entry.spans || []) {
+      if (span.suggested_replacement === null || span.suggested_replacement === undefined) {
+        continue;
+      }
+      const file = toProjectFile(span.file_name, projectDir);
+      if (file) {
+        suggestions.push({
+          message: parentMessage,
+          file,
+          span: describeSpan(span),
+          replacement: span.suggested_replacement,
+          applicability: span.suggestion_applicability || null
+        });
+      }
+    }
+    for (const child of entry.children || []) {
+      visit(child, child.message);
+    }
+  };
+  visit(message, message.message);
+  return suggestions;
+}
+
+/**
+ * Turn one line of `cargo --message-format=json` output into a diagnostic
+ * @param {string} line - Line of cargo stdout
+ * @param {string} projectDir - Build directory the project files were written to
+ * @returns {Object|null} null for lines that are not compiler diagnostics
+ *   {severity, message, code, file, line, column, span, suggestions, notes, crate, rendered}
+ */
+function parseCargoMessage(line, projectDir) {
+  if (!line.startsWith('{')) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.reason !== 'compiler-message' || !parsed.message) {
+    return null;
+  }
+
+  const message = parsed.message;
+  if (message.level === 'failure-note' || SUMMARY_PATTERN.test(message.message)) {
+    return null;
+  }
+
+  const primary = (message.spans || []).find(span => span.is_primary) || (message.spans || [])[0];
+  const located = primary ? findProjectSpan(primary, projectDir) : null;
+
+  return {
+    severity: message.level.startsWith('error') ? 'error' : message.level,
+    message: message.message,
+    code: message.code ? message.code.code : null,
+    file: located ? located.file : null,
+    line: located ? located.span.line_start : null,
+    column: located ? located.span.column_start : null,
+    span: located ? describeSpan(located.span) : null,
+    suggestions: collectSuggestions(message, projectDir),
+    // "note: ..." / "help: ..." lines without a location of their own
+    notes: (message.children || [])
+      .filter(child => (child.spans || []).length === 0)
+      .map(child => `${child.level}: ${child.message}`),
+    crate: parsed.target ? parsed.target.name : null,
+    rendered: message.rendered || null
+  };
+}
+
+module.exports = {
+  MAX_DIAGNOSTICS,
+  toProjectFile,
+  parseCargoMessage
+};
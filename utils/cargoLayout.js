@@ -0,0 +1,89 @@
+/**
+ * Helpers for turning IDE project files into a standard Cargo layout.
+ *
+ * The IDE keeps single-contract sources at the project root (lib.rs, test.rs)
+ * while cargo expects them under src/. The compiler fixes this up on disk
+ * before building; these helpers do the same for files leaving the IDE.
+ */
+
+/**
+ * Check whether a Cargo.toml defines a workspace
+ */
+function isWorkspaceManifest(content) {
+  return /^\s*\[workspace\]/m.test(content || '') && /members/.test(content || '');
+}
+
+/**
+ * Point an explicit `[lib] path` at src/lib.rs
+ */
+function fixLibPath(cargoToml) {
+  let section = null;
+  return cargoToml.split('\n').map(line => {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      section = header[1].trim();
+      return line;
+    }
+    if (section === 'lib' && /^\s*path\s*=/.test(line)) {
+      return 'path = "src/lib.rs"';
+    }
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Convert project files to a layout `stellar contract build` understands
+ * @param {Array} files - Project files: {name, type, content}
+ * @returns {Object} {files, moved} where `moved` maps new paths to original project paths
+ */
+function toCargoLayout(files) {
+  const moved = new Map();
+  const manifest = files.find(f => f.name === 'Cargo.toml');
+
+  // Workspaces and projects without a manifest are left as they are
+  if (!manifest || isWorkspaceManifest(manifest.content)) {
+    return { files, moved };
+  }
+
+  const rootSources = files.filter(f => f.type !== 'folder' && !f.name.includes('/') && f.name.endsWith('.rs'));
+  const hasSrcLib = files.some(f => f.name === 'src/lib.rs');
+  if (rootSources.length === 0) {
+    return { files, moved };
+  }
+
+  // Pick the crate root the same way the compiler does: lib.rs, then main.rs, then any .rs file
+  let libSource = null;
+  if (!hasSrcLib) {
+    libSource = rootSources.find(f => f.name === 'lib.rs') ||
+      rootSources.find(f => f.name === 'main.rs') ||
+      rootSources[0];
+  }
+
+  const taken = new Set(files.map(f => f.name));
+  const result = files.map(file => {
+    if (!rootSources.includes(file)) {
+      return file;
+    }
+
+    const target = file === libSource ? 'src/lib.rs' : `src/${file.name}`;
+    if (taken.has(target) && target !== file.name) {
+      return file;
+    }
+
+    taken.add(target);
+    moved.set(target, file.name);
+    return { ...file, name: target };
+  });
+
+  return {
+    files: result.map(file => file.name === 'Cargo.toml'
+      ? { ...file, content: fixLibPath(file.content || '') }
+      : file),
+    moved
+  };
+}
+
+module.exports = {
+  isWorkspaceManifest,
+  toCargoLayout
+};
@@ -0,0 +1,280 @@
+const { findCustomSections } = require('./wasmSize');
+
+// Custom section soroban-sdk writes the contract interface to, as a stream of
+// XDR-encoded SCSpecEntry values (Stellar-contract-spec.x)
+const SPEC_SECTION = 'contractspecv0';
+
+// SCSpecType values without a payload
+const PRIMITIVE_TYPES = {
+  0: 'val',
+  1: 'bool',
+  2: 'void',
+  3: 'error',
+  4: 'u32',
+  5: 'i32',
+  6: 'u64',
+  7: 'i64',
+  8: 'timepoint',
+  9: 'duration',
+  10: 'u128',
+  11: 'i128',
+  12: 'u256',
+  13: 'i256',
+  14: 'bytes',
+  16: 'string',
+  17: 'symbol',
+  19: 'address',
+  20: 'muxed_address'
+};
+
+const EVENT_PARAM_LOCATIONS = ['data', 'topic'];
+const EVENT_DATA_FORMATS = ['single_value', 'vec', 'map'];
+
+/**
+ * Sequential XDR reader (big-endian 32-bit words, padded opaque data)
+ */
+function createXdrReader(buffer) {
+  let offset = 0;
+
+  const ensure = (length) => {
+    if (offset + length > buffer.length) {
+      throw new Error('Unexpected end of contract spec');
+    }
+  };
+
+  const u32 = () => {
+    ensure(4);
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  const string = () => {
+    const length = u32();
+    ensure(length);
+    const value = buffer.toString('utf8', offset, offset + length);
+    offset += length + ((4 - (length % 4)) % 4);
+    return value;
+  };
+
+  const array = (readItem) => {
+    const count = u32();
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(readItem());
+    }
+    return items;
+  };
+
+  return {
+    u32,
+    string,
+    array,
+    atEnd: () => offset >= buffer.length
+  };
+}
+
+/**
+ * Read an SCSpecTypeDef
+ * @returns {Object} {type} for primitives, plus valueType / elementType /
+ *   keyType / okType / errorType / valueTypes / n / name for compound types
+ */
+function readType(xdr) {
+  const code = xdr.u32();
+  if (PRIMITIVE_TYPES[code]) {
+    return { type: PRIMITIVE_TYPES[code] };
+  }
+  switch (code) {
+    case 1000:
+      return { type: 'option', valueType: readType(xdr) };
+    case 1001:
+      return { type: 'result', okType: readType(xdr), errorType: readType(xdr) };
+    case 1002:
+      return { type: 'vec', elementType: readType(xdr) };
+    case 1004:
+      return { type: 'map', keyType: readType(xdr), valueType: readType(xdr) };
+    case 1005:
+      return { type: 'tuple', valueTypes: xdr.array(() => readType(xdr)) };
+    case 1006:
+      return { type: 'bytes_n', n: xdr.u32() };
+    case 2000:
+      return { type: 'udt', name: xdr.string() };
+    default:
+      throw new Error(`Unknown contract spec type ${code}`);
+  }
+}
+
+/**
+ * Type as it is written in Rust contract code, e.g. `Option<Vec<Address>>`
+ */
+function formatType(typeDef) {
+  switch (typeDef.type) {
+    case 'option':
+      return `Option<${formatType(typeDef.valueType)}>`;
+    case 'result':
+      return `Result<${formatType(typeDef.okType)}, ${formatType(typeDef.errorType)}>`;
+    case 'vec':
+      return `Vec<${formatType(typeDef.elementType)}>`;
+    case 'map':
+      return `Map<${formatType(typeDef.keyType)}, ${formatType(typeDef.valueType)}>`;
+    case 'tuple':
+      return `(${typeDef.valueTypes.map(formatType).join(', ')})`;
+    case 'bytes_n':
+      return `BytesN<${typeDef.n}>`;
+    case 'udt':
+      return typeDef.name;
+    case 'void':
+      return '()';
+    case 'val':
+      return 'Val';
+    case 'timepoint':
+      return 'Timepoint';
+    case 'duration':
+      return 'Duration';
+    case 'error':
+      return 'Error';
+    case 'muxed_address':
+      return 'MuxedAddress';
+    case 'u256':
+    case 'i256':
+      return typeDef.type.toUpperCase();
+    case 'bytes':
+    case 'string':
+    case 'symbol':
+    case 'address':
+      return typeDef.type[0].toUpperCase() + typeDef.type.slice(1);
+    default:
+      return typeDef.type;
+  }
+}
+
+/**
+ * Read a typed, named value (function input, struct field)
+ */
+function readTypedName(xdr) {
+  const doc = xdr.string();
+  const name = xdr.string();
+  const typeDef = readType(xdr);
+  return { name, doc, type: typeDef, display: formatType(typeDef) };
+}
+
+/**
+ * Read `doc, lib, name` and the cases of an enum-like type
+ */
+function readNamedCases(xdr, readCase) {
+  const doc = xdr.string();
+  const lib = xdr.string();
+  const name = xdr.string();
+  return { name, doc, lib, cases: xdr.array(readCase) };
+}
+
+/**
+ * Decode the SCSpecEntry stream of a contractspecv0 section
+ * @param {Buffer} section - Section contents
+ * @returns {Object} {functions, structs, unions, enums, errors, events, error};
+ *   error is set if the stream could only be read in part
+ */
+function decodeSpecEntries(section) {
+  const spec = {
+    functions: [],
+    structs: [],
+    unions: [],
+    enums: [],
+    errors: [],
+    events: [],
+    error: null
+  };
+
+  const xdr = createXdrReader(section);
+  try {
+    while (!xdr.atEnd()) {
+      const kind = xdr.u32();
+      switch (kind) {
+        case 0: {
+          const doc = xdr.string();
+          const name = xdr.string();
+          const inputs = xdr.array(() => readTypedName(xdr));
+          const outputs = xdr.array(() => readType(xdr));
+          spec.functions.push({
+            name,
+            doc,
+            inputs,
+            outputs,
+            display: `${name}(${inputs.map(input => `${input.name}: ${input.display}`).join(', ')})${
+              outputs.length > 0 ? ` -> ${formatType(outputs[0])}` : ''}`
+          });
+          break;
+        }
+        case 1: {
+          const doc = xdr.string();
+          const lib = xdr.string();
+          const name = xdr.string();
+          spec.structs.push({ name, doc, lib, fields: xdr.array(() => readTypedName(xdr)) });
+          break;
+        }
+        case 2:
+          spec.unions.push(readNamedCases(xdr, () => {
+            const caseKind = xdr.u32();
+            const doc = xdr.string();
+            const name = xdr.string();
+            const types = caseKind === 1 ? xdr.array(() => readType(xdr)) : [];
+            return { name, doc, types };
+          }));
+          break;
+        case 3:
+        case 4:
+          (kind === 3 ? spec.enums : spec.errors).push(readNamedCases(xdr, () => {
+            const doc = xdr.string();
+            const name = xdr.string();
+            return { name, doc, value: xdr.u32() };
+          }));
+          break;
+        case 5: {
+          const doc = xdr.string();
+          const lib = xdr.string();
+          const name = xdr.string();
+          const prefixTopics = xdr.array(() => xdr.string());
+          const params = xdr.array(() => ({
+            ...readTypedName(xdr),
+            location: EVENT_PARAM_LOCATIONS[xdr.u32()] || 'unknown'
+          }));
+          const dataFormat = EVENT_DATA_FORMATS[xdr.u32()] || 'unknown';
+          spec.events.push({ name, doc, lib, prefixTopics, params, dataFormat });
+          break;
+        }
+        default:
+          // Entry lengths are not encoded, so nothing after an unknown kind can be read
+          throw new Error(`Unknown contract spec entry kind ${kind}`);
+      }
+    }
+  } catch (error) {
+    spec.error = error.message;
+  }
+  return spec;
+}
+
+/**
+ * Extract a contract's interface from its WASM
+ * @param {Buffer} wasmBuffer - Compiled contract
+ * @returns {Object|null} Decoded spec (see decodeSpecEntries), or null if the
+ *   WASM has no contractspecv0 section (not a Soroban contract, or a mock build)
+ */
+function extractContractSpec(wasmBuffer) {
+  let sections;
+  try {
+    sections = findCustomSections(wasmBuffer, SPEC_SECTION);
+  } catch (error) {
+    return null;
+  }
+  if (sections.length === 0) {
+    return null;
+  }
+  return decodeSpecEntries(Buffer.concat(sections));
+}
+
+module.exports = {
+  SPEC_SECTION,
+  formatType,
+  decodeSpecEntries,
+  extractContractSpec
+};
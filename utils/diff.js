@@ -0,0 +1,185 @@
+// Upper bound on the Myers trace size before giving up on a minimal diff
+// and reporting the whole file as replaced
+const MAX_TRACE_CELLS = 5000000;
+
+/**
+ * Split text into lines without the trailing newline characters
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute a line-level edit script using the Myers O(ND) algorithm
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array} Operations: {type: 'equal'|'delete'|'insert', line}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if ((d + 1) * v.length > MAX_TRACE_CELLS) {
+      return [
+        ...a.map(line => ({ type: 'delete', line })),
+        ...b.map(line => ({ type: 'insert', line }))
+      ];
+    }
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset);
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Walk the Myers trace backwards to recover the edit script
+ */
+function backtrack(trace, a, b, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Group an edit script into unified-diff style hunks
+ * @param {Array} ops - Output of diffLines
+ * @param {number} context - Number of unchanged lines around each change
+ * @returns {Array} Hunks: {oldStart, oldLines, newStart, newLines, lines}
+ */
+function toHunks(ops, context = 3) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailingEqual = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') {
+      if (hunk) {
+        // Close the hunk once we've passed enough context and no change follows soon
+        const nextChange = ops.slice(index + 1, index + 1 + context).some(o => o.type !== 'equal');
+        if (trailingEqual < context || nextChange) {
+          hunk.lines.push(` ${op.line}`);
+          hunk.oldLines++;
+          hunk.newLines++;
+          trailingEqual++;
+        } else {
+          hunks.push(hunk);
+          hunk = null;
+        }
+      }
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!hunk) {
+      const leading = [];
+      for (let i = index - 1; i >= 0 && leading.length < context && ops[i].type === 'equal'; i--) {
+        leading.unshift(` ${ops[i].line}`);
+      }
+      hunk = {
+        oldStart: oldLine - leading.length,
+        oldLines: leading.length,
+        newStart: newLine - leading.length,
+        newLines: leading.length,
+        lines: leading
+      };
+    }
+    trailingEqual = 0;
+
+    if (op.type === 'delete') {
+      hunk.lines.push(`-${op.line}`);
+      hunk.oldLines++;
+      oldLine++;
+    } else {
+      hunk.lines.push(`+${op.line}`);
+      hunk.newLines++;
+      newLine++;
+    }
+  });
+
+  if (hunk) {
+    hunks.push(hunk);
+  }
+
+  return hunks;
+}
+
+/**
+ * Diff two versions of a text file
+ * @param {string} oldText - Old content
+ * @param {string} newText - New content
+ * @returns {Array} Hunks
+ */
+function diffText(oldText, newText) {
+  if (oldText === newText) {
+    return [];
+  }
+  return toHunks(diffLines(splitLines(oldText), splitLines(newText)));
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  toHunks,
+  diffText
+};
@@ -0,0 +1,137 @@
+const httpError = require('./httpError');
+
+// Globs run inline against every project path; each additional wildcard
+// multiplies how far a failing match can backtrack
+const MAX_GLOB_LENGTH = 256;
+const MAX_GLOB_WILDCARDS = 3;
+const MAX_GLOBS = 20;
+
+/**
+ * Convert a glob to a regular expression source. Supports `**`, `*`, `?`,
+ * `{a,b}` alternatives and `[...]` character classes.
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more folders, a trailing "**" everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\/]/g, '\\$&');
+    }
+  }
+
+  return source + ')'.repeat(braceDepth);
+}
+
+/**
+ * Compile a project path glob. Globs without a slash match at any depth
+ * ("*.rs", "test.rs"); globs with one are relative to the project root
+ * ("src/**"). A glob naming a folder also matches everything inside it.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ * @throws {Error} 400 error for invalid, overlong or overly complex globs
+ */
+function compileGlob(glob) {
+  if (glob.length > MAX_GLOB_LENGTH) {
+    throw httpError(400, `Glob is too long (max ${MAX_GLOB_LENGTH} characters)`);
+  }
+
+  const trimmed = glob.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+  const anchored = trimmed.includes('/') ? trimmed.replace(/^\//, '') : `**/${trimmed}`;
+  // "*" and "**" runs, counting the "**/" that lets slash-less globs match at any depth
+  if ((anchored.match(/\*+/g) || []).length > MAX_GLOB_WILDCARDS) {
+    throw httpError(400, `Glob "${trimmed}" is too complex (max ${MAX_GLOB_WILDCARDS - 1} wildcards, or ${MAX_GLOB_WILDCARDS} in globs with a folder)`);
+  }
+
+  try {
+    return new RegExp(`^${globToRegExpSource(anchored)}(?:/.*)?$`);
+  } catch (error) {
+    throw httpError(400, `Invalid glob "${trimmed}"`);
+  }
+}
+
+/**
+ * Parse globs from a query string or body value: a comma-separated string or
+ * an array of strings. Commas inside {braces} are kept.
+ * @returns {Array<RegExp>}
+ * @throws {Error} 400 error for more than MAX_GLOBS globs or an invalid one
+ */
+function parseGlobs(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const globs = [];
+  for (const entry of Array.isArray(value) ? value : [value]) {
+    let depth = 0;
+    let current = '';
+    for (const char of String(entry)) {
+      if (char === ',' && depth === 0) {
+        globs.push(current);
+        current = '';
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') depth = Math.max(0, depth - 1);
+      current += char;
+    }
+    globs.push(current);
+  }
+
+  const nonEmpty = globs.filter(glob => glob.trim());
+  if (nonEmpty.length > MAX_GLOBS) {
+    throw httpError(400, `Too many globs (max ${MAX_GLOBS})`);
+  }
+  return nonEmpty.map(compileGlob);
+}
+
+/**
+ * Check a path against include and exclude globs. With no includes every
+ * path is included.
+ */
+function matchesGlobs(filePath, includes, excludes) {
+  if (includes.length > 0 && !includes.some(glob => glob.test(filePath))) {
+    return false;
+  }
+  return !excludes.some(glob => glob.test(filePath));
+}
+
+module.exports = {
+  compileGlob,
+  parseGlobs,
+  matchesGlobs
+};
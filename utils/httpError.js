@@ -0,0 +1,14 @@
+/**
+ * Create an error carrying an HTTP status code.
+ * Routes respond with `error.status` and the server error handler uses it too.
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = httpError;
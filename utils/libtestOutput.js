@@ -0,0 +1,109 @@
+const { toProjectFile } = require('./cargoDiagnostics');
+
+// Captured output kept per test
+const MAX_OUTPUT_LENGTH = 20000;
+
+// Rust >= 1.73: "thread 'name' panicked at src/test.rs:5:17:\nmessage"
+const PANIC_PATTERN = /thread '[^']*' panicked at ([^\n]+?):(\d+):(\d+):\n([\s\S]*?)(?=\nstack backtrace:|\nnote: |\n*$)/;
+// Older toolchains: "thread 'name' panicked at 'message', src/test.rs:5:17"
+const LEGACY_PANIC_PATTERN = /thread '[^']*' panicked at '([\s\S]*?)', ([^\n]+?):(\d+):(\d+)/;
+
+/**
+ * Find the panic in a test's captured output
+ * @param {string} output - Captured stdout/stderr of the test
+ * @param {string} projectDir - Build directory the project files were written to
+ * @returns {Object|null} {message, location, file, line, column}; file is null outside the project
+ */
+function parsePanic(output, projectDir) {
+  let location;
+  let line;
+  let column;
+  let message;
+
+  const match = output.match(PANIC_PATTERN);
+  const legacy = match ? null : output.match(LEGACY_PANIC_PATTERN);
+  if (match) {
+    [, location, line, column, message] = match;
+  } else if (legacy) {
+    [, message, location, line, column] = legacy;
+  } else {
+    return null;
+  }
+
+  return {
+    message: message.trim(),
+    location,
+    file: toProjectFile(location.replace(/^\.\//, ''), projectDir),
+    line: parseInt(line, 10),
+    column: parseInt(column, 10)
+  };
+}
+
+/**
+ * Turn one line of libtest's JSON output (`--format json --report-time`)
+ * into a test result
+ * @param {string} line - Line of test binary stdout
+ * @param {Object} context - {crate, projectDir}
+ * @returns {Object|null} {event: 'started', name} when a test starts,
+ *   {event: 'result', result: {name, crate, status, duration, panic, output}} when it ends,
+ *   null for other lines
+ */
+function parseTestEvent(line, { crate, projectDir }) {
+  if (!line.startsWith('{')) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.type !== 'test') {
+    return null;
+  }
+  if (parsed.event === 'started') {
+    return { event: 'started', name: parsed.name };
+  }
+
+  const statuses = { ok: 'passed', failed: 'failed', ignored: 'ignored', timeout: 'failed' };
+  const status = statuses[parsed.event];
+  if (!status) {
+    return null;
+  }
+
+  const output = parsed.stdout || '';
+  return {
+    event: 'result',
+    result: {
+      name: parsed.name,
+      crate,
+      status,
+      // libtest reports seconds
+      duration: typeof parsed.exec_time === 'number' ? Math.round(parsed.exec_time * 1000 * 1000) / 1000 : null,
+      panic: status === 'failed' ? parsePanic(output, projectDir) : null,
+      output: output.length > MAX_OUTPUT_LENGTH ? `${output.slice(0, MAX_OUTPUT_LENGTH)}\n[output truncated]` : output,
+      ...(parsed.message ? { message: parsed.message } : {})
+    }
+  };
+}
+
+/**
+ * Totals over test results
+ * @returns {Object} {total, passed, failed, ignored, duration (ms)}
+ */
+function summarizeTests(tests) {
+  return {
+    total: tests.length,
+    passed: tests.filter(test => test.status === 'passed').length,
+    failed: tests.filter(test => test.status === 'failed').length,
+    ignored: tests.filter(test => test.status === 'ignored').length,
+    duration: Math.round(tests.reduce((sum, test) => sum + (test.duration || 0), 0) * 1000) / 1000
+  };
+}
+
+module.exports = {
+  parsePanic,
+  parseTestEvent,
+  summarizeTests
+};
@@ -0,0 +1,124 @@
+const httpError = require('./httpError');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_DESCRIPTION_LENGTH = 20000;
+const MAX_METADATA_KEYS = 50;
+const MAX_METADATA_VALUE_LENGTH = 1000;
+
+// Tags are stored lowercase: "defi", "audit-2024", "v1.2"
+const TAG_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+// Metadata keys become Mongo map keys, which may not contain "." or start with "$"
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Normalize a tag: trimmed and lowercase
+ * @throws {Error} 400 error for tags that are empty, too long or use other characters
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    throw httpError(400, 'Tags must be strings');
+  }
+  const normalized = tag.trim().toLowerCase();
+  if (!normalized || normalized.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+    throw httpError(400, `Invalid tag "${tag}": use up to ${MAX_TAG_LENGTH} letters, digits, ".", "_" or "-"`);
+  }
+  return normalized;
+}
+
+/**
+ * Normalize a list of tags, dropping duplicates
+ * @param {Array<string>} tags - Tags from a request
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw httpError(400, 'tags must be an array of strings');
+  }
+  const normalized = [...new Set(tags.map(normalizeTag))];
+  if (normalized.length > MAX_TAGS) {
+    throw httpError(400, `A project can have at most ${MAX_TAGS} tags`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate a markdown description (null clears it)
+ * @returns {string}
+ */
+function normalizeDescription(description) {
+  if (description === null) {
+    return '';
+  }
+  if (typeof description !== 'string') {
+    throw httpError(400, 'description must be a string');
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw httpError(400, `description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)`);
+  }
+  return description;
+}
+
+/**
+ * Validate key/value metadata. Values may be strings, numbers or booleans and
+ * are stored as strings; null clears all metadata.
+ * @param {Object} metadata - Plain object from a request
+ * @returns {Object} Metadata with string values
+ */
+function normalizeMetadata(metadata) {
+  if (metadata === null) {
+    return {};
+  }
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw httpError(400, 'metadata must be an object of key/value pairs');
+  }
+
+  const entries = Object.entries(metadata);
+  if (entries.length > MAX_METADATA_KEYS) {
+    throw httpError(400, `metadata can have at most ${MAX_METADATA_KEYS} keys`);
+  }
+
+  const normalized = {};
+  for (const [key, value] of entries) {
+    if (!METADATA_KEY_PATTERN.test(key)) {
+      throw httpError(400, `Invalid metadata key "${key}": use up to 64 letters, digits, "_" or "-"`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw httpError(400, `Metadata value for "${key}" must be a string, number or boolean`);
+    }
+    const text = String(value);
+    if (text.length > MAX_METADATA_VALUE_LENGTH) {
+      throw httpError(400, `Metadata value for "${key}" is too long (max ${MAX_METADATA_VALUE_LENGTH} characters)`);
+    }
+    normalized[key] = text;
+  }
+  return normalized;
+}
+
+/**
+ * Pick and validate the descriptive fields present in a request body
+ * @param {Object} body - {description, tags, metadata}
+ * @returns {Object} Only the fields that were sent, normalized
+ */
+function parseProjectDetails(body = {}) {
+  const details = {};
+  if (body.description !== undefined) {
+    details.description = normalizeDescription(body.description);
+  }
+  if (body.tags !== undefined) {
+    details.tags = normalizeTags(body.tags === null ? [] : body.tags);
+  }
+  if (body.metadata !== undefined) {
+    details.metadata = normalizeMetadata(body.metadata);
+  }
+  return details;
+}
+
+module.exports = {
+  METADATA_KEY_PATTERN,
+  normalizeTag,
+  normalizeTags,
+  normalizeDescription,
+  normalizeMetadata,
+  parseProjectDetails
+};
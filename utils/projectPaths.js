@@ -0,0 +1,205 @@
+const httpError = require('./httpError');
+
+const MAX_PATH_LENGTH = 1024;
+const MAX_SEGMENT_LENGTH = 255;
+
+// Build output, VCS metadata and OS clutter never belong in a project
+const IGNORED_SEGMENTS = ['.git', 'target', 'node_modules', '__MACOSX', '.soroban', '.stellar'];
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db'];
+
+/**
+ * Normalize a project file path to the form stored in `Project.files[].name`:
+ * forward slashes, no leading "./", no empty segments and no trailing slash.
+ * Rejects absolute paths, ".." segments and control characters.
+ * @param {string} filePath - Raw path from a request, URL or archive
+ * @returns {string} Normalized relative path
+ * @throws {Error} 400 error if the path is not allowed
+ */
+function normalizeProjectPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw httpError(400, 'File path is required');
+  }
+
+  const raw = filePath.replace(/\\/g, '/');
+
+  if (raw.startsWith('/') || /^[a-zA-Z]:/.test(raw)) {
+    throw httpError(400, `Absolute paths are not allowed: ${filePath}`);
+  }
+
+  if (/[\u0000-\u001f\u007f]/.test(raw)) {
+    throw httpError(400, `File path contains control characters: ${JSON.stringify(filePath)}`);
+  }
+
+  const segments = [];
+  for (const segment of raw.split('/')) {
+    if (segment === '' || segment === '.') {
+      continue;
+    }
+    if (segment === '..') {
+      throw httpError(400, `File path may not contain "..": ${filePath}`);
+    }
+    if (segment.length > MAX_SEGMENT_LENGTH) {
+      throw httpError(400, `File name is too long: ${segment.slice(0, 32)}...`);
+    }
+    segments.push(segment);
+  }
+
+  const normalized = segments.join('/');
+  if (!normalized) {
+    throw httpError(400, 'File path is required');
+  }
+  if (normalized.length > MAX_PATH_LENGTH) {
+    throw httpError(400, `File path is too long (max ${MAX_PATH_LENGTH} characters)`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Check a path without throwing
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True if the path is already in normalized form
+ */
+function isValidProjectPath(filePath) {
+  try {
+    return normalizeProjectPath(filePath) === filePath;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the parent folder of a path ('' for top-level entries)
+ */
+function parentPath(filePath) {
+  const index = filePath.lastIndexOf('/');
+  return index === -1 ? '' : filePath.slice(0, index);
+}
+
+/**
+ * Get the last segment of a path
+ */
+function baseName(filePath) {
+  return filePath.slice(filePath.lastIndexOf('/') + 1);
+}
+
+/**
+ * Check whether `filePath` is `folderPath` itself or lies inside it
+ */
+function isWithin(filePath, folderPath) {
+  return filePath === folderPath || filePath.startsWith(`${folderPath}/`);
+}
+
+/**
+ * Check whether a path from an archive or repository should be left out of a project
+ */
+function isIgnoredPath(filePath) {
+  const segments = filePath.split('/');
+  return segments.some(segment => IGNORED_SEGMENTS.includes(segment)) ||
+    IGNORED_FILES.includes(segments[segments.length - 1]);
+}
+
+/**
+ * Map legacy or client-specific type names onto the two node types
+ */
+function normalizeFileType(type) {
+  return ['folder', 'directory', 'dir'].includes(type) ? 'folder' : 'file';
+}
+
+/**
+ * Normalize and validate a complete project file set
+ * @param {Array} files - Array of {name, type, content}
+ * @returns {Array} Files with normalized names and types
+ * @throws {Error} 400 error for invalid paths, duplicates, or files used as folders
+ */
+function validateFileSet(files) {
+  const normalized = (files || []).map(file => {
+    const type = normalizeFileType(file.type);
+    return {
+      name: normalizeProjectPath(file.name),
+      type,
+      content: type === 'folder' ? '' : (file.content || '')
+    };
+  });
+
+  const byName = new Map();
+  for (const file of normalized) {
+    if (byName.has(file.name)) {
+      throw httpError(400, `Duplicate file path: ${file.name}`);
+    }
+    byName.set(file.name, file);
+  }
+
+  // A file can't also be the parent folder of other entries
+  for (const file of normalized) {
+    for (let parent = parentPath(file.name); parent; parent = parentPath(parent)) {
+      const entry = byName.get(parent);
+      if (entry && entry.type !== 'folder') {
+        throw httpError(400, `${parent} is a file and cannot contain ${file.name}`);
+      }
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Build a nested tree from flat project files, including folders that only
+ * exist implicitly through the paths of their files
+ * @param {Array} files - Array of {name, type, content}
+ * @returns {Object} Root node: {name, path, type: 'folder', children}
+ */
+function buildFileTree(files) {
+  const root = { name: '', path: '', type: 'folder', children: [] };
+  const folders = new Map([['', root]]);
+
+  const ensureFolder = (folderPath) => {
+    if (folders.has(folderPath)) {
+      return folders.get(folderPath);
+    }
+    const parent = ensureFolder(parentPath(folderPath));
+    const node = { name: baseName(folderPath), path: folderPath, type: 'folder', children: [] };
+    parent.children.push(node);
+    folders.set(folderPath, node);
+    return node;
+  };
+
+  for (const file of files) {
+    if (normalizeFileType(file.type) === 'folder') {
+      ensureFolder(file.name);
+      continue;
+    }
+    ensureFolder(parentPath(file.name)).children.push({
+      name: baseName(file.name),
+      path: file.name,
+      type: 'file',
+      size: Buffer.byteLength(file.content || '', 'utf8')
+    });
+  }
+
+  // Folders first, then alphabetical
+  const sortNode = (node) => {
+    node.children.sort((a, b) => {
+      if (a.type !== b.type) {
+        return a.type === 'folder' ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+    node.children.filter(child => child.type === 'folder').forEach(sortNode);
+  };
+  sortNode(root);
+
+  return root;
+}
+
+module.exports = {
+  normalizeProjectPath,
+  isValidProjectPath,
+  normalizeFileType,
+  parentPath,
+  baseName,
+  isWithin,
+  isIgnoredPath,
+  validateFileSet,
+  buildFileTree
+};
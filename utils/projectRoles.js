@@ -0,0 +1,97 @@
+/**
+ * Project collaboration roles, from least to most privileged. Each role
+ * includes everything the roles before it can do:
+ * - viewer: read files, history and build results
+ * - editor: change files, restore revisions, compile, commit
+ * - deployer: deploy and invoke the project's contracts
+ * - owner: manage collaborators, settings and git remote
+ */
+const PROJECT_ROLES = ['viewer', 'editor', 'deployer', 'owner'];
+
+/**
+ * Check whether a value is a known role
+ */
+function isValidRole(role) {
+  return PROJECT_ROLES.includes(role);
+}
+
+/**
+ * Check whether `role` grants at least `requiredRole`
+ */
+function roleSatisfies(role, requiredRole) {
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(requiredRole) && isValidRole(role);
+}
+
+/**
+ * Pick the more privileged of two roles (either may be null)
+ */
+function higherRole(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return PROJECT_ROLES.indexOf(a) >= PROJECT_ROLES.indexOf(b) ? a : b;
+}
+
+/**
+ * Get a user's role on a project. The user who created the project is
+ * always an owner. For organization projects, pass the organization so its
+ * members get their organization-wide role.
+ * @param {Object} project - Project document
+ * @param {string|ObjectId} userId - User ID
+ * @param {Object} organization - Organization owning the project, if any
+ * @returns {string|null} Role, or null if the user has no access
+ */
+function getProjectRole(project, userId, organization = null) {
+  if (!project || !userId) {
+    return null;
+  }
+
+  const id = userId.toString();
+  if (project.userId && project.userId.toString() === id) {
+    return 'owner';
+  }
+
+  const collaborator = (project.collaborators || []).find(c => c.userId && c.userId.toString() === id);
+  let role = collaborator ? collaborator.role : null;
+
+  if (organization && project.organizationId && organization._id.toString() === project.organizationId.toString()) {
+    const member = (organization.members || []).find(m => m.userId.toString() === id);
+    if (member) {
+      role = higherRole(role, ['admin', 'owner'].includes(member.role) ? 'owner' : organization.defaultProjectRole);
+    }
+  }
+
+  return role;
+}
+
+/**
+ * Check whether a user has at least `requiredRole` on a project
+ */
+function hasProjectRole(project, userId, requiredRole, organization = null) {
+  const role = getProjectRole(project, userId, organization);
+  return role !== null && roleSatisfies(role, requiredRole);
+}
+
+/**
+ * Mongo query matching every project a user can access
+ * @param {string|ObjectId} userId - User ID
+ * @param {Array} organizationIds - Organizations the user is a member of
+ */
+function accessibleProjectsQuery(userId, organizationIds = []) {
+  const conditions = [
+    { userId },
+    { 'collaborators.userId': userId }
+  ];
+  if (organizationIds.length > 0) {
+    conditions.push({ organizationId: { $in: organizationIds } });
+  }
+  return { $or: conditions };
+}
+
+module.exports = {
+  PROJECT_ROLES,
+  isValidRole,
+  roleSatisfies,
+  getProjectRole,
+  hasProjectRole,
+  accessibleProjectsQuery
+};
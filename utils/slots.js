@@ -0,0 +1,44 @@
+/**
+ * Counting semaphore for work shared by several BullMQ workers in one process
+ * @param {number} limit - Maximum number of holders at a time
+ * @returns {Object} {acquire, release, run}
+ */
+function createSlots(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const acquire = async () => {
+    if (active < limit) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  };
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  return {
+    acquire,
+    release,
+    /**
+     * Run fn once a slot is free
+     */
+    async run(fn) {
+      await acquire();
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
+module.exports = { createSlots };
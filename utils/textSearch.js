@@ -0,0 +1,198 @@
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const httpError = require('./httpError');
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_PREVIEW_LENGTH = 500;
+
+/**
+ * Escape a literal string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the regular expression for a search
+ * @param {Object} options - {query, regex, caseSensitive, wholeWord}
+ * @returns {RegExp} Global, multiline expression
+ * @throws {Error} 400 error for empty, oversized or invalid queries
+ */
+function buildPattern({ query, regex = false, caseSensitive = false, wholeWord = false }) {
+  if (typeof query !== 'string' || query.length === 0) {
+    throw httpError(400, 'Search query is required');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw httpError(400, `Search query is too long (max ${MAX_QUERY_LENGTH} characters)`);
+  }
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    source = `(?<![A-Za-z0-9_])(?:${source})(?![A-Za-z0-9_])`;
+  }
+
+  try {
+    return new RegExp(source, `gm${caseSensitive ? '' : 'i'}`);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+}
+
+/**
+ * Offsets where each line of `content` starts
+ */
+function lineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * 1-based line and column of an offset
+ */
+function positionAt(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: offset - starts[low] + 1 };
+}
+
+/**
+ * Iterate the matches of `pattern` in `content`, stepping past empty matches
+ */
+function* eachMatch(pattern, content) {
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    yield match;
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+    }
+  }
+}
+
+/**
+ * Find matches in a set of files
+ * @param {Array} files - [{name, content}] (already filtered)
+ * @param {Object} options - Pattern options plus `maxResults`
+ * @returns {Object} {results: [{path, matches}], totalMatches, truncated}
+ */
+function findMatches(files, options) {
+  const pattern = buildPattern(options);
+  const maxResults = options.maxResults;
+  const results = [];
+  let totalMatches = 0;
+  let truncated = false;
+
+  for (const file of files) {
+    const content = file.content || '';
+    let starts = null;
+    const matches = [];
+
+    for (const match of eachMatch(pattern, content)) {
+      if (totalMatches >= maxResults) {
+        truncated = true;
+        break;
+      }
+      starts = starts || lineStarts(content);
+
+      const start = positionAt(starts, match.index);
+      const end = positionAt(starts, match.index + match[0].length);
+      const lineEnd = content.indexOf('\n', starts[start.line - 1]);
+      const lineText = content.slice(starts[start.line - 1], lineEnd === -1 ? content.length : lineEnd);
+
+      matches.push({
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        length: match[0].length,
+        lineText: lineText.length > MAX_PREVIEW_LENGTH ? lineText.slice(0, MAX_PREVIEW_LENGTH) : lineText
+      });
+      totalMatches++;
+    }
+
+    if (matches.length > 0) {
+      results.push({ path: file.name, matches });
+    }
+    if (truncated) {
+      break;
+    }
+  }
+
+  return { results, totalMatches, truncated };
+}
+
+/**
+ * Replace matches in a set of files. In regex mode the replacement may use
+ * $1, $<name> and $& like String.prototype.replace; otherwise it is literal.
+ * @param {Array} files - [{name, content}] (already filtered)
+ * @param {Object} options - Pattern options plus `replacement`
+ * @returns {Object} {files: [{name, content}] for changed files only, replacements: [{path, count}]}
+ */
+function replaceMatches(files, options) {
+  const pattern = buildPattern(options);
+  const replacement = typeof options.replacement === 'string' ? options.replacement : '';
+  const changed = [];
+  const replacements = [];
+
+  for (const file of files) {
+    const content = file.content || '';
+    let count = 0;
+    for (const iterator = eachMatch(pattern, content); !iterator.next().done;) {
+      count++;
+    }
+    if (count === 0) {
+      continue;
+    }
+
+    pattern.lastIndex = 0;
+    const next = content.replace(pattern, options.regex ? replacement : () => replacement);
+    if (next !== content) {
+      changed.push({ name: file.name, content: next });
+      replacements.push({ path: file.name, count });
+    }
+  }
+
+  return { files: changed, replacements };
+}
+
+/**
+ * Test values against user-written patterns (e.g. template variable patterns)
+ * @param {Array} checks - [{pattern, value}]
+ * @returns {Array<boolean>} Whether each value matches its pattern
+ */
+function testPatterns(checks) {
+  return checks.map(({ pattern, value }) => new RegExp(pattern).test(value));
+}
+
+const OPERATIONS = { findMatches, replaceMatches, testPatterns };
+
+// Regex searches run in a worker thread so a runaway expression can be
+// stopped without blocking the server (see services/searchService.js)
+if (!isMainThread && workerData && workerData.task === 'textSearch') {
+  try {
+    const result = OPERATIONS[workerData.operation](workerData.files, workerData.options);
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: { status: error.status || 500, message: error.message } });
+  }
+}
+
+module.exports = {
+  escapeRegExp,
+  buildPattern,
+  findMatches,
+  replaceMatches,
+  testPatterns
+};
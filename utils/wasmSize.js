@@ -0,0 +1,268 @@
+// Functions listed in a size report, largest first
+const MAX_FUNCTIONS = 20;
+
+const SECTION_NAMES = {
+  0: 'custom',
+  1: 'type',
+  2: 'import',
+  3: 'function',
+  4: 'table',
+  5: 'memory',
+  6: 'global',
+  7: 'export',
+  8: 'start',
+  9: 'element',
+  10: 'code',
+  11: 'data',
+  12: 'datacount',
+  13: 'tag'
+};
+
+const IMPORT_FUNCTION = 0;
+const EXPORT_FUNCTION = 0;
+
+/**
+ * Sequential reader over a WASM binary
+ */
+function createReader(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+
+  const byte = () => {
+    if (offset >= end) {
+      throw new Error('Unexpected end of WASM section');
+    }
+    return buffer[offset++];
+  };
+
+  // Unsigned LEB128; WASM indices and sizes fit in 32 bits
+  const u32 = () => {
+    let result = 0;
+    let shift = 0;
+    let current;
+    do {
+      current = byte();
+      result += (current & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (current & 0x80);
+    return result;
+  };
+
+  const name = () => {
+    const length = u32();
+    if (offset + length > end) {
+      throw new Error('Unexpected end of WASM section');
+    }
+    const value = buffer.toString('utf8', offset, offset + length);
+    offset += length;
+    return value;
+  };
+
+  const skip = (length) => {
+    offset += length;
+  };
+
+  const limits = () => {
+    const flags = byte();
+    u32();
+    if (flags & 0x01) {
+      u32();
+    }
+  };
+
+  return {
+    byte,
+    u32,
+    name,
+    skip,
+    limits,
+    get offset() {
+      return offset;
+    },
+    atEnd: () => offset >= end
+  };
+}
+
+/**
+ * Number of imported functions; they come before the module's own functions
+ * in the function index space
+ */
+function countImportedFunctions(reader) {
+  let functions = 0;
+  const count = reader.u32();
+  for (let i = 0; i < count; i++) {
+    reader.name();
+    reader.name();
+    const kind = reader.byte();
+    if (kind === IMPORT_FUNCTION) {
+      reader.u32();
+      functions++;
+    } else if (kind === 1) {
+      reader.byte();
+      reader.limits();
+    } else if (kind === 2) {
+      reader.limits();
+    } else if (kind === 3) {
+      reader.byte();
+      reader.byte();
+    } else {
+      reader.byte();
+      reader.u32();
+    }
+  }
+  return functions;
+}
+
+/**
+ * Function names from the "name" custom section (subsection 1)
+ * @returns {Map<number, string>} Function index to name
+ */
+function readFunctionNames(reader) {
+  const names = new Map();
+  while (!reader.atEnd()) {
+    const id = reader.byte();
+    const size = reader.u32();
+    if (id !== 1) {
+      reader.skip(size);
+      continue;
+    }
+    const count = reader.u32();
+    for (let i = 0; i < count; i++) {
+      const index = reader.u32();
+      names.set(index, reader.name());
+    }
+    break;
+  }
+  return names;
+}
+
+/**
+ * Break a WASM module down by section and function body size. Malformed
+ * modules are reported as far as they could be read.
+ * @param {Buffer} buffer - WASM binary
+ * @param {Object} options - {maxFunctions}: functions to list (default 20)
+ * @returns {Object} {size, sections: [{id, name, custom, size}],
+ *   functions: [{index, name, size}] (largest first), functionCount, error}
+ */
+function analyzeWasm(buffer, { maxFunctions = MAX_FUNCTIONS } = {}) {
+  const report = {
+    size: buffer.length,
+    sections: [],
+    functions: [],
+    functionCount: 0,
+    error: null
+  };
+  if (buffer.length < 8 || buffer.readUInt32LE(0) !== 0x6d736100) {
+    report.error = 'Not a WASM module';
+    return report;
+  }
+
+  const bodies = [];
+  const exportNames = new Map();
+  let debugNames = new Map();
+  let importedFunctions = 0;
+
+  try {
+    const reader = createReader(buffer, 8);
+    while (!reader.atEnd()) {
+      const sectionStart = reader.offset;
+      const id = reader.byte();
+      const size = reader.u32();
+      const contentStart = reader.offset;
+      const contentEnd = contentStart + size;
+      if (contentEnd > buffer.length) {
+        throw new Error(`Section ${SECTION_NAMES[id] || id} runs past the end of the module`);
+      }
+      const content = createReader(buffer, contentStart, contentEnd);
+
+      const section = {
+        id,
+        name: SECTION_NAMES[id] || `unknown(${id})`,
+        custom: id === 0,
+        size: contentEnd - sectionStart
+      };
+      if (id === 0) {
+        section.name = content.name();
+        if (section.name === 'name') {
+          debugNames = readFunctionNames(content);
+        }
+      } else if (id === 2) {
+        importedFunctions = countImportedFunctions(content);
+      } else if (id === 7) {
+        const count = content.u32();
+        for (let i = 0; i < count; i++) {
+          const exportName = content.name();
+          const kind = content.byte();
+          const index = content.u32();
+          if (kind === EXPORT_FUNCTION && !exportNames.has(index)) {
+            exportNames.set(index, exportName);
+          }
+        }
+      } else if (id === 10) {
+        const count = content.u32();
+        for (let i = 0; i < count; i++) {
+          const bodyStart = content.offset;
+          const bodySize = content.u32();
+          content.skip(bodySize);
+          bodies.push({ position: i, size: content.offset - bodyStart });
+        }
+      }
+
+      report.sections.push(section);
+      reader.skip(contentEnd - reader.offset);
+    }
+  } catch (error) {
+    report.error = error.message;
+  }
+
+  report.functionCount = bodies.length;
+  report.functions = bodies
+    .map(({ position, size }) => {
+      const index = importedFunctions + position;
+      return {
+        index,
+        name: debugNames.get(index) || exportNames.get(index) || `func[${index}]`,
+        size
+      };
+    })
+    .sort((a, b) => b.size - a.size)
+    .slice(0, maxFunctions);
+
+  return report;
+}
+
+/**
+ * Contents of the custom sections with a given name, in module order
+ * @param {Buffer} buffer - WASM binary
+ * @param {string} sectionName - e.g. "contractspecv0"
+ * @returns {Array<Buffer>} Empty for modules without such a section
+ * @throws {Error} If the module is malformed
+ */
+function findCustomSections(buffer, sectionName) {
+  if (buffer.length < 8 || buffer.readUInt32LE(0) !== 0x6d736100) {
+    throw new Error('Not a WASM module');
+  }
+
+  const found = [];
+  const reader = createReader(buffer, 8);
+  while (!reader.atEnd()) {
+    const id = reader.byte();
+    const size = reader.u32();
+    const contentEnd = reader.offset + size;
+    if (contentEnd > buffer.length) {
+      throw new Error(`Section ${SECTION_NAMES[id] || id} runs past the end of the module`);
+    }
+    if (id === 0) {
+      const content = createReader(buffer, reader.offset, contentEnd);
+      if (content.name() === sectionName) {
+        found.push(buffer.subarray(content.offset, contentEnd));
+      }
+    }
+    reader.skip(contentEnd - reader.offset);
+  }
+  return found;
+}
+
+module.exports = {
+  analyzeWasm,
+  findCustomSections
+};
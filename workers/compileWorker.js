@@ -2,10 +2,14 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const { createWorker, COMPILE_QUEUE_NAME } = require('../queues/bullmq');
 const compilationService = require('../services/compilationService');
+const compileCacheService = require('../services/compileCacheService');
+const artifactService = require('../services/artifactService');
+const toolchainService = require('../services/toolchainService');
 const socketService = require('../services/socketService');
 const Job = require('../models/Job');
 const Project = require('../models/Project');
 const UsageLog = require('../models/UsageLog');
+const { createSlots } = require('../utils/slots');
 
 // Initialize socket service for Redis pub/sub (workers don't have Socket.IO instance)
 socketService.init(null);
@@ -16,13 +20,17 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/soroba
 // Worker concurrency
 const COMPILE_WORKER_CONCURRENCY = parseInt(process.env.COMPILE_WORKER_CONCURRENCY || '2', 10);
 
+// Build slots shared by every queue this process consumes, so builds across
+// the shared and toolchain queues never exceed COMPILE_WORKER_CONCURRENCY
+const slots = createSlots(COMPILE_WORKER_CONCURRENCY);
+
 /**
  * Process compile job
  */
 async function processCompileJob(job) {
-  const { projectId, files, jobId, userId } = job.data;
+  const { projectId, files, contracts = [], toolchain = null, optimize = false, jobId, userId } = job.data;
   
-  console.log(`[CompileWorker] Processing compile job ${job.id} for project ${projectId}`);
+  console.log(`[CompileWorker] Processing compile job ${job.id} for project ${projectId} from ${job.queueName}`);
   
   // Update job status to active
   await Job.findByIdAndUpdate(jobId, {
@@ -50,7 +58,30 @@ async function processCompileJob(job) {
     };
     
     // Call compilation service with log update callback and jobId for WebSocket
-    const result = await compilationService.compileProject(projectId, files, updateJobLogs, jobId);
+    const result = await compilationService.compileProject(projectId, files, updateJobLogs, jobId, { contracts, toolchain, optimize });
+
+    // Keep the WASM beyond the job (BullMQ drops completed jobs after a day).
+    // Fallback builds return placeholder WASM, which is not worth keeping
+    let artifacts = [];
+    if (result.success && !result.fallback && result.contracts?.length > 0) {
+      try {
+        const jobDoc = await Job.findById(jobId).select('commitSha dirty');
+        artifacts = await artifactService.storeBuild({
+          projectId,
+          jobId,
+          userId,
+          contracts: result.contracts,
+          sourceHash: compileCacheService.computeSourceHash(files),
+          toolchain,
+          toolchainVersion: result.toolchainVersion,
+          commitSha: jobDoc?.commitSha,
+          dirty: jobDoc?.dirty,
+          cached: result.cached
+        });
+      } catch (artifactError) {
+        console.warn(`[CompileWorker] Could not store artifacts of job ${jobId}:`, artifactError.message);
+      }
+    }
     
     // Update job with result
     const jobResult = {
@@ -58,7 +89,15 @@ async function processCompileJob(job) {
         logs: result.logs,
         wasmBase64: result.wasmBase64 || result.output?.wasm,
         wasmFile: result.output?.wasmFile,
+        contracts: result.contracts || [],
+        // Interface of the first contract, like wasmBase64
+        spec: result.contracts?.[0]?.spec || null,
+        diagnostics: result.diagnostics || [],
         compilationType: result.compilationType,
+        cached: Boolean(result.cached),
+        cacheKey: result.cacheKey || null,
+        artifacts: artifacts.map(artifact => ({ id: artifact._id.toString(), contract: artifact.contract, sha256: artifact.sha256 })),
+        limit: result.limit || null,
         error: result.error
     };
     
@@ -100,7 +139,9 @@ async function processCompileJob(job) {
             error: result.success ? null : (result.error || 'Compilation failed'),
             metadata: {
               wasmFile: result.output?.wasmFile,
-              compilationType: result.compilationType
+              contracts: (result.contracts || []).map(contract => contract.name),
+              compilationType: result.compilationType,
+              cached: Boolean(result.cached)
             }
           },
           { sort: { createdAt: -1 } }
@@ -117,7 +158,10 @@ async function processCompileJob(job) {
       logs: result.logs,
       wasmBase64: result.wasmBase64 || result.output?.wasm,
       wasmFile: result.output?.wasmFile,
-      compilationType: result.compilationType
+      contracts: result.contracts || [],
+      diagnostics: result.diagnostics || [],
+      compilationType: result.compilationType,
+      cached: Boolean(result.cached)
     };
   } catch (error) {
     console.error(`[CompileWorker] Error processing compile job ${job.id}:`, error);
@@ -151,40 +195,68 @@ mongoose.connect(MONGODB_URI).then(() => {
   process.exit(1);
 });
 
-// Create worker
-const worker = createWorker(COMPILE_QUEUE_NAME, processCompileJob, {
-  concurrency: COMPILE_WORKER_CONCURRENCY
-});
+/**
+ * Run a compile job once a build slot is free
+ */
+function runWithSlot(job) {
+  return slots.run(() => processCompileJob(job));
+}
 
-// Worker event handlers
-worker.on('completed', (job) => {
-  console.log(`[CompileWorker] Job ${job.id} completed`);
-});
+const workers = [];
+let stopAdvertising = null;
 
-worker.on('failed', (job, err) => {
-  console.error(`[CompileWorker] Job ${job?.id} failed:`, err.message);
-});
+/**
+ * Consume the shared compile queue and the queue of every toolchain installed
+ * here, and advertise those toolchains to the API
+ */
+async function startWorkers() {
+  const queueNames = await toolchainService.getServedQueueNames();
 
-worker.on('error', (err) => {
-  console.error('[CompileWorker] Worker error:', err);
-});
+  for (const queueName of queueNames) {
+    // Toolchain queues take one job at a time so this process does not hold
+    // jobs that other workers could start sooner
+    const worker = createWorker(queueName, runWithSlot, {
+      concurrency: queueName === COMPILE_QUEUE_NAME ? COMPILE_WORKER_CONCURRENCY : 1
+    });
+
+    worker.on('completed', (job) => {
+      console.log(`[CompileWorker] Job ${job.id} completed`);
+    });
 
-console.log(`[CompileWorker] Started with concurrency: ${COMPILE_WORKER_CONCURRENCY}`);
+    worker.on('failed', (job, err) => {
+      console.error(`[CompileWorker] Job ${job?.id} failed:`, err.message);
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('[CompileWorker] SIGTERM received, closing worker...');
-  await worker.close();
-  await mongoose.connection.close();
-  process.exit(0);
+    worker.on('error', (err) => {
+      console.error(`[CompileWorker] Worker error on ${queueName}:`, err);
+    });
+
+    workers.push(worker);
+  }
+
+  stopAdvertising = await toolchainService.registerWorker();
+  console.log(`[CompileWorker] Started with concurrency ${COMPILE_WORKER_CONCURRENCY} on queues: ${queueNames.join(', ')}`);
+}
+
+startWorkers().catch((error) => {
+  console.error('[CompileWorker] Failed to start:', error);
+  process.exit(1);
 });
 
-process.on('SIGINT', async () => {
-  console.log('[CompileWorker] SIGINT received, closing worker...');
-  await worker.close();
+/**
+ * Stop taking jobs, finish running ones and withdraw this worker's toolchains
+ */
+async function shutdown(signal) {
+  console.log(`[CompileWorker] ${signal} received, closing workers...`);
+  if (stopAdvertising) {
+    await stopAdvertising();
+  }
+  await Promise.all(workers.map(worker => worker.close()));
   await mongoose.connection.close();
   process.exit(0);
-});
+}
 
-module.exports = worker;
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
+module.exports = workers;
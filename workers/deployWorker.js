@@ -6,6 +6,7 @@ const socketService = require('../services/socketService');
 const Job = require('../models/Job');
 const Project = require('../models/Project');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
 const UsageLog = require('../models/UsageLog');
 
 // Initialize socket service for Redis pub/sub (workers don't have Socket.IO instance)
@@ -21,7 +22,7 @@ const DEPLOY_WORKER_CONCURRENCY = parseInt(process.env.DEPLOY_WORKER_CONCURRENCY
  * Process deploy job
  */
 async function processDeployJob(job) {
-  const { projectId, wasmBase64, network, jobId, walletInfo, userId } = job.data;
+  const { projectId, wasmBase64, network, jobId, walletInfo, userId, organizationId = null, commitSha = null, contract = null, artifactId = null } = job.data;
   
   console.log(`[DeployWorker] Processing deploy job ${job.id} for project ${projectId}`);
   
@@ -80,11 +81,16 @@ async function processDeployJob(job) {
       try {
         await Project.findByIdAndUpdate(projectId, {
           lastDeployed: new Date(),
+          lastDeployedNetwork: network,
           contractAddress: result.contractAddress,
           $push: {
             deploymentHistory: {
               timestamp: new Date(),
               contractAddress: result.contractAddress,
+              commitSha,
+              network,
+              contract,
+              artifactId,
               status: 'success',
               logs: result.logs.map(log => log.message)
             }
@@ -96,12 +102,15 @@ async function processDeployJob(job) {
         // Don't fail the job if project update fails
       }
       
-      // Increment user deployment count and update usage log
+      // Increment deployment count (the organization's for organization projects) and update usage log
       if (userId) {
         try {
           const user = await User.findById(userId);
           if (user) {
-            await user.incrementDeployment();
+            const quotaHolder = organizationId ? await Organization.findById(organizationId) : user;
+            if (quotaHolder) {
+              await quotaHolder.incrementDeployment();
+            }
             
             // Update usage log
             await UsageLog.findOneAndUpdate(
@@ -181,6 +190,10 @@ async function processDeployJob(job) {
           $push: {
             deploymentHistory: {
               timestamp: new Date(),
+              commitSha,
+              network,
+              contract,
+              artifactId,
               status: 'failed',
               logs: [`Deployment failed: ${error.message}`]
             }
@@ -0,0 +1,46 @@
+const { createWorker, MAINTENANCE_QUEUE_NAME } = require('../queues/bullmq');
+const { scheduleMaintenanceJobs } = require('../queues/maintenanceQueue');
+const trashService = require('../services/trashService');
+
+/**
+ * Process maintenance job
+ */
+async function processMaintenanceJob(job) {
+  switch (job.name) {
+    case 'purge-trash': {
+      const purged = await trashService.purgeExpired();
+      if (purged > 0) {
+        console.log(`[MaintenanceWorker] Purged ${purged} project(s) from the trash`);
+      }
+      return { purged };
+    }
+    default:
+      throw new Error(`Unknown maintenance job: ${job.name}`);
+  }
+}
+
+/**
+ * Start the maintenance worker and register its schedules. It runs inside the
+ * API process rather than as a worker container because purging a project
+ * also removes its git working copy, which lives on the API host.
+ * @returns {Promise<Worker>} BullMQ worker instance
+ */
+async function startMaintenanceWorker() {
+  const worker = createWorker(MAINTENANCE_QUEUE_NAME, processMaintenanceJob);
+
+  worker.on('failed', (job, err) => {
+    console.error(`[MaintenanceWorker] Job ${job?.name} failed:`, err.message);
+  });
+
+  worker.on('error', (err) => {
+    console.error('[MaintenanceWorker] Worker error:', err);
+  });
+
+  await scheduleMaintenanceJobs();
+  console.log('[MaintenanceWorker] Started');
+  return worker;
+}
+
+module.exports = {
+  startMaintenanceWorker
+};
@@ -0,0 +1,183 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createWorker, TEST_QUEUE_NAME } = require('../queues/bullmq');
+const testService = require('../services/testService');
+const toolchainService = require('../services/toolchainService');
+const socketService = require('../services/socketService');
+const Job = require('../models/Job');
+const UsageLog = require('../models/UsageLog');
+const { createSlots } = require('../utils/slots');
+
+// Initialize socket service for Redis pub/sub (workers don't have Socket.IO instance)
+socketService.init(null);
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/soroban-ide';
+
+// Worker concurrency
+const TEST_WORKER_CONCURRENCY = parseInt(process.env.TEST_WORKER_CONCURRENCY || '1', 10);
+
+// Test runs shared by every queue this process consumes
+const slots = createSlots(TEST_WORKER_CONCURRENCY);
+
+/**
+ * Process test job
+ */
+async function processTestJob(job) {
+  const { projectId, files, contracts = [], filter = null, toolchain = null, jobId, userId } = job.data;
+
+  console.log(`[TestWorker] Processing test job ${job.id} for project ${projectId} from ${job.queueName}`);
+
+  await Job.findByIdAndUpdate(jobId, {
+    status: 'active',
+    result: {
+      success: false,
+      logs: [{
+        type: 'info',
+        message: 'Test run started...',
+        timestamp: new Date().toISOString()
+      }]
+    }
+  });
+
+  try {
+    const updateJobLogs = async (logs) => {
+      try {
+        await Job.findByIdAndUpdate(jobId, {
+          'result.logs': logs
+        }, { upsert: false });
+      } catch (err) {
+        console.error('Error updating job logs:', err);
+      }
+    };
+
+    const result = await testService.runTests(projectId, files, updateJobLogs, jobId, { contracts, filter, toolchain });
+
+    const jobResult = {
+      success: result.success,
+      logs: result.logs,
+      tests: result.tests,
+      summary: result.summary,
+      diagnostics: result.diagnostics,
+      limit: result.limit || null,
+      error: result.error
+    };
+
+    await Job.findByIdAndUpdate(jobId, {
+      status: result.success ? 'completed' : 'failed',
+      result: jobResult,
+      error: result.success ? null : (result.error || 'Tests failed')
+    });
+
+    socketService.emitJobStatus(jobId, result.success ? 'completed' : 'failed', jobResult);
+
+    if (userId) {
+      try {
+        await UsageLog.findOneAndUpdate(
+          { userId, action: 'test', projectId, success: false },
+          {
+            success: result.success,
+            error: result.success ? null : (result.error || 'Tests failed'),
+            metadata: {
+              jobId,
+              summary: result.summary
+            }
+          },
+          { sort: { createdAt: -1 } }
+        );
+      } catch (logError) {
+        console.warn(`[TestWorker] Could not update usage log:`, logError.message);
+      }
+    }
+
+    console.log(`[TestWorker] Completed test job ${job.id} - success: ${result.success}`);
+
+    return {
+      success: result.success,
+      summary: result.summary
+    };
+  } catch (error) {
+    console.error(`[TestWorker] Error processing test job ${job.id}:`, error);
+
+    await Job.findByIdAndUpdate(jobId, {
+      status: 'failed',
+      result: {
+        success: false,
+        logs: [{
+          type: 'error',
+          message: `Test run failed: ${error.message}`,
+          timestamp: new Date().toISOString()
+        }],
+        error: error.message
+      },
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+// Connect to MongoDB
+mongoose.connect(MONGODB_URI).then(() => {
+  console.log(`[TestWorker] Connected to MongoDB: ${MONGODB_URI}`);
+}).catch((error) => {
+  console.error('[TestWorker] MongoDB connection error:', error);
+  process.exit(1);
+});
+
+const workers = [];
+let stopAdvertising = null;
+
+/**
+ * Consume the shared test queue and the queue of every toolchain installed
+ * here, and advertise those toolchains to the API
+ */
+async function startWorkers() {
+  const queueNames = await toolchainService.getServedQueueNames(TEST_QUEUE_NAME);
+
+  for (const queueName of queueNames) {
+    const worker = createWorker(queueName, job => slots.run(() => processTestJob(job)), {
+      concurrency: queueName === TEST_QUEUE_NAME ? TEST_WORKER_CONCURRENCY : 1
+    });
+
+    worker.on('completed', (job) => {
+      console.log(`[TestWorker] Job ${job.id} completed`);
+    });
+
+    worker.on('failed', (job, err) => {
+      console.error(`[TestWorker] Job ${job?.id} failed:`, err.message);
+    });
+
+    worker.on('error', (err) => {
+      console.error(`[TestWorker] Worker error on ${queueName}:`, err);
+    });
+
+    workers.push(worker);
+  }
+
+  stopAdvertising = await toolchainService.registerWorker('test');
+  console.log(`[TestWorker] Started with concurrency ${TEST_WORKER_CONCURRENCY} on queues: ${queueNames.join(', ')}`);
+}
+
+startWorkers().catch((error) => {
+  console.error('[TestWorker] Failed to start:', error);
+  process.exit(1);
+});
+
+/**
+ * Stop taking jobs, finish running ones and withdraw this worker's toolchains
+ */
+async function shutdown(signal) {
+  console.log(`[TestWorker] ${signal} received, closing workers...`);
+  if (stopAdvertising) {
+    await stopAdvertising();
+  }
+  await Promise.all(workers.map(worker => worker.close()));
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+module.exports = workers;